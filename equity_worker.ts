@@ -0,0 +1,11 @@
+// Web Worker for equity vs villain ranges: attachEquity and streetByStreet sample for most of a
+// second, so they run here instead of in a render. Messages: { hand, variant, board, ctx, pack, ranges }
+// in; { advice, streets } out.
+import { attachEquity, generateAdvice, parseHand, streetByStreet } from "./poker_traffic_lights_engine";
+
+self.onmessage = (e: MessageEvent) => {
+  const { hand: handText, variant, board, ctx, pack, ranges } = e.data;
+  const hand = parseHand(handText, variant);
+  const advice = attachEquity(generateAdvice(hand, ctx, pack), hand, ranges, ctx, pack);
+  self.postMessage({ advice, streets: streetByStreet(hand, board, ctx, pack, ranges) });
+};
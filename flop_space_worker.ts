@@ -0,0 +1,9 @@
+// Web Worker for the flop-space heatmap: classifying all 22,100 flops takes seconds, so it
+// runs here instead of in a render. Messages: { id, hand, variant, ctx, pack } in; progress, then classes out.
+import { flopSpace, parseHand } from "./poker_traffic_lights_engine";
+
+self.onmessage = (e: MessageEvent) => {
+  const { id, hand, variant, ctx, pack } = e.data;
+  const classes = flopSpace(parseHand(hand, variant), ctx, pack, (done, total) => self.postMessage({ id, progress: done / total }));
+  self.postMessage({ id, classes });
+};
@@ -1,400 +1,1200 @@
-import React, { useMemo, useState } from "react";
+import React, { useEffect, useMemo, useRef, useState } from "react";
 import { motion, AnimatePresence } from "framer-motion";
-import { Info, RefreshCcw, Sparkles, CircleHelp, Copy, Shuffle } from "lucide-react";
+import { Info, RefreshCcw, Sparkles, CircleHelp, Copy, Shuffle, Upload, Download, Link2, History, X, GraduationCap, Printer, Grid3x3, Languages } from "lucide-react";
+import {
+  DEFAULT_NOTATION,
+  DEFAULT_RULE_PACK,
+  DEFAULT_VILLAIN_RANGE,
+  DRAW_LABEL,
+  FLOP_SAMPLES,
+  HOLE_CARDS,
+  QUIZ_CLASSES,
+  RANKS,
+  RANK_ORDER,
+  RED_MONEY_FLAG,
+  RULE_PACKS,
+  SEATS,
+  SIZE_BUCKETS,
+  SEAT_POSITION,
+  SUITS,
+  TONES,
+  TONE_RANK,
+  VARIANTS,
+  VARIANT_LABEL,
+  VILLAIN_LABEL,
+  VILLAIN_PRESETS,
+  VILLAIN_TYPES,
+  adviceDiff,
+  attachEquity,
+  blockerReport,
+  boardInputError,
+  cardName,
+  classifyBoard,
+  clashesWithHand,
+  comboClass,
+  dealQuiz,
+  decodeSpot,
+  encodeSpot,
+  facingBet,
+  flopFamily,
+  flopSpace,
+  generateAdvice,
+  gradeQuiz,
+  handInputError,
+  handLabel,
+  nextCardLights,
+  parseBoard,
+  parseHand,
+  parseHandHistories,
+  parseRange,
+  pct,
+  presetOf,
+  prettyCard,
+  randomHand,
+  rangeClassWeights,
+  rangeFlopReport,
+  rankStr,
+  representativeCombo,
+  reviewHistory,
+  stackToPot,
+  streetByStreet,
+  validateRulePack,
+  variantRanks,
+  villainRange,
+  villainType,
+} from "./poker_traffic_lights_engine";
+import { handSheet, localizeSheet, rangeSheet, sheetToAnki, sheetToCsv, sheetToMarkdown, sheetToPrintHtml } from "./poker_traffic_lights_export";
+import { LOCALES, LOCALE_LABEL, localizePattern, translate } from "./poker_traffic_lights_i18n";
+import type { Locale } from "./poker_traffic_lights_i18n";
+import type { StudySheet } from "./poker_traffic_lights_export";
+import type {
+  AdviceBundle,
+  AdviceChange,
+  BlockActions,
+  BlockerReport,
+  ContextAdjustment,
+  FacingDecision,
+  FlopClass,
+  FlopPattern,
+  HandContext,
+  HistoryReview,
+  NextCardLight,
+  Notation,
+  QuizDeal,
+  QuizProgress,
+  RangeCombo,
+  RangeReport,
+  RulePack,
+  Seat,
+  Spot,
+  StreetVerdict,
+  SuitTexture,
+  Tone,
+  Variant,
+  VillainStats,
+  VillainType,
+} from "./poker_traffic_lights_engine";
 
 /**
- * Poker Flop Traffic Lights — single-file React component
+ * Poker Flop Traffic Lights — React component
  * - TailwindCSS for styling
  * - No external state; easy to drop into Vite/Next/CRA
- * - Enter a starting hand (e.g., "Js9s", "AhKd", "7c7d").
+ * - All poker logic lives in poker_traffic_lights_engine.ts (no React); this file is the UI.
+ * - Enter a starting hand (e.g., "Js9s", "AhKd", "7c7d"), or four cards for PLO ("AsKsJhTh").
+ * - Game: Hold'em, Short Deck (6+) or PLO; each has its own evaluator rules and rule pack.
  * - Returns context-aware Green / Yellow / Red flop families with guidance.
+ * - Optionally enter a concrete board (e.g., "Ts8h2s", or "Ts8h2s Kd 3c" with turn and river) to see
+ *   which single light it is on each street, and how every possible next card would change it.
+ * - Villain ranges ("QQ+, AKs, ATs+, KQo") drive seeded equity (computed in a Web Worker); a flop's light
+ *   follows equity thresholds.
+ * - Paint a range ("22+, A2s-A5s, KTo+, AKo:50%") on the 13x13 grid; click a cell to study it.
+ *   With a flop entered, the whole range is reported as % Green / Yellow / Red by hand category.
+ * - Position, stack/pot (SPR) and opponents move blocks between lights; each card says which rule did it.
+ * - Villain profile (nit, regular, calling station, maniac, or custom VPIP/PFR/AF/fold-to-c-bet) sets the
+ *   assumed range and moves lights to exploit it; a diff lists what moved from the baseline advice and why.
+ * - All strategy text comes from a JSON rule pack (DEFAULT_RULE_PACK); coaches can export, edit and load their own.
+ * - Paste or load PokerStars/GGPoker hand histories to review every played flop offline; hands with big
+ *   money in on Red streets or a fold on a Green one are flagged.
+ * - The URL hash always holds the current hand, board, context and ranges, so "Copy link" shares the exact
+ *   view; settings and recent hands persist in localStorage ("Recent" reopens them).
+ * - Example chips are structured flop families (rank slots, wildcards, suit texture) with their share of
+ *   all flops; click one for sample boards to load.
+ * - "Flop space" lights all 1,755 distinct flops (573 in Short Deck) for the hand in a filterable heatmap (computed in a Web Worker).
+ * - The card matching the board shows blockers: the nut combos hero's cards remove, villain's value-to-bluff
+ *   ratio before and after, and, once a study range is entered, which range (villain 1's vs the study
+ *   range) holds the nut advantage.
+ * - Every block carries actions (bet/check split, sizing buckets); enter a facing bet as % pot to get
+ *   call / fold / raise from pot odds and equity (or the block's continue range without villain ranges).
+ * - Export the hand (or the study range) as Markdown, CSV, a printable page (save as PDF) or Anki cards.
+ * - "Quiz" deals a Hold'em hand and flop from a real deck: call the light, then see the engine's answer and why.
+ *   Accuracy is tracked per hand class and weak classes come back more often (saved in localStorage).
  * - "Clear" to reset; "Random" to sample a valid hand.
+ * - "Pick cards" opens a deck to click or type cards into the hand or board (rank key, then suit key; arrows
+ *   move). Bad entries get an inline reason (duplicate card, hand class without suits, ...).
+ * - Lights carry a shape (circle / triangle / square) and fill pattern as well as a color; card glyphs
+ *   have spoken names for screen readers.
+ * - English, Spanish or German (poker_traffic_lights_i18n.ts), and card notation: "T" or "10", suit glyphs
+ *   or letters, a four-color deck, and whether example flops name your suit. Saved in localStorage.
  *
  * Hand format supported:
- *   - Exactly 3 or 4 chars: Rank + Suit + Rank + Suit (e.g., AhKd, Js9s, 7c7d)
- *   - Case-insensitive; suits: c,d,h,s; ranks: A,K,Q,J,T,9..2
+ *   - Exactly 4 chars: Rank + Suit + Rank + Suit (e.g., AhKd, Js9s, 7c7d); 8 chars for PLO.
+ *     3-char classes like "AKs" are rejected: enter both cards with suits.
+ *   - Case-insensitive; suits: c,d,h,s; ranks: A,K,Q,J,T,9..2 (9..6 in Short Deck)
  */
 
-// ----- Utilities -----
-const RANKS = ["A", "K", "Q", "J", "T", "9", "8", "7", "6", "5", "4", "3", "2"]; // for ordering
-const RANK_ORDER: Record<string, number> = Object.fromEntries(RANKS.map((r, i) => [r, i]));
-const isRank = (c: string) => /[AKQJT2-9]/i.test(c);
-const isSuit = (c: string) => /[cdhs]/i.test(c);
+// ----- Language & notation -----
+// Picked in the settings row and saved in localStorage; components read them through usePrefs()
+// rather than a prop on every level. Strategy and UI text stay English in code and are swapped
+// through the catalogs in poker_traffic_lights_i18n.ts.
+type Prefs = { locale: Locale; notation: Notation };
+const PrefsContext = React.createContext<Prefs>({ locale: "en", notation: DEFAULT_NOTATION });
 
-function normalizeCard(card: string) {
-  const r = card[0].toUpperCase();
-  const s = card[1].toLowerCase();
-  return r + s;
-}
-
-function parseHand(input: string) {
-  const raw = (input || "").replace(/\s+/g, "").trim();
-  if (raw.length !== 4) return null; // require exactly 4 chars
-  const c1 = raw.slice(0, 2);
-  const c2 = raw.slice(2, 4);
-  if (!isRank(c1[0]) || !isSuit(c1[1]) || !isRank(c2[0]) || !isSuit(c2[1])) return null;
-  const card1 = normalizeCard(c1);
-  const card2 = normalizeCard(c2);
-  if (card1 === card2) return null; // duplicate
-  return {
-    c1: card1,
-    c2: card2,
-    r1: card1[0],
-    r2: card2[0],
-    s1: card1[1],
-    s2: card2[1],
-    suited: card1[1] === card2[1],
-    pair: card1[0] === card2[0],
-  };
-}
+const prefsTools = ({ locale, notation }: Prefs) => ({
+  locale,
+  notation,
+  t: (text: string, vars?: Record<string, string | number>) => translate(text, locale, vars),
+  card: (c: string) => prettyCard(c, notation),
+  rank: (r: string) => rankStr(r, notation),
+  tone: (t: Tone) => translate(toneName(t), locale),
+});
+const usePrefs = () => prefsTools(React.useContext(PrefsContext));
 
-function handLabel(h: ReturnType<typeof parseHand>) {
-  if (!h) return "";
-  const { r1, r2, s1, s2, suited, pair } = h;
-  const pretty = (r: string, s: string) => `${r}${s.toUpperCase()}`;
-  if (pair) return `${r1}${r2}`.toUpperCase() + ` (${pretty(r1, s1)} ${pretty(r2, s2)})`;
-  const off = suited ? "s" : "o";
-  const hi = RANK_ORDER[r1] < RANK_ORDER[r2] ? r1 : r2;
-  const lo = hi === r1 ? r2 : r1;
-  return `${hi}${lo}${off}`.toUpperCase() + ` (${pretty(h.c1[0], h.c1[1])} ${pretty(h.c2[0], h.c2[1])})`;
-}
+// Four-color deck: clubs green, diamonds blue, hearts red, spades black
+const SUIT_COLOR: Record<string, string> = { c: "text-emerald-700", d: "text-sky-600", h: "text-rose-600", s: "text-slate-900" };
 
-// Quick helpers
-const rankGap = (a: string, b: string) => Math.abs(RANK_ORDER[a] - RANK_ORDER[b]);
-const isBroadway = (r: string) => ["A", "K", "Q", "J", "T"].includes(r);
-const isWheel = (r: string) => ["A", "5", "4", "3", "2"].includes(r);
-
-// Sample a random valid hand (no suit duplication constraints with a real deck; fine for UI)
-function randomHand() {
-  const ranks = [...RANKS];
-  const suits = ["c", "d", "h", "s"];
-  const r1 = ranks[Math.floor(Math.random() * ranks.length)];
-  const r2 = ranks[Math.floor(Math.random() * ranks.length)];
-  const s1 = suits[Math.floor(Math.random() * suits.length)];
-  let s2 = suits[Math.floor(Math.random() * suits.length)];
-  // avoid identical exact card
-  if (r1 === r2 && s1 === s2) s2 = suits[(suits.indexOf(s2) + 1) % suits.length];
-  return `${r1}${s1}${r2}${s2}`;
-}
+// ----- UI Bits -----
+const Badge = ({ tone, children }: { tone: "green" | "yellow" | "red"; children: React.ReactNode }) => (
+  <span
+    className={
+      "inline-flex items-center gap-2 rounded-2xl px-3 py-1 text-xs font-semibold shadow-sm " +
+      (tone === "green"
+        ? "bg-emerald-100 text-emerald-800"
+        : tone === "yellow"
+        ? "bg-yellow-100 text-yellow-800"
+        : "bg-rose-100 text-rose-800")
+    }
+  >
+    <ToneShape tone={tone} /> {children}
+  </span>
+);
 
-// ----- Core heuristic engine -----
-export type TrafficAdvice = {
-  title: string;
-  bullets: string[];
-  examples?: string[]; // suggested flop families (e.g., "T♠8x", "A K 4 r")
-};
+// Lights never rely on color alone: Green is a circle, Yellow a triangle, Red a square. Decorative,
+// so hidden from screen readers; the text next to it names the light.
+const ToneShape = ({ tone, className = "size-3" }: { tone: Tone; className?: string }) => (
+  <svg viewBox="0 0 12 12" aria-hidden="true" className={"shrink-0 " + className}>
+    {tone === "green" ? (
+      <circle cx="6" cy="6" r="5" fill="currentColor" />
+    ) : tone === "yellow" ? (
+      <path d="M6 1 11 11H1Z" fill="currentColor" />
+    ) : (
+      <rect x="1.5" y="1.5" width="9" height="9" fill="currentColor" />
+    )}
+  </svg>
+);
 
-export type AdviceBundle = {
-  green: TrafficAdvice[];
-  yellow: TrafficAdvice[];
-  red: TrafficAdvice[];
+// Fill patterns for colored areas (bars, heatmap cells): Green plain, Yellow stripes, Red cross-hatch
+const HATCH = "rgba(15, 23, 42, 0.18) 0 1.5px, transparent 1.5px 5px";
+const TONE_PATTERN: Record<Tone, React.CSSProperties> = {
+  green: {},
+  yellow: { backgroundImage: `repeating-linear-gradient(45deg, ${HATCH})` },
+  red: { backgroundImage: `repeating-linear-gradient(45deg, ${HATCH}), repeating-linear-gradient(-45deg, ${HATCH})` },
 };
 
-function suitGlyph(s: string) {
-  return { c: "♣", d: "♦", h: "♥", s: "♠" }[s as "c" | "d" | "h" | "s"] ?? "?";
-}
-
-function rankStr(r: string) {
-  return r === "T" ? "10" : r;
-}
+// Every well-formed card in a string, normalized ("ahKD" → ["Ah", "Kd"]); no validation
+const cardsIn = (text: string) => (text.match(/[2-9TJQKA][cdhs]/gi) ?? []).map((c) => c[0].toUpperCase() + c[1].toLowerCase());
 
-function example(x: string) {
-  // Replace lowercase suit letters with glyphs for readability if present (e.g., T s 8 x)
-  return x
-    .replaceAll("c", "♣")
-    .replaceAll("d", "♦")
-    .replaceAll("h", "♥")
-    .replaceAll("s", "♠");
-}
-
-function makeExamplesForSuited(h: ReturnType<typeof parseHand>, patterns: string[]): string[] {
-  if (!h) return [];
-  const g = suitGlyph(h.s1); // use first card suit as the flush suit
-  return patterns.map((p) => p.replaceAll("s", g));
-}
-
-function generateAdvice(hand: ReturnType<typeof parseHand>): AdviceBundle | null {
-  if (!hand) return null;
-  const { r1, r2, suited, pair } = hand;
-
-  // Normalize rank hi/lo for phrasing
-  const hi = RANK_ORDER[r1] < RANK_ORDER[r2] ? r1 : r2;
-  const lo = hi === r1 ? r2 : r1;
-  const gap = rankGap(r1, r2);
-
-  const base: AdviceBundle = { green: [], yellow: [], red: [] };
-
-  // Pocket pairs
-  if (pair) {
-    const pocket = r1; // same rank
-    const pairIdx = RANK_ORDER[pocket];
-    const isPremium = ["A", "K", "Q", "J"].includes(pocket);
-    const midPair = ["T", "9", "8", "7"].includes(pocket);
-
-    base.green.push({
-      title: "Sets / Overpairs",
-      bullets: [
-        "Top set or middle/bottom set: build pots vs one player; size up multiway for value/protection.",
-        "Overpair on safe boards (low/medium disconnected): bet for value/protection; keep barreling clean turns.",
-      ],
-      examples: [
-        `${pocket}${pocket}x (rainbow)`,
-        `${pocket}${rankStrBelow(pocket)}${rankStrBelow(rankStrBelow(pocket))} (r)`,
-      ].map(example),
-    });
+// Cards as glyphs for the eye and names for screen readers ("Ace of spades")
+const CardText = ({ cards, className = "font-mono" }: { cards: string[]; className?: string }) => {
+  const { t, card, notation } = usePrefs();
+  return (
+    <span className={className}>
+      <span aria-hidden="true">
+        {cards.map((c, i) => (
+          <React.Fragment key={c}>
+            {i > 0 && " "}
+            <span className={notation.fourColor ? SUIT_COLOR[c[1]] : undefined}>{card(c)}</span>
+          </React.Fragment>
+        ))}
+      </span>
+      <span className="sr-only">{cards.map((c) => t(cardName(c))).join(", ")}</span>
+    </span>
+  );
+};
 
-    base.yellow.push({
-      title: "Underpairs / Paired boards",
-      bullets: [
-        "Underpair to one or two overcards: realize equity cheap; check-call small once in-position.",
-        "Paired boards w/ one over: pot control; take free cards; avoid big pots without improvement.",
-      ],
-      examples: [
-        `A ${rankStr(pocket)} 4 (r)`,
-        `${rankStrAbove(pocket)} ${rankStrAbove(rankStrAbove(pocket))} ${rankStr(pocket)} (r)`,
-      ].map(example),
-    });
+// Click or type cards into the hand or board. Keyboard: a rank key then a suit key picks (e.g. "J" "s"),
+// arrows move, Backspace takes back the last card. Cards in the other field are greyed out; once the
+// hand is full, picks go to the board.
+const BOARD_MAX = 5;
+const boardText = (cards: string[]) => [cards.slice(0, 3).join(""), ...cards.slice(3)].join(" ");
 
-    base.red.push({
-      title: "Two+ overs / High, wet textures",
-      bullets: [
-        "Boards with two or more higher cards, especially connected or two-tone, are bad for under-repped pocket pairs.",
-        "Fold to sizable aggression multiway; avoid check-raise bluffs without strong equity.",
-      ],
-      examples: [
-        `A K ${rankStrBelow(pairIdx > 10 ? "4" : "T")} (r)`,
-        `Q J ${rankStrBelow("T")} (two-tone)`,
-      ].map(example),
-    });
+const CardPicker = ({ handInput, boardInput, variant, onHand, onBoard }: { handInput: string; boardInput: string; variant: Variant; onHand: (text: string) => void; onBoard: (text: string) => void }) => {
+  const holeCards = HOLE_CARDS[variant];
+  const handCards = cardsIn(handInput);
+  const boardCards = cardsIn(boardInput);
+  const [target, setTarget] = useState<"hand" | "board">(handCards.length < holeCards ? "hand" : "board");
+  const [focus, setFocus] = useState(0);
+  const [rank, setRank] = useState<string | null>(null);
+  const [message, setMessage] = useState("");
+  const { t, card: show, notation } = usePrefs();
+  const buttons = useRef<(HTMLButtonElement | null)[]>([]);
+  const ranks = variantRanks(variant);
+  const deck = SUITS.flatMap((suit) => ranks.map((r) => r + suit));
+  const mine = target === "hand" ? handCards : boardCards;
+  const other = target === "hand" ? boardCards : handCards;
+  const max = target === "hand" ? holeCards : BOARD_MAX;
 
-    return base;
-  }
+  const write = (field: "hand" | "board", cards: string[]) => (field === "hand" ? onHand(cards.join("")) : onBoard(boardText(cards)));
+  const moveTo = (i: number) => {
+    setFocus(i);
+    buttons.current[i]?.focus();
+  };
 
-  // Suited hands (including suited broadways, suited aces, suited connectors/gappers)
-  if (suited) {
-    const suitedBroadway = isBroadway(hi) && isBroadway(lo);
-    const suitedAce = hi === "A";
-    const conn = gap === 1;
-    const oneGap = gap === 2;
-
-    // GREEN
-    const greenBlocks: TrafficAdvice[] = [];
-
-    // Strong combo equity
-    if (conn || oneGap || suitedBroadway) {
-      const patterns = makeExamplesForSuited(hand, [
-        `${lo}s${rankStrBelow(lo)}x`, // e.g., T♠8x for JTs
-        `${rankStrAbove(hi)}s${lo}x`, // e.g., Q♠Tx for JTs
-        `${rankStrBelow(lo)}s${rankStrBelow(rankStrBelow(lo))}s x`, // e.g., 8♠7♠x
-      ]);
-      greenBlocks.push({
-        title: "Strong combo equity (OESDs/GS + backdoors)",
-        bullets: [
-          "Open-ender or pair + draw with your suit/backdoors: build pots vs singles; mix check-raises vs late stabs.",
-          "Pressure good turns (your suit, straight completers, or overcards you rep).",
-        ],
-        examples: patterns,
-      });
+  function pick(card: string) {
+    const name = t(cardName(card));
+    if (other.includes(card)) return setMessage(t(target === "hand" ? "{card} is already on the board." : "{card} is already in your hand.", { card: name }));
+    if (mine.includes(card)) {
+      write(target, mine.filter((c) => c !== card));
+      return setMessage(t("Removed {card}.", { card: name }));
     }
-
-    // Top two or better
-    greenBlocks.push({
-      title: "Top two or better",
-      bullets: [
-        "Two-pair on uncoordinated boards: value bet; size up multiway (60–75%).",
-        "Trips on paired boards: value but beware when obvious straights/flushes complete.",
-      ],
-      examples: [
-        `${hi}${lo}x (no straight/flush)`,
-        `${hi}${hi}${lo} (r)`,
-      ].map(example),
-    });
-
-    // Nut FDs with extras (for Axs)
-    if (suitedAce) {
-      greenBlocks.push({
-        title: "Nut FD + extras",
-        bullets: [
-          "A-high nut FD with gutter/overcards: semi-bluff aggressively vs folds; deny equity.",
-          "In-position, raise some small c-bets; out-of-position, prefer check-raise mixes on dynamic boards.",
-        ],
-        examples: makeExamplesForSuited(hand, [
-          `Q s J x (BDFD + GS)`,
-          `${lo} s ${rankStrBelow(lo)} x (NFD + pair outs)`,
-        ]),
-      });
+    if (mine.length >= max) return setMessage(t(target === "hand" ? "The hand is full; remove a card first." : "The board is full; remove a card first."));
+    const next = [...mine, card];
+    write(target, next);
+    if (target === "hand" && next.length === holeCards) {
+      setTarget("board");
+      setMessage(t("Added {card}. Hand complete; now picking the board.", { card: name }));
+    } else {
+      setMessage(t(target === "hand" ? "Added {card} to the hand ({n} of {max})." : "Added {card} to the board ({n} of {max}).", { card: name, n: next.length, max }));
     }
+  }
 
-    base.green.push(...greenBlocks);
-
-    // YELLOW
-    const yellowBlocks: TrafficAdvice[] = [];
-
-    yellowBlocks.push({
-      title: "Decent one-pair / backdoors",
-      bullets: [
-        "Top pair weak kicker or second pair w/ backdoors: check-call small once; fold to heat multiway.",
-        "Favor pot control when your kicker is dominated or board shifts on the turn.",
-      ],
-      examples: [
-        `${hi} ${rankStrBelow(hi)} ${rankStrAboveOrSame(lo)} (r)`,
-        `${lo} ${rankStrBelow(lo)} ${rankStrAbove(hi)} (two-tone)`,
-      ].map(example),
-    });
+  function onKeyDown(e: React.KeyboardEvent) {
+    const cols = ranks.length;
+    const key = e.key.length === 1 ? e.key.toUpperCase() : e.key;
+    const step: Record<string, number> = { ArrowLeft: -1, ArrowRight: 1, ArrowUp: -cols, ArrowDown: cols };
+    if (key in step) {
+      e.preventDefault();
+      moveTo((focus + step[key] + deck.length) % deck.length);
+    } else if (key === "Home" || key === "End") {
+      e.preventDefault();
+      moveTo(focus - (focus % cols) + (key === "End" ? cols - 1 : 0));
+    } else if (key === "Backspace") {
+      e.preventDefault();
+      if (!mine.length) return setMessage(t(target === "hand" ? "The hand is empty." : "The board is empty."));
+      write(target, mine.slice(0, -1));
+      setMessage(t("Removed {card}.", { card: t(cardName(mine[mine.length - 1])) }));
+    } else if (RANKS.includes(key)) {
+      if (!ranks.includes(key)) return setMessage(t("There are no {rank}s in {game}.", { rank: key, game: t(VARIANT_LABEL[variant]) }));
+      setRank(key);
+      moveTo(focus - (focus % cols) + ranks.indexOf(key));
+      setMessage(t("{rank}: now a suit key (c, d, h or s).", { rank: key }));
+    } else if (rank && SUITS.includes(key.toLowerCase())) {
+      e.preventDefault();
+      const card = rank + key.toLowerCase();
+      setRank(null);
+      moveTo(deck.indexOf(card));
+      pick(card);
+    }
+  }
 
-    yellowBlocks.push({
-      title: "Non-nut FDs with extras",
-      bullets: [
-        "Front-door FD without overcards: peel small; avoid big pots unless with extra equity (gutter/overs).",
-        "Raise mainly when you can fold out better highs or realize fold equity vs capped ranges.",
-      ],
-      examples: makeExamplesForSuited(hand, [
-        `A Q 7 (you have FD only)`,
-        `T 8 3 (BDFD + backdoor straight)`,
-      ]),
-    });
+  return (
+    <div id="card-picker" className="space-y-2 rounded-xl border bg-white p-3 text-xs">
+      <div role="radiogroup" aria-label={t("Cards go to")} className="flex flex-wrap items-center gap-3 text-slate-600">
+        {(["hand", "board"] as const).map((field) => (
+          <label key={field} className="flex items-center gap-1">
+            <input type="radio" name="picker-target" checked={target === field} onChange={() => setTarget(field)} />
+            <span>{t(field === "hand" ? "Hand" : "Board")}</span>
+            <span className="text-slate-400">({(field === "hand" ? handCards : boardCards).length}/{field === "hand" ? holeCards : BOARD_MAX})</span>
+          </label>
+        ))}
+        <span className="text-slate-400">{t("Type a rank then a suit (e.g. J then s) · arrows move · Backspace removes the last card")}</span>
+      </div>
+      <div role="group" aria-label={t(target === "hand" ? "Deck: picking the hand" : "Deck: picking the board")} onKeyDown={onKeyDown} className="grid gap-px" style={{ gridTemplateColumns: `repeat(${ranks.length}, minmax(0, 1fr))` }}>
+        {deck.map((card, i) => {
+          const picked = mine.includes(card);
+          const used = other.includes(card);
+          return (
+            <button
+              key={card}
+              ref={(el) => { buttons.current[i] = el; }}
+              tabIndex={i === focus ? 0 : -1}
+              onClick={() => pick(card)}
+              onFocus={() => setFocus(i)}
+              aria-pressed={picked}
+              aria-disabled={used || undefined}
+              aria-label={used ? t(target === "hand" ? "{card}, on the board" : "{card}, in your hand", { card: t(cardName(card)) }) : t(cardName(card))}
+              className={
+                "rounded py-1 text-center font-mono outline-none focus-visible:ring-2 focus-visible:ring-emerald-500 " +
+                (picked
+                  ? "bg-emerald-600 text-white"
+                  : used
+                  ? "cursor-not-allowed bg-slate-100 text-slate-300 line-through"
+                  : "border bg-white hover:bg-slate-50 " + (notation.fourColor ? SUIT_COLOR[card[1]] : ""))
+              }
+            >
+              {show(card)}
+            </button>
+          );
+        })}
+      </div>
+      <div aria-live="polite" className="min-h-4 text-slate-500">{message}</div>
+    </div>
+  );
+};
 
-    base.yellow.push(...yellowBlocks);
+// Flop-family chips with their share of all flops; a chip opens sample boards to load
+const SAMPLE_BOARDS = 8;
 
-    // RED
-    base.red.push({
-      title: "Dry, high-card boards you miss",
-      bullets: [
-        "Disconnected high-card boards heavily favor tight ranges; your equity realization is poor.",
-        "Mostly check-fold; continue only vs tiny bets with backdoors in-position.",
-      ],
-      examples: ["A K 4 (r)", "Q 7 2 (r)"].map(example),
-    });
+const ExampleChips = ({ examples, dead, variant, onPickBoard }: { examples: FlopPattern[]; dead: string[]; variant: Variant; onPickBoard?: (flop: string[]) => void }) => {
+  const [open, setOpen] = useState<number | null>(null);
+  const families = useMemo(() => examples.slice(0, 6).map((p) => flopFamily(p, dead, variant)), [examples, dead.join(""), variant]);
+  const opened = open !== null ? families[open] : undefined;
+  const step = opened ? Math.max(1, Math.floor(opened.flops.length / SAMPLE_BOARDS)) : 1;
+  const { t, locale, notation } = usePrefs();
+  return (
+    <div className="mt-3 space-y-2 text-xs">
+      <div className="flex flex-wrap gap-2">
+        {families.map((f, i) => (
+          <button
+            key={i}
+            onClick={() => setOpen(open === i ? null : i)}
+            title={t("{n} of {total} flops — click for sample boards", { n: f.flops.length, total: f.total })}
+            className={"rounded-full px-2 py-1 font-mono " + (open === i ? "bg-slate-700 text-white" : "bg-slate-100 hover:bg-slate-200")}
+          >
+            {localizePattern(f.pattern, locale, notation)} · {pct(f.flops.length / f.total)}
+          </button>
+        ))}
+      </div>
+      {opened && (
+        <div className="flex flex-wrap items-center gap-1 rounded-xl border border-slate-200 p-2">
+          <span className="mr-1 text-slate-500">{t("This family is {share} of flops ({n} boards):", { share: pct(opened.flops.length / opened.total), n: opened.flops.length })}</span>
+          {opened.flops.filter((_, j) => j % step === 0).slice(0, SAMPLE_BOARDS).map((flop) => (
+            <button
+              key={flop.join("")}
+              onClick={() => onPickBoard?.(flop)}
+              className="rounded-lg border bg-white px-1.5 py-0.5 font-mono hover:bg-slate-50"
+              title={t("Load this board")}
+            >
+              <CardText cards={flop} />
+            </button>
+          ))}
+          {opened.flops.length === 0 && <span className="text-slate-400">{t("none left with your cards")}</span>}
+        </div>
+      )}
+    </div>
+  );
+};
 
-    // Monotone non-nut
-    base.red.push({
-      title: "Monotone boards without nut advantage",
-      bullets: [
-        "Avoid building 3-street pots when you lack the nut on monotone textures.",
-        "Call tiny, fold big; realize equity when cheap.",
-      ],
-      examples: makeExamplesForSuited(hand, [
-        `${hi} ${rankStrBelow(hi)} x (all same suit)`,
-        `${rankStrAbove(hi)} ${rankStrBelow(lo)} ${rankStrBelow(rankStrBelow(lo))} (all same suit)`,
-      ]),
-    });
+// Bet/check split and sizes; with a facing bet, the call/fold/raise verdict under it
+const ACTION_STYLE: Record<FacingDecision["action"], string> = {
+  raise: "bg-emerald-100 text-emerald-800",
+  call: "bg-yellow-100 text-yellow-800",
+  fold: "bg-rose-100 text-rose-800",
+};
 
-    return base;
-  }
+const DecisionLine = ({ decision, facing }: { decision: FacingDecision; facing: number }) => {
+  const { t } = usePrefs();
+  return (
+    <div className="flex flex-wrap items-center gap-1">
+      <span className="text-slate-500">{t("Facing {n}% pot:", { n: facing })}</span>
+      <span className={"rounded-full px-2 py-0.5 font-semibold capitalize " + ACTION_STYLE[decision.action]}>{t(decision.action)}</span>
+      <span className="text-slate-500">{t(decision.reason)}</span>
+    </div>
+  );
+};
 
-  // Offsuit (broadways, wheel aces, gappers)
-  const broadway = isBroadway(hi) && isBroadway(lo);
-  const offsConn = gap === 1;
-
-  base.green.push({
-    title: broadway ? "Top pair / two-pair / strong gutters" : offsConn ? "Open-enders / pair+draw" : "Strong top-pair / two-pair",
-    bullets: [
-      broadway
-        ? "Top pair good kicker and two-pair on safe boards: value/protection; barrel good turns."
-        : offsConn
-        ? "Open-enders and pair+draws: pressure single opponents; mix raises vs small c-bets."
-        : "When you smash (two-pair+), build pots; protect vs live overcards/backdoors.",
-    ],
-    examples: [
-      `${hi}${lo}x (r)`,
-      offsConn ? `${rankStrAbove(hi)} ${hi} ${lo} (r)` : `${rankStrAbove(hi)} ${rankStrBelow(lo)} x`,
-    ].map(example),
-  });
-
-  base.yellow.push({
-    title: "Marginal one-pair / backdoors",
-    bullets: [
-      "Check-call small once in-position; fold to pressure on turns that help opponent's range.",
-      "Favor pot control multiway; avoid thin value on coordinated runouts.",
-    ],
-    examples: [
-      `${hi} ${rankStrBelow(hi)} ${rankStrBelow(lo)} (r)`,
-      `${lo} ${rankStrBelow(lo)} ${rankStrAbove(hi)} (two-tone)`,
-    ].map(example),
-  });
-
-  base.red.push({
-    title: "High, disconnected boards you miss / bad low boards",
-    bullets: [
-      "AKx/QTx without connection; also super-low boards that smash callers' ranges.",
-      "Mostly give up out-of-position; continue only with strong backdoors or vs tiny sizes in-position.",
-    ],
-    examples: ["A K 4 (r)", "6 5 4 (two-tone)"].map(example),
-  });
-
-  return base;
-}
+const ActionBar = ({ actions, decision, facing }: { actions: BlockActions; decision?: FacingDecision | null; facing: number }) => {
+  const { t } = usePrefs();
+  const split = t("Bet {bet}% · check {check}%", { bet: Math.round(actions.bet * 100), check: Math.round((1 - actions.bet) * 100) });
+  return (
+    <div className="mb-2 space-y-1 text-xs text-slate-600">
+      <div className="flex items-center gap-2">
+        <div className="flex h-2 w-20 overflow-hidden rounded-full bg-slate-200" title={split}>
+          <div className="bg-slate-600" style={{ width: `${actions.bet * 100}%` }} />
+        </div>
+        <span>{split}</span>
+        <span className="ml-auto flex gap-1">
+          {SIZE_BUCKETS.map((size) => (
+            <span
+              key={size}
+              className={"rounded px-1 font-mono " + (actions.sizes.includes(size) ? "bg-slate-700 text-white" : "text-slate-300")}
+              title={t("{n}% pot", { n: size })}
+            >
+              {size}
+            </span>
+          ))}
+        </span>
+      </div>
+      {decision && <DecisionLine decision={decision} facing={facing} />}
+    </div>
+  );
+};
 
-// ----- Rank stepping helpers -----
-function idx(r: string) { return RANK_ORDER[r]; }
-function rankByIdx(i: number) { return RANKS[Math.max(0, Math.min(RANKS.length - 1, i))]; }
-function rankStrAbove(r: string) { return rankByIdx(Math.max(0, idx(r) - 1)); }
-function rankStrAboveOrSame(r: string) { return rankByIdx(Math.max(0, idx(r))); }
-function rankStrBelow(r: string | number) {
-  const rr = typeof r === "string" ? r : RANKS[Math.max(0, Math.min(RANKS.length - 1, r))];
-  return rankByIdx(Math.min(RANKS.length - 1, idx(rr) + 1));
-}
+// Card removal on the current board: nut tiers hero blocks, villain's value:bluff, range nut advantage
+const ratio = (value: number, bluffs: number) => (bluffs ? (value / bluffs).toFixed(2) : "∞");
 
-// ----- UI Bits -----
-const Badge = ({ tone, children }: { tone: "green" | "yellow" | "red"; children: React.ReactNode }) => (
-  <span
-    className={
-      "inline-flex items-center gap-2 rounded-2xl px-3 py-1 text-xs font-semibold shadow-sm " +
-      (tone === "green"
-        ? "bg-emerald-100 text-emerald-800"
-        : tone === "yellow"
-        ? "bg-yellow-100 text-yellow-800"
-        : "bg-rose-100 text-rose-800")
-    }
-  >
-    {tone === "green" ? "🟢" : tone === "yellow" ? "🟡" : "🔴"} {children}
-  </span>
-);
+const BlockerPanel = ({ report }: { report: BlockerReport }) => {
+  const { value, bluffs, nutShare, advantage } = report;
+  const { t } = usePrefs();
+  return (
+    <div className="mb-2 space-y-1 rounded-xl bg-slate-50 p-2 text-xs text-slate-600">
+      {nutShare ? (
+        <div>
+          {t("Nut advantage:")}{" "}
+          <span className="font-semibold text-slate-700">{t(advantage === "hero" ? "you" : advantage === "villain" ? "villain" : "neither")}</span>
+          {" "}{t("({hero} of your range vs {villain} of villain's in the top hands)", { hero: pct(nutShare.hero), villain: pct(nutShare.villain) })}
+        </div>
+      ) : (
+        <div>{t("Enter your range under Range study to compare nut advantage.")}</div>
+      )}
+      <ul className="space-y-0.5">
+        {report.tiers.map((tier) => (
+          <li key={tier.label}>
+            {t(tier.label)}: <span className="font-mono">{+tier.combos.toFixed(1)}</span> {t("combos")}
+            {tier.blocked > 0 ? <span className="font-semibold text-slate-700"> · {t("you block {n}", { n: +tier.blocked.toFixed(1) })}</span> : ` · ${t("none blocked")}`}
+          </li>
+        ))}
+      </ul>
+      <div title={t("Villain's top pair or better per draw or air combo, before and after your cards come out of the deck")}>
+        {t("Villain value:bluff")} <span className="font-mono">{ratio(value.combos, bluffs.combos)}</span> →{" "}
+        <span className="font-mono">{ratio(value.combos - value.blocked, bluffs.combos - bluffs.blocked)}</span> {t("with your blockers")}
+      </div>
+    </div>
+  );
+};
 
-const Card = ({ title, tone, children, examples }: { title: string; tone: "green" | "yellow" | "red"; children: React.ReactNode; examples?: string[]; }) => (
+const Card = ({ title, tone, children, examples, dead = [], variant = "holdem", onPickBoard, highlight, equity, equitySamples, adjustments, actions, decision, facing = 0, blockers }: { title: string; tone: "green" | "yellow" | "red"; children: React.ReactNode; examples?: FlopPattern[]; dead?: string[]; variant?: Variant; onPickBoard?: (flop: string[]) => void; highlight?: boolean; equity?: number; equitySamples?: number; adjustments?: ContextAdjustment[]; actions?: BlockActions; decision?: FacingDecision | null; facing?: number; blockers?: BlockerReport | null; }) => {
+  const { t } = usePrefs();
+  return (
   <motion.div
     layout
     initial={{ opacity: 0, y: 8 }}
     animate={{ opacity: 1, y: 0 }}
     exit={{ opacity: 0, y: -8 }}
-    className="rounded-2xl border bg-white p-4 shadow-sm ring-1 ring-black/5"
+    className={
+      "rounded-2xl border bg-white p-4 shadow-sm " +
+      (highlight
+        ? "ring-2 " + (tone === "green" ? "ring-emerald-400" : tone === "yellow" ? "ring-yellow-400" : "ring-rose-400")
+        : "ring-1 ring-black/5")
+    }
   >
     <div className="mb-2 flex items-center justify-between">
-      <Badge tone={tone}>{tone === "green" ? "Green-light" : tone === "yellow" ? "Yellow-light" : "Red-light"}</Badge>
-      <div className="text-sm font-medium text-slate-700">{title}</div>
+      <Badge tone={tone}>{t(tone === "green" ? "Green-light" : tone === "yellow" ? "Yellow-light" : "Red-light")}</Badge>
+      <div className="text-sm font-medium text-slate-700">{t(title)}</div>
     </div>
+    {highlight && <div className="mb-2 text-xs font-semibold uppercase tracking-wide text-slate-500">{t("Matches this flop")}</div>}
+    {equitySamples !== undefined && (
+      <div className="mb-2 text-xs text-slate-500" title={t("Average equity vs the villain ranges on sampled flops that land in this block")}>
+        {t("Equity:")} <span className="font-mono font-semibold text-slate-700">{equity !== undefined ? pct(equity) : "—"}</span>
+        {" "}{t("({n} of {total} sampled flops)", { n: equitySamples, total: FLOP_SAMPLES })}
+      </div>
+    )}
+    {adjustments && adjustments.length > 0 && (
+      <div className="mb-2 flex flex-wrap gap-1 text-[11px]">
+        {adjustments.map((a, i) => (
+          <span key={i} className="rounded-full border border-slate-200 bg-slate-50 px-2 py-0.5 text-slate-600" title={t("Context rule that changed this block")}>
+            {t(a.rule)}: {t(a.change)}
+          </span>
+        ))}
+      </div>
+    )}
+    {highlight && blockers && <BlockerPanel report={blockers} />}
+    {actions && <ActionBar actions={actions} decision={decision} facing={facing} />}
     <div className="prose prose-sm max-w-none text-slate-700">
       {children}
-      {examples && examples.length > 0 && (
-        <div className="mt-3 flex flex-wrap gap-2 text-xs">
-          {examples.slice(0, 6).map((e, i) => (
-            <span key={i} className="rounded-full bg-slate-100 px-2 py-1 font-mono">{e}</span>
+      {examples && examples.length > 0 && <ExampleChips examples={examples} dead={dead} variant={variant} onPickBoard={onPickBoard} />}
+    </div>
+  </motion.div>
+  );
+};
+
+// 13x13 preflop grid built on RANKS: pairs on the diagonal, suited above it, offsuit below
+const RangeGrid = ({ range, selected, onPick }: { range: RangeCombo[] | null; selected?: string; onPick: (cls: string) => void }) => {
+  const weights = rangeClassWeights(range);
+  const { t } = usePrefs();
+  return (
+    <div className="grid gap-px rounded-xl bg-slate-200 p-px" style={{ gridTemplateColumns: "repeat(13, minmax(0, 1fr))" }}>
+      {RANKS.flatMap((row, i) =>
+        RANKS.map((col, j) => {
+          const cls = i === j ? row + col : i < j ? row + col + "s" : col + row + "o";
+          const w = weights.get(cls) ?? 0;
+          return (
+            <button
+              key={cls}
+              onClick={() => onPick(cls)}
+              title={w > 0 ? t("{cls}: {n}% of combos", { cls, n: Math.round(w * 100) }) : t("{cls}: not in range", { cls })}
+              className={
+                "aspect-square text-[10px] font-mono leading-none sm:text-xs " +
+                (w > 0 ? "text-slate-900" : "bg-white text-slate-400 hover:bg-slate-50") +
+                (cls === selected ? " ring-2 ring-inset ring-slate-800" : "")
+              }
+              style={w > 0 ? { backgroundColor: `rgba(16, 185, 129, ${0.2 + 0.7 * w})` } : undefined}
+            >
+              {cls}
+            </button>
+          );
+        })
+      )}
+    </div>
+  );
+};
+
+// Stacked Green/Yellow/Red bar
+const ToneBar = ({ tones }: { tones: Record<Tone, number> }) => {
+  const { tone } = usePrefs();
+  return (
+    <div
+      role="img"
+      aria-label={TONES.map((t) => `${tone(t)} ${pct(tones[t])}`).join(", ")}
+      className="flex h-2 w-full overflow-hidden rounded-full bg-slate-100"
+    >
+      <div className="bg-emerald-400" style={{ width: pct(tones.green), ...TONE_PATTERN.green }} />
+      <div className="bg-yellow-400" style={{ width: pct(tones.yellow), ...TONE_PATTERN.yellow }} />
+      <div className="bg-rose-400" style={{ width: pct(tones.red), ...TONE_PATTERN.red }} />
+    </div>
+  );
+};
+
+const RangeReportView = ({ report }: { report: RangeReport }) => {
+  const { t, tone } = usePrefs();
+  return (
+  <div className="space-y-2 text-xs text-slate-600">
+    <div className="text-sm text-slate-700">
+      {t("Range is")} <span className="font-semibold text-emerald-700">{pct(report.tones.green)} {tone("green")}</span>,{" "}
+      <span className="font-semibold text-yellow-700">{pct(report.tones.yellow)} {tone("yellow")}</span>,{" "}
+      <span className="font-semibold text-rose-700">{pct(report.tones.red)} {tone("red")}</span> {t("on")} <CardText cards={cardsIn(report.board)} />
+      <span className="text-xs text-slate-500"> {t("({n} live combos)", { n: report.combos })}</span>
+    </div>
+    <ToneBar tones={report.tones} />
+    <table className="w-full">
+      <thead>
+        <tr className="text-left text-slate-500">
+          <th className="py-1 font-medium">{t("Category")}</th>
+          <th className="py-1 font-medium">{t("Share")}</th>
+          <th className="py-1 font-medium">{t("G / Y / R")}</th>
+          <th className="w-1/3 py-1" />
+        </tr>
+      </thead>
+      <tbody>
+        {report.buckets.map((b) => (
+          <tr key={b.bucket}>
+            <td className="py-0.5">{t(b.bucket)}</td>
+            <td className="py-0.5 font-mono">{pct(b.share)}</td>
+            <td className="py-0.5 font-mono">
+              {Math.round(b.tones.green * 100)} / {Math.round(b.tones.yellow * 100)} / {Math.round(b.tones.red * 100)}
+            </td>
+            <td className="py-0.5"><ToneBar tones={b.tones} /></td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  </div>
+  );
+};
+
+const toneName = (t: Tone) => (t === "green" ? "Green" : t === "yellow" ? "Yellow" : "Red");
+
+// What a villain profile changed against the baseline advice, one row per block
+const ProfileDiff = ({ label, changes }: { label: string; changes: AdviceChange[] }) => {
+  const { t, tone, locale } = usePrefs();
+  return (
+  <div className="mb-4 rounded-2xl border bg-white p-4 text-sm shadow-sm ring-1 ring-black/5">
+    <div className="mb-2 font-semibold text-slate-700">
+      {t("Against a {profile}:", { profile: locale === "en" ? label.toLowerCase() : label })}{" "}
+      {t(!changes.length ? "no change from the baseline" : changes.length === 1 ? "1 block changed" : "{n} blocks changed", { n: changes.length })}
+    </div>
+    <ul className="space-y-2">
+      {changes.map((c) => (
+        <li key={c.title} className="text-xs text-slate-600">
+          <div className="flex flex-wrap items-center gap-1">
+            {c.from && <Badge tone={c.from}>{tone(c.from)}</Badge>}
+            {c.from !== c.to && c.to && (
+              <>
+                <span className="text-slate-400">→</span>
+                <Badge tone={c.to}>{tone(c.to)}</Badge>
+              </>
+            )}
+            <span className="font-medium text-slate-700">{t(c.title)}</span>
+            {c.rules.length > 0 && <span className="text-slate-400">({c.rules.map((r) => t(r)).join(", ")})</span>}
+          </div>
+          {c.play && (
+            <div className="mt-0.5">
+              {t("Play:")} <span className="text-slate-400 line-through">{t(c.play.from)}</span> → {t(c.play.to)}
+            </div>
+          )}
+          {c.bullets.map((b, i) => (
+            <div key={i} className="mt-0.5 text-slate-500">+ {t(b)}</div>
           ))}
+        </li>
+      ))}
+    </ul>
+  </div>
+  );
+};
+
+// Flop → turn → river, one chip per street
+const StreetTimeline = ({ streets }: { streets: StreetVerdict[] }) => {
+  const { t, tone } = usePrefs();
+  return (
+    <div className="flex w-full flex-wrap items-center gap-2 border-t pt-2 text-xs text-slate-600">
+      {streets.map((st, i) => (
+        <React.Fragment key={st.street}>
+          {i > 0 && <span className="text-slate-400">→</span>}
+          <span className="inline-flex items-center gap-1">
+            <span className="font-medium capitalize">{t(st.street)}</span>
+            <CardText cards={st.cards} />
+            <Badge tone={st.verdict.tone}>{tone(st.verdict.tone)}</Badge>
+            <span className="text-slate-500">{t(st.verdict.title)}</span>
+          </span>
+        </React.Fragment>
+      ))}
+    </div>
+  );
+};
+
+// Every unseen next card, colored by the light it would give; ▲/▼ mark a change from now
+const NextCardGrid = ({ lights, street, variant }: { lights: NextCardLight[]; street: "turn" | "river"; variant: Variant }) => {
+  const byCard = new Map(lights.map((l) => [l.card, l]));
+  const ranks = variantRanks(variant);
+  const { t, tone: toneLabel, card } = usePrefs();
+  return (
+    <div className="space-y-3 text-xs">
+      <div className="text-sm font-semibold text-slate-700">{t(street === "turn" ? "Turn card traffic lights" : "River card traffic lights")}</div>
+      <div className="grid gap-px rounded-xl bg-slate-200 p-px" style={{ gridTemplateColumns: `repeat(${ranks.length}, minmax(0, 1fr))` }}>
+        {SUITS.flatMap((suit) =>
+          ranks.map((rank) => {
+            const l = byCard.get(rank + suit);
+            return (
+              <div
+                key={rank + suit}
+                title={l ? `${card(l.card)}: ${toneLabel(l.tone)} — ${t(l.title)} (${t(l.change)})` : t("Dead card")}
+                className={
+                  "py-1 text-center font-mono " +
+                  (!l ? "bg-slate-100 text-slate-300" : l.tone === "green" ? "bg-emerald-100 text-emerald-900" : l.tone === "yellow" ? "bg-yellow-100 text-yellow-900" : "bg-rose-100 text-rose-900")
+                }
+                style={l ? TONE_PATTERN[l.tone] : undefined}
+              >
+                <span aria-hidden="true">
+                  {card(rank + suit)}
+                  {l?.change === "improves" ? "▲" : l?.change === "hurts" ? "▼" : ""}
+                </span>
+                <span className="sr-only">{t(cardName(rank + suit))}: {l ? `${toneLabel(l.tone)}, ${t(l.change)}` : t("dead card")}</span>
+              </div>
+            );
+          })
+        )}
+      </div>
+      <div className="grid gap-2 md:grid-cols-3">
+        {TONES.map((tone) => {
+          const cards = lights.filter((l) => l.tone === tone);
+          return (
+            <div key={tone}>
+              <Badge tone={tone}>
+                {toneLabel(tone)}: {t("{n} of {total}", { n: cards.length, total: lights.length })}
+              </Badge>
+              <div className="mt-1 text-slate-600">{cards.length ? <CardText cards={cards.map((l) => l.card)} /> : "—"}</div>
+              <div className="text-slate-500">
+                {t("{up} improve · {down} hurt", { up: cards.filter((l) => l.change === "improves").length, down: cards.filter((l) => l.change === "hurts").length })}
+              </div>
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+};
+
+// One row per imported hand; click to load it into the inputs above
+const HistoryReviewList = ({ reviews, onPick }: { reviews: HistoryReview[]; onPick: (r: HistoryReview) => void }) => {
+  const { t, tone } = usePrefs();
+  return (
+  <div className="divide-y rounded-xl border bg-white text-xs">
+    {reviews.map((r) => (
+      <button
+        key={r.history.id}
+        onClick={() => onPick(r)}
+        className={"flex w-full flex-col gap-1 px-3 py-2 text-left hover:bg-slate-50 " + (r.flags.length ? "bg-rose-50/40" : "")}
+        title={t("Load this hand, board and context")}
+      >
+        <div className="flex flex-wrap items-center gap-2">
+          <span className="font-mono text-slate-500">#{r.history.id}</span>
+          <CardText cards={cardsIn(r.history.hole)} className="font-mono font-semibold text-slate-800" />
+          {r.history.seat && <span className="text-slate-500">{r.history.seat}</span>}
+          {r.streets.map((st) => (
+            <span key={st.street} className="inline-flex items-center gap-1">
+              <CardText cards={st.cards} />
+              <Badge tone={st.verdict.tone}>{tone(st.verdict.tone)}</Badge>
+            </span>
+          ))}
+          {r.foldedOn && <span className="text-slate-500">{t("folded {street}", { street: t(r.foldedOn) })}</span>}
         </div>
-      )}
+        {r.flags.map((f, i) => (
+          <div key={i} className="text-rose-700">⚑ {t(f)}</div>
+        ))}
+      </button>
+    ))}
+  </div>
+  );
+};
+
+// Every flop class (1,755; 573 in Short Deck) as colored cells: a row per high card, a column per suit texture
+const TEXTURES: SuitTexture[] = ["rainbow", "two-tone", "monotone"];
+const CELL_TONE: Record<Tone, string> = {
+  green: "bg-emerald-200 text-emerald-900",
+  yellow: "bg-yellow-200 text-yellow-900",
+  red: "bg-rose-200 text-rose-900",
+};
+type SpaceSort = "board" | "light" | "green" | "red";
+
+const toneShares = (classes: FlopClass[]) => {
+  const sum = { green: 0, yellow: 0, red: 0 };
+  for (const c of classes) for (const t of TONES) sum[t] += c.tones[t];
+  const total = sum.green + sum.yellow + sum.red || 1;
+  return { green: sum.green / total, yellow: sum.yellow / total, red: sum.red / total, flops: sum.green + sum.yellow + sum.red };
+};
+
+const FlopSpaceView = ({ classes, onPick }: { classes: FlopClass[]; onPick: (flop: string[]) => void }) => {
+  const [texture, setTexture] = useState<SuitTexture | "">("");
+  const [paired, setPaired] = useState<"" | "paired" | "unpaired">("");
+  const [light, setLight] = useState<Tone | "">("");
+  const [sort, setSort] = useState<SpaceSort>("board");
+  const shown = classes.filter(
+    (c) => c.tone && (!texture || c.texture === texture) && (!paired || c.paired === (paired === "paired")) && (!light || c.tone === light)
+  );
+  const share = (c: FlopClass, t: Tone) => c.tones[t] / (c.combos || 1);
+  const order = (a: FlopClass, b: FlopClass) =>
+    sort === "light" ? TONE_RANK[b.tone!] - TONE_RANK[a.tone!] || share(b, b.tone!) - share(a, a.tone!)
+      : sort === "green" ? share(b, "green") - share(a, "green")
+      : sort === "red" ? share(b, "red") - share(a, "red")
+      : 0; // classes arrive in board order
+  const total = toneShares(shown);
+  const select = "rounded-lg border bg-white px-2 py-1";
+  const { t, tone, card, rank } = usePrefs();
+  return (
+    <div className="space-y-3 text-xs text-slate-600">
+      <div className="flex flex-wrap items-center gap-2">
+        <select value={texture} onChange={(e) => setTexture(e.target.value as SuitTexture | "")} className={select}>
+          <option value="">{t("All textures")}</option>
+          {TEXTURES.map((x) => <option key={x} value={x}>{t(x)}</option>)}
+        </select>
+        <select value={paired} onChange={(e) => setPaired(e.target.value as "" | "paired" | "unpaired")} className={select}>
+          <option value="">{t("Paired or not")}</option>
+          <option value="unpaired">{t("Unpaired")}</option>
+          <option value="paired">{t("Paired")}</option>
+        </select>
+        <select value={light} onChange={(e) => setLight(e.target.value as Tone | "")} className={select}>
+          <option value="">{t("All lights")}</option>
+          {TONES.map((x) => <option key={x} value={x}>{tone(x)}</option>)}
+        </select>
+        <label className="flex items-center gap-1">
+          {t("Sort")}
+          <select value={sort} onChange={(e) => setSort(e.target.value as SpaceSort)} className={select}>
+            <option value="board">{t("By board")}</option>
+            <option value="light">{t("By light")}</option>
+            <option value="green">{t("Most Green")}</option>
+            <option value="red">{t("Most Red")}</option>
+          </select>
+        </label>
+        <span className="ml-auto">
+          {t("{n} classes · {flops} flops", { n: shown.length, flops: total.flops })} ·{" "}
+          <span className="font-semibold text-emerald-700">{pct(total.green)} {tone("green")}</span>,{" "}
+          <span className="font-semibold text-yellow-700">{pct(total.yellow)} {tone("yellow")}</span>,{" "}
+          <span className="font-semibold text-rose-700">{pct(total.red)} {tone("red")}</span>
+        </span>
+      </div>
+      <ToneBar tones={total} />
+      <div className="grid gap-x-3 gap-y-1" style={{ gridTemplateColumns: "4.5rem repeat(3, minmax(0, 1fr))" }}>
+        <div />
+        {TEXTURES.map((x) => (
+          <div key={x} className="font-medium capitalize text-slate-700">{t(x)}</div>
+        ))}
+        {RANKS.map((high) => {
+          const row = shown.filter((c) => c.high === high);
+          if (!row.length) return null;
+          return (
+            <React.Fragment key={high}>
+              <div className="pt-0.5">
+                <div className="font-medium text-slate-700">{t("{rank}-high", { rank: rank(high) })}</div>
+                <ToneBar tones={toneShares(row)} />
+              </div>
+              {TEXTURES.map((tex) => (
+                <div key={tex} className="flex flex-wrap content-start gap-px">
+                  {row.filter((c) => c.texture === tex).sort(order).map((c) => {
+                    const cards = [0, 2, 4].map((i) => c.key.slice(i, i + 2));
+                    const lone = tex === "two-tone" ? cards.find((x) => cards.filter((y) => y[1] === x[1]).length === 1) : undefined;
+                    return (
+                      <button
+                        key={c.key}
+                        onClick={() => c.example && onPick(c.example)}
+                        title={t("{cards} (suits are a pattern): {title}. {tones} of {n} flops", {
+                          cards: cards.map(card).join(" "),
+                          title: t(c.title ?? ""),
+                          tones: TONES.filter((x) => c.tones[x]).map((x) => `${tone(x)} ${c.tones[x]}`).join(" · "),
+                          n: c.combos,
+                        })}
+                        className={"rounded px-0.5 font-mono text-[10px] leading-4 hover:ring-1 hover:ring-slate-500 " + CELL_TONE[c.tone!] + (c.tones[c.tone!] < c.combos ? " opacity-70" : "")}
+                        style={TONE_PATTERN[c.tone!]}
+                        aria-label={`${cards.map((x) => rank(x[0])).join(" ")} ${t(tex)}: ${tone(c.tone!)}, ${t(c.title ?? "")}`}
+                      >
+                        {cards.map((x) => (
+                          <span key={x} className={x === lone ? "opacity-50" : ""}>{x[0]}</span>
+                        ))}
+                      </button>
+                    );
+                  })}
+                </div>
+              ))}
+            </React.Fragment>
+          );
+        })}
+      </div>
+      <div className="text-slate-500">
+        {t("Each cell is one flop up to suit isomorphism (for two-tone, the faded rank is the off-suit card). Faded cells mix lights depending on how the suits meet your hand. Click a cell to load a board.")}
+      </div>
     </div>
-  </motion.div>
-);
+  );
+};
+
+function startFlopSpaceWorker(): Worker | null {
+  try {
+    return new Worker(new URL("./flop_space_worker.ts", import.meta.url), { type: "module" });
+  } catch (e) {
+    return null; // no module workers here: compute on the main thread instead
+  }
+}
+
+// Equity waits for a pause in typing, so a range typed key by key starts one run, not one per key
+const EQUITY_DELAY_MS = 250;
+
+function startEquityWorker(): Worker | null {
+  try {
+    return new Worker(new URL("./equity_worker.ts", import.meta.url), { type: "module" });
+  } catch (e) {
+    return null;
+  }
+}
+
+// Study-sheet downloads; the print page opens in a new tab to print or save as PDF
+// Built on click: a whole range is a bundle per hand class
+const ExportButtons = ({ build, name }: { build: () => StudySheet | null; name: string }) => {
+  const file = name.replace(/[^\w-]+/g, "_");
+  const { t, locale } = usePrefs();
+  const localized = () => {
+    const sheet = build();
+    return sheet && localizeSheet(sheet, locale);
+  };
+  const save = (ext: string, format: (sheet: StudySheet) => string, type: string) => {
+    const sheet = localized();
+    if (sheet) downloadText(`${file}${ext}`, format(sheet), type);
+  };
+  const printPage = () => {
+    const sheet = localized();
+    if (!sheet) return;
+    const url = URL.createObjectURL(new Blob([sheetToPrintHtml(sheet)], { type: "text/html" }));
+    if (!window.open(url, "_blank")) downloadText(`${file}.html`, sheetToPrintHtml(sheet), "text/html");
+    setTimeout(() => URL.revokeObjectURL(url), 60000);
+  };
+  const button = "inline-flex items-center gap-1 rounded-xl border bg-white px-2 py-1 shadow-sm hover:bg-slate-50";
+  return (
+    <div className="flex flex-wrap items-center gap-2 text-xs text-slate-600">
+      <span>{t("Export:")}</span>
+      <button onClick={() => save(".md", sheetToMarkdown, "text/markdown")} className={button}>
+        <Download className="size-3" /> Markdown
+      </button>
+      <button onClick={() => save(".csv", sheetToCsv, "text/csv")} className={button}>
+        <Download className="size-3" /> CSV
+      </button>
+      <button onClick={printPage} className={button} title={t("Print-styled sheet; use the browser's Save as PDF")}>
+        <Printer className="size-3" /> {t("Print / PDF")}
+      </button>
+      <button onClick={() => save("-anki.txt", sheetToAnki, "text/plain")} className={button} title={t("Anki: File → Import this text file")}>
+        <Download className="size-3" /> Anki
+      </button>
+    </div>
+  );
+};
 
 function copyText(text: string) {
   try { navigator.clipboard?.writeText(text); } catch (e) {}
 }
 
+function downloadText(filename: string, text: string, type = "application/json") {
+  const url = URL.createObjectURL(new Blob([text], { type }));
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  a.click();
+  URL.revokeObjectURL(url);
+}
+
+// ----- Sharing & persistence -----
+// The URL hash holds the current spot (encodeSpot / decodeSpot in the engine); settings and
+// recent spots persist in localStorage.
+// Language and notation are the viewer's own, so they are stored but never put in a link.
+type RecentSpot = Spot & { savedAt: number };
+type StoredState = { settings?: { ctx: HandContext; villains: string[]; pack?: RulePack; variant?: Variant }; recent: RecentSpot[]; quiz?: QuizProgress; prefs?: Prefs };
+
+const STORAGE_KEY = "poker-flop-traffic-lights";
+const MAX_RECENT = 20;
+
+function loadStored(): StoredState {
+  try {
+    const parsed = JSON.parse(window.localStorage.getItem(STORAGE_KEY) ?? "null");
+    if (parsed && Array.isArray(parsed.recent)) return parsed;
+  } catch (e) {}
+  return { recent: [] };
+}
+
+function saveStored(state: StoredState) {
+  try { window.localStorage.setItem(STORAGE_KEY, JSON.stringify(state)); } catch (e) {}
+}
+
+// A saved custom pack only applies to the game it was written for
+const packForGame = (pack: RulePack | undefined, variant: Variant) =>
+  pack && (pack.variant ?? "holdem") === variant && !validateRulePack(pack).length ? pack : RULE_PACKS[variant];
+
+// Opening view: a spot in the URL wins; otherwise the last saved settings with an empty hand
+function initialSpot(): Spot & { pack: RulePack } {
+  if (typeof window === "undefined") return { hand: "", board: "", ctx: {}, villains: [DEFAULT_VILLAIN_RANGE], variant: "holdem", pack: DEFAULT_RULE_PACK };
+  const { settings } = loadStored();
+  const linked = decodeSpot(window.location.hash);
+  if (linked) return { ...linked, pack: packForGame(settings?.pack, linked.variant) };
+  const variant = settings?.variant ?? "holdem";
+  const villains = settings?.villains?.length ? settings.villains : [DEFAULT_VILLAIN_RANGE];
+  return { hand: "", board: "", ctx: settings?.ctx ?? {}, villains, variant, pack: packForGame(settings?.pack, variant) };
+}
+
+// Saved prefs, else the browser's language when there is a catalog for it
+function initialPrefs(): Prefs {
+  if (typeof window === "undefined") return { locale: "en", notation: DEFAULT_NOTATION };
+  const { prefs } = loadStored();
+  const browser = (typeof navigator !== "undefined" ? navigator.language ?? "" : "").slice(0, 2) as Locale;
+  const locale = prefs && LOCALES.includes(prefs.locale) ? prefs.locale : LOCALES.includes(browser) ? browser : "en";
+  return { locale, notation: { ...DEFAULT_NOTATION, ...prefs?.notation } };
+}
+
+// Newest first; re-saving the same hand updates its entry instead of adding one per keystroke
+function rememberSpot(recent: RecentSpot[], spot: Spot): RecentSpot[] {
+  const key = encodeSpot(spot);
+  const rest = recent.filter((r, i) => encodeSpot(r) !== key && !(i === 0 && r.hand === spot.hand));
+  return [{ ...spot, savedAt: Date.now() }, ...rest].slice(0, MAX_RECENT);
+}
+
 export default function PokerFlopTrafficLights() {
-  const [handInput, setHandInput] = useState("");
-  const hand = useMemo(() => parseHand(handInput), [handInput]);
-  const advice = useMemo(() => generateAdvice(hand), [hand]);
+  const [initial] = useState(initialSpot);
+  const [prefs, setPrefs] = useState<Prefs>(initialPrefs);
+  const { t, tone: toneLabel, locale, notation } = prefsTools(prefs);
+  const setNotation = (patch: Partial<Notation>) => setPrefs({ ...prefs, notation: { ...notation, ...patch } });
+  const [variant, setVariant] = useState<Variant>(initial.variant);
+  const [handInput, setHandInput] = useState(initial.hand);
+  const hand = useMemo(() => parseHand(handInput, variant), [handInput, variant]);
+  const [villainInputs, setVillainInputs] = useState<string[]>(initial.villains);
+  const parsedRanges = useMemo(() => villainInputs.map(parseRange), [villainInputs]);
+  const ranges = useMemo(() => parsedRanges.filter((r): r is RangeCombo[] => !!r), [parsedRanges]);
+  const [ctx, setCtx] = useState<HandContext>(initial.ctx);
+  const [pack, setPack] = useState<RulePack>(initial.pack);
+  const [packErrors, setPackErrors] = useState<string[]>([]);
+  // Quiz and hand histories are two-card Hold'em; they keep the default pack in other games
+  const holdemPack = (pack.variant ?? "holdem") === "holdem" ? pack : DEFAULT_RULE_PACK;
+  const baseAdvice = useMemo(() => generateAdvice(hand, ctx, pack), [hand, ctx, pack]);
+  const [boardInput, setBoardInput] = useState(initial.board);
+  const board = useMemo(() => parseBoard(boardInput, variant), [boardInput, variant]);
+  // Hand errors wait for Enter, blur or a full-length entry so half-typed hands aren't flagged
+  const [handChecked, setHandChecked] = useState(false);
+  const handError = handInputError(handInput, variant);
+  const showHandError = !!handError && (handChecked || handInput.replace(/\s+/g, "").length >= 2 * HOLE_CARDS[variant]);
+  const boardError = boardInputError(boardInput, variant);
+  const boardRef = useRef<HTMLInputElement>(null);
+  const [pickerOpen, setPickerOpen] = useState(false);
+  const [studyInput, setStudyInput] = useState("");
+  const studyRange = useMemo(() => parseRange(studyInput), [studyInput]);
+  const rangeReport = useMemo(() => rangeFlopReport(studyRange, board, ctx, pack), [studyRange, board, ctx, pack]);
+  const boardClash = clashesWithHand(board, hand);
+  const baseStreets = useMemo(() => streetByStreet(hand, board, ctx, pack), [hand, board, ctx, pack]);
+  // Equity vs the villain ranges runs in a worker; until it lands (and for PLO) the lights are the rules'
+  const wantsEquity = !!hand && hand.variant !== "plo" && ranges.length > 0;
+  const equityInputs = useMemo(() => [baseAdvice, baseStreets, ranges], [baseAdvice, baseStreets, ranges]);
+  const [equity, setEquity] = useState<{ inputs: unknown[]; advice: AdviceBundle | null; streets: StreetVerdict[] } | null>(null);
+  useEffect(() => {
+    if (!wantsEquity) return;
+    let worker: Worker | null = null;
+    const timer = setTimeout(() => {
+      worker = startEquityWorker();
+      if (!worker) {
+        setEquity({ inputs: equityInputs, advice: attachEquity(baseAdvice, hand, ranges, ctx, pack), streets: streetByStreet(hand, board, ctx, pack, ranges) });
+        return;
+      }
+      worker.onmessage = (e: MessageEvent) => setEquity({ inputs: equityInputs, ...e.data });
+      worker.postMessage({ hand: hand.cards.join(""), variant: hand.variant, board, ctx, pack, ranges });
+    }, EQUITY_DELAY_MS);
+    return () => {
+      clearTimeout(timer);
+      worker?.terminate();
+    };
+  }, [equityInputs, wantsEquity]);
+  // Results for older inputs are never shown
+  const current = wantsEquity && equity?.inputs === equityInputs ? equity : null;
+  const advice = current ? current.advice : baseAdvice;
+  const streets = current ? current.streets : baseStreets;
+  const equityPending = wantsEquity && !current;
+  const verdict = streets.length ? streets[streets.length - 1].verdict : null;
+  // Hero's side of the nut advantage is the study range; without one the panel leaves the verdict out
+  const blockers = useMemo(() => blockerReport(hand, board, ranges[0] ?? null, studyRange), [hand, board, ranges, studyRange]);
+  const nextCards = useMemo(() => nextCardLights(hand, board, ctx, pack), [hand, board, ctx, pack]);
+  const [historyText, setHistoryText] = useState("");
+  const [flaggedOnly, setFlaggedOnly] = useState(false);
+  const histories = useMemo(() => parseHandHistories(historyText), [historyText]);
+  const reviews = useMemo(
+    () => histories.map((h) => reviewHistory(h, holdemPack)).filter((r): r is HistoryReview => !!r),
+    [histories, holdemPack]
+  );
+
+  const loadPack = async (file: File) => {
+    try {
+      const parsed = JSON.parse(await file.text());
+      const errors = validateRulePack(parsed);
+      setPackErrors(errors);
+      if (errors.length) return;
+      setPack(parsed as RulePack);
+      setVariant((parsed as RulePack).variant ?? "holdem");
+    } catch (e) {
+      setPackErrors([t("{file} is not valid JSON.", { file: file.name })]);
+    }
+  };
+  const loadHistories = async (files: FileList) => {
+    const texts = await Promise.all([...files].map((f) => f.text()));
+    setHistoryText(texts.join("\n\n"));
+  };
+  const switchVariant = (v: Variant) => {
+    setVariant(v);
+    if ((pack.variant ?? "holdem") !== v) setPack(RULE_PACKS[v]);
+  };
+  const reviewHand = (r: HistoryReview) => {
+    switchVariant("holdem");
+    setHandInput(r.history.hole);
+    setBoardInput(r.history.board.join(" "));
+    setCtx({
+      seat: r.history.seat,
+      stack: r.history.effectiveStack,
+      pot: r.history.potAtFlop,
+      opponents: Math.max(1, r.history.playersAtFlop - 1),
+    });
+  };
+  const spr = stackToPot(ctx);
+  // Custom stats can equal a preset's, so remember that "Custom" was picked
+  const [customVillain, setCustomVillain] = useState(false);
+  const villainChoice = !ctx.villain ? "" : customVillain ? "custom" : presetOf(ctx.villain) ?? "custom";
+  const villainName = ctx.villain
+    ? villainChoice === "custom"
+      ? t("custom villain (reads as {profile})", { profile: t(VILLAIN_LABEL[villainType(ctx.villain)]).toLowerCase() })
+      : t(VILLAIN_LABEL[villainType(ctx.villain)])
+    : "";
+  // A profile sets villain 1's range too (ranges are two-card, so not in PLO)
+  const setVillain = (stats: VillainStats | undefined) => {
+    setCtx({ ...ctx, villain: stats });
+    if (stats && variant !== "plo") setVillainInputs([villainRange(stats), ...villainInputs.slice(1)]);
+  };
+  const profileChanges = useMemo(
+    () => (hand && ctx.villain ? adviceDiff(generateAdvice(hand, { ...ctx, villain: undefined }, pack), generateAdvice(hand, ctx, pack)) : []),
+    [hand, ctx, pack]
+  );
+  const [facingInput, setFacingInput] = useState("");
+  const facing = Math.max(0, Number(facingInput) || 0);
+  // The board's own equity beats a block's average over sampled flops when it is the matched block
+  const decide = (tone: Tone, block: { title: string; actions?: BlockActions; equity?: number }) =>
+    facingBet(block.actions, facing, verdict && (verdict.ruleTone ?? verdict.tone) === tone && verdict.title === block.title ? verdict.equity ?? block.equity : block.equity);
+  const verdictBlock = verdict ? advice?.[verdict.ruleTone ?? verdict.tone].find((b) => b.title === verdict.title) : undefined;
+  const verdictDecision = verdictBlock ? facingBet(verdictBlock.actions, facing, verdict?.equity) : null;
+  const heroCards = useMemo(() => (hand ? hand.cards : []), [hand]);
+  const pickBoard = (flop: string[]) => setBoardInput(flop.join(""));
+
+  // Flop space runs in a worker, restarted whenever its inputs change
+  const [spaceOpen, setSpaceOpen] = useState(false);
+  const [space, setSpace] = useState<{ classes: FlopClass[] | null; progress: number }>({ classes: null, progress: 0 });
+  useEffect(() => {
+    if (!spaceOpen || !hand) return;
+    setSpace({ classes: null, progress: 0 });
+    const worker = startFlopSpaceWorker();
+    if (!worker) {
+      const timer = setTimeout(() => setSpace({ classes: flopSpace(hand, ctx, pack), progress: 1 }), 0);
+      return () => clearTimeout(timer);
+    }
+    worker.onmessage = (e: MessageEvent) => setSpace(e.data.classes ? { classes: e.data.classes, progress: 1 } : { classes: null, progress: e.data.progress });
+    worker.postMessage({ id: 0, hand: hand.cards.join(""), variant, ctx, pack });
+    return () => worker.terminate();
+  }, [spaceOpen, hand?.cards.join(""), variant, ctx, pack]);
+
+  const [recent, setRecent] = useState<RecentSpot[]>(() => (typeof window === "undefined" ? [] : loadStored().recent));
+  const [showRecent, setShowRecent] = useState(false);
+  const spot: Spot = {
+    hand: hand ? hand.cards.join("") : handInput,
+    board: board ? [board.slice(0, 3).join(""), ...board.slice(3)].join(" ") : boardInput,
+    ctx,
+    villains: villainInputs,
+    variant,
+  };
+  const spotKey = encodeSpot(spot);
+  const openSpot = (s: Spot) => {
+    switchVariant(s.variant ?? "holdem");
+    setCustomVillain(false);
+    setHandInput(s.hand);
+    setBoardInput(s.board);
+    setCtx(s.ctx);
+    setVillainInputs(s.villains.length ? s.villains : [DEFAULT_VILLAIN_RANGE]);
+  };
+
+  // Keep the URL hash in step with the view, and remember settings and recent hands
+  useEffect(() => {
+    window.history.replaceState(null, "", spotKey ? "#" + spotKey : window.location.pathname + window.location.search);
+    const next = hand ? rememberSpot(recent, spot) : recent;
+    if (next !== recent) setRecent(next);
+    saveStored({ ...loadStored(), settings: { ctx, villains: villainInputs, pack: pack === RULE_PACKS[variant] ? undefined : pack, variant }, recent: next });
+  }, [spotKey, pack]);
+  useEffect(() => saveStored({ ...loadStored(), prefs }), [prefs]);
+
+  const [quizOpen, setQuizOpen] = useState(false);
+  const [quizProgress, setQuizProgress] = useState<QuizProgress>(() => (typeof window === "undefined" ? {} : loadStored().quiz ?? {}));
+  const [quizDeal, setQuizDeal] = useState<QuizDeal | null>(null);
+  const [quizPick, setQuizPick] = useState<Tone | null>(null);
+  const [quizSession, setQuizSession] = useState({ correct: 0, seen: 0 });
+  const quizAnswer = useMemo(() => {
+    const h = quizDeal && parseHand(quizDeal.hand);
+    const v = h && classifyBoard(h, quizDeal.flop, ctx, holdemPack);
+    if (!v) return null;
+    return { verdict: v, block: generateAdvice(h, ctx, holdemPack)?.[v.tone].find((b) => b.title === v.title) };
+  }, [quizDeal, ctx, holdemPack]);
+  const nextQuiz = () => {
+    setQuizDeal(dealQuiz(quizProgress));
+    setQuizPick(null);
+  };
+  const answerQuiz = (tone: Tone) => {
+    if (!quizDeal || !quizAnswer || quizPick) return;
+    const correct = tone === quizAnswer.verdict.tone;
+    const progress = gradeQuiz(quizProgress, quizDeal.cls, correct);
+    setQuizPick(tone);
+    setQuizProgress(progress);
+    setQuizSession({ correct: quizSession.correct + (correct ? 1 : 0), seen: quizSession.seen + 1 });
+    saveStored({ ...loadStored(), quiz: progress });
+  };
+
+  // A link pasted into the address bar of an open tab
+  useEffect(() => {
+    const onHash = () => {
+      const linked = decodeSpot(window.location.hash);
+      if (linked) openSpot(linked);
+    };
+    window.addEventListener("hashchange", onHash);
+    return () => window.removeEventListener("hashchange", onHash);
+  }, []);
 
   const header = (
     <div className="mx-auto w-full max-w-5xl px-4 pt-10 pb-4">
       <div className="flex flex-col items-center gap-3 text-center">
         <div className="flex items-center gap-2 text-2xl font-bold tracking-tight">
           <Sparkles className="size-5" />
-          <span>Poker Flop Traffic Lights</span>
+          <span>{t("Poker Flop Traffic Lights")}</span>
         </div>
         <p className="max-w-2xl text-sm text-slate-600">
-          Type a starting hand like <span className="font-mono">Js9s</span>, <span className="font-mono">AhKd</span>, or <span className="font-mono">7c7d</span>.
-          We classify <span className="font-medium">Green</span> (build pots), <span className="font-medium">Yellow</span> (realize cheap), and <span className="font-medium">Red</span> (let it go) flop families with quick heuristics.
+          {t("Type a starting hand like Js9s, AhKd, or 7c7d. We classify Green (build pots), Yellow (realize cheap), and Red (let it go) flop families with quick heuristics.")}
         </p>
       </div>
     </div>
@@ -406,72 +1206,586 @@ export default function PokerFlopTrafficLights() {
         <div className="flex flex-wrap items-center gap-2">
           <input
             value={handInput}
-            onChange={(e) => setHandInput(e.target.value)}
+            onChange={(e) => {
+              setHandInput(e.target.value);
+              setHandChecked(false);
+            }}
+            onBlur={() => setHandChecked(true)}
             onKeyDown={(e) => {
               if (e.key === "Enter") {
-                const h = parseHand(handInput);
-                if (!h) return;
+                // A valid hand moves on to the board; an invalid one shows why
+                if (parseHand(handInput, variant)) boardRef.current?.focus();
+                else setHandChecked(true);
               }
             }}
-            placeholder="Enter starting hand (e.g., Js9s, AhKd, 7c7d)"
-            className="w-full flex-1 rounded-xl border px-3 py-2 font-mono text-sm outline-none focus:ring-2 focus:ring-emerald-400 sm:w-[340px]"
+            aria-label={t("Starting hand")}
+            aria-invalid={showHandError}
+            aria-describedby={showHandError ? "hand-error" : undefined}
+            placeholder={t(variant === "plo" ? "Enter four hole cards (e.g., AsKsJhTh)" : "Enter starting hand (e.g., Js9s, AhKd, 7c7d)")}
+            className={"w-full flex-1 rounded-xl border px-3 py-2 font-mono text-sm outline-none focus:ring-2 focus:ring-emerald-400 sm:w-[340px] " + (showHandError ? "border-rose-400" : "")}
+          />
+          <input
+            ref={boardRef}
+            value={boardInput}
+            onChange={(e) => setBoardInput(e.target.value)}
+            aria-label={t("Board")}
+            aria-invalid={!!boardError}
+            aria-describedby={boardError ? "board-error" : undefined}
+            placeholder={t("Board (optional, e.g., Ts8h2s Kd 3c)")}
+            className={"w-full rounded-xl border px-3 py-2 font-mono text-sm outline-none focus:ring-2 focus:ring-emerald-400 sm:w-[240px] " + (boardError ? "border-rose-400" : "")}
           />
           <button
-            onClick={() => setHandInput("")}
+            onClick={() => setPickerOpen(!pickerOpen)}
+            aria-expanded={pickerOpen}
+            aria-controls="card-picker"
             className="inline-flex items-center gap-2 rounded-xl border bg-white px-3 py-2 text-sm shadow-sm hover:bg-slate-50"
-            title="Clear"
+            title={t("Pick cards from a deck (keyboard: rank then suit)")}
           >
-            <RefreshCcw className="size-4" /> Clear
+            <Grid3x3 className="size-4" /> {t("Pick cards")}
           </button>
           <button
-            onClick={() => setHandInput(randomHand())}
+            onClick={() => { setHandInput(""); setBoardInput(""); }}
             className="inline-flex items-center gap-2 rounded-xl border bg-white px-3 py-2 text-sm shadow-sm hover:bg-slate-50"
-            title="Random valid hand"
+            title={t("Clear")}
           >
-            <Shuffle className="size-4" /> Random
+            <RefreshCcw className="size-4" /> {t("Clear")}
+          </button>
+          <button
+            onClick={() => setHandInput(randomHand(variant, board ?? []))}
+            className="inline-flex items-center gap-2 rounded-xl border bg-white px-3 py-2 text-sm shadow-sm hover:bg-slate-50"
+            title={t("Random valid hand")}
+          >
+            <Shuffle className="size-4" /> {t("Random")}
           </button>
           {hand && (
             <button
               onClick={() => copyText(handLabel(hand))}
               className="inline-flex items-center gap-2 rounded-xl border bg-white px-3 py-2 text-sm shadow-sm hover:bg-slate-50"
-              title="Copy parsed hand label"
+              title={t("Copy parsed hand label")}
             >
-              <Copy className="size-4" /> Copy hand
+              <Copy className="size-4" /> {t("Copy hand")}
             </button>
           )}
+          {spotKey && (
+            <button
+              onClick={() => copyText(window.location.href)}
+              className="inline-flex items-center gap-2 rounded-xl border bg-white px-3 py-2 text-sm shadow-sm hover:bg-slate-50"
+              title={t("Copy a link that reopens this hand, board and context")}
+            >
+              <Link2 className="size-4" /> {t("Copy link")}
+            </button>
+          )}
+          <button
+            onClick={() => {
+              if (!quizOpen && !quizDeal) nextQuiz();
+              setQuizOpen(!quizOpen);
+            }}
+            className="inline-flex items-center gap-2 rounded-xl border bg-white px-3 py-2 text-sm shadow-sm hover:bg-slate-50"
+            title={t("Drill: call the light for random hands and flops")}
+          >
+            <GraduationCap className="size-4" /> {t("Quiz")}
+          </button>
+          <button
+            onClick={() => setShowRecent(!showRecent)}
+            className="inline-flex items-center gap-2 rounded-xl border bg-white px-3 py-2 text-sm shadow-sm hover:bg-slate-50"
+            title={t("Recently viewed spots (saved in this browser)")}
+          >
+            <History className="size-4" /> {t("Recent")} ({recent.length})
+          </button>
         </div>
         <div className="flex items-start gap-2 text-xs text-slate-500">
           <Info className="mt-0.5 size-4 shrink-0" />
           <div>
-            Format: <span className="font-mono">RankSuitRankSuit</span> (e.g., <span className="font-mono">J s 9 s</span> → <span className="font-mono">Js9s</span>). Suits: c,d,h,s. Case-insensitive.
+            {t("Format: RankSuitRankSuit (e.g., J s 9 s → Js9s). Suits: c,d,h,s. Case-insensitive.")}
+            {" "}{t("Board: flop, then optional turn and river, the same way (e.g., Ts8h2s or Ts8h2s Kd 3c).")}
+            {variant === "plo" && <> {t("PLO: four hole cards, exactly two of them play.")}</>}
+            {variant === "shortdeck" && <> {t("Short Deck: ranks 6–A only; flushes beat full houses and A-6-7-8-9 is a straight.")}</>}
+          </div>
+        </div>
+        {pickerOpen && <CardPicker handInput={handInput} boardInput={boardInput} variant={variant} onHand={setHandInput} onBoard={setBoardInput} />}
+        {showHandError && <div id="hand-error" role="alert" className="text-xs text-rose-600">{t("Hand")}: {t(handError!)}</div>}
+        {boardError && <div id="board-error" role="alert" className="text-xs text-rose-600">{t("Board")}: {t(boardError)}</div>}
+        {boardClash && <div className="text-xs text-rose-600">{t("The board uses one of your hole cards.")}</div>}
+        <div className="flex flex-wrap items-center gap-2 text-xs text-slate-600">
+          <label className="flex items-center gap-1" title={t("Game variant: changes the deck, hand rankings and rule pack")}>
+            {t("Game")}
+            <select value={variant} onChange={(e) => switchVariant(e.target.value as Variant)} className="rounded-lg border bg-white px-2 py-1">
+              {VARIANTS.map((v) => (
+                <option key={v} value={v}>{t(VARIANT_LABEL[v])}</option>
+              ))}
+            </select>
+          </label>
+          <label className="flex items-center gap-1">
+            {t("Position")}
+            <select
+              value={ctx.seat ?? ctx.position ?? ""}
+              onChange={(e) => {
+                const v = e.target.value;
+                setCtx({ ...ctx, position: v === "IP" || v === "OOP" ? v : undefined, seat: (SEATS as readonly string[]).includes(v) ? (v as Seat) : undefined });
+              }}
+              className="rounded-lg border bg-white px-2 py-1"
+            >
+              <option value="">—</option>
+              <option value="IP">{t("In position")}</option>
+              <option value="OOP">{t("Out of position")}</option>
+              {SEATS.map((seat) => (
+                <option key={seat} value={seat}>{seat} ({SEAT_POSITION[seat]})</option>
+              ))}
+            </select>
+          </label>
+          <label className="flex items-center gap-1">
+            {t("Eff. stack")}
+            <input
+              type="number"
+              min={0}
+              value={ctx.stack ?? ""}
+              onChange={(e) => setCtx({ ...ctx, stack: e.target.value === "" ? undefined : Number(e.target.value) })}
+              className="w-20 rounded-lg border px-2 py-1 font-mono"
+            />
+          </label>
+          <label className="flex items-center gap-1">
+            {t("Pot")}
+            <input
+              type="number"
+              min={0}
+              value={ctx.pot ?? ""}
+              onChange={(e) => setCtx({ ...ctx, pot: e.target.value === "" ? undefined : Number(e.target.value) })}
+              className="w-20 rounded-lg border px-2 py-1 font-mono"
+            />
+          </label>
+          <label className="flex items-center gap-1">
+            {t("Opponents")}
+            <select
+              value={ctx.opponents ?? 1}
+              onChange={(e) => setCtx({ ...ctx, opponents: Number(e.target.value) })}
+              className="rounded-lg border bg-white px-2 py-1"
+            >
+              {[1, 2, 3, 4, 5].map((n) => (
+                <option key={n} value={n}>{n === 1 ? t("Heads-up") : t("{n}-way", { n: n + 1 })}</option>
+              ))}
+            </select>
+          </label>
+          <label className="flex items-center gap-1" title={t("Villain profile: sets villain 1's range and moves lights to exploit it")}>
+            {t("Villain")}
+            <select
+              value={villainChoice}
+              onChange={(e) => {
+                const v = e.target.value;
+                setCustomVillain(v === "custom");
+                if (v === "custom") setVillain(ctx.villain ?? VILLAIN_PRESETS.reg);
+                else setVillain(v ? VILLAIN_PRESETS[v as VillainType] : undefined);
+              }}
+              className="rounded-lg border bg-white px-2 py-1"
+            >
+              <option value="">—</option>
+              {VILLAIN_TYPES.map((type) => (
+                <option key={type} value={type}>{t(VILLAIN_LABEL[type])}</option>
+              ))}
+              <option value="custom">{t("Custom…")}</option>
+            </select>
+          </label>
+          {villainChoice === "custom" && ctx.villain && (
+            <span className="flex items-center gap-1">
+              {([["vpip", "VPIP"], ["pfr", "PFR"], ["af", "AF"], ["foldToCbet", "Fold to c-bet"]] as const).map(([key, label]) => (
+                <label key={key} className="flex items-center gap-1">
+                  {t(label)}
+                  <input
+                    type="number"
+                    min={0}
+                    step={key === "af" ? 0.1 : 1}
+                    value={ctx.villain![key]}
+                    onChange={(e) => {
+                      const stats = { ...ctx.villain!, [key]: Math.max(0, Number(e.target.value) || 0) };
+                      if (key === "vpip") setVillain(stats);
+                      else setCtx({ ...ctx, villain: stats });
+                    }}
+                    className="w-14 rounded-lg border px-2 py-1 font-mono"
+                  />
+                </label>
+              ))}
+              <span className="text-slate-500">→ {t(VILLAIN_LABEL[villainType(ctx.villain)])}</span>
+            </span>
+          )}
+          {spr !== undefined && <span className="font-mono">SPR {spr.toFixed(1)}</span>}
+          <label className="flex items-center gap-1" title={t("A bet you face, as % of the pot: each card answers call, fold or raise")}>
+            {t("Facing bet")}
+            <input
+              type="number"
+              min={0}
+              value={facingInput}
+              onChange={(e) => setFacingInput(e.target.value)}
+              placeholder="—"
+              className="w-16 rounded-lg border bg-white px-2 py-1"
+            />
+            {t("% pot")}
+          </label>
+        </div>
+        <div className="flex flex-wrap items-center gap-2 text-xs text-slate-600">
+          <span>
+            {t("Rule pack:")} <span className="font-medium text-slate-800">{t(pack.name)}</span>
+          </span>
+          <label className="inline-flex cursor-pointer items-center gap-1 rounded-xl border bg-white px-2 py-1 shadow-sm hover:bg-slate-50" title={t("Load a JSON rule pack")}>
+            <Upload className="size-3" /> {t("Load pack")}
+            <input
+              type="file"
+              accept="application/json,.json"
+              className="hidden"
+              onChange={(e) => {
+                const file = e.target.files?.[0];
+                if (file) loadPack(file);
+                e.target.value = "";
+              }}
+            />
+          </label>
+          <button
+            onClick={() => downloadText("traffic-light-rules.json", JSON.stringify(pack, null, 2))}
+            className="inline-flex items-center gap-1 rounded-xl border bg-white px-2 py-1 shadow-sm hover:bg-slate-50"
+            title={t("Download the active pack as JSON to edit")}
+          >
+            <Download className="size-3" /> {t("Export")}
+          </button>
+          {pack !== RULE_PACKS[variant] && (
+            <button
+              onClick={() => { setPack(RULE_PACKS[variant]); setPackErrors([]); }}
+              className="rounded-xl border bg-white px-2 py-1 shadow-sm hover:bg-slate-50"
+              title={t("Back to the built-in heuristics")}
+            >
+              {t("Reset")}
+            </button>
+          )}
+        </div>
+        <div className="flex flex-wrap items-center gap-2 text-xs text-slate-600">
+          <label className="flex items-center gap-1">
+            <Languages className="size-3" /> {t("Language")}
+            <select value={locale} onChange={(e) => setPrefs({ ...prefs, locale: e.target.value as Locale })} className="rounded-lg border bg-white px-2 py-1">
+              {LOCALES.map((l) => (
+                <option key={l} value={l}>{LOCALE_LABEL[l]}</option>
+              ))}
+            </select>
+          </label>
+          <label className="flex items-center gap-1" title={t("How a ten prints")}>
+            {t("Ten")}
+            <select value={notation.ten} onChange={(e) => setNotation({ ten: e.target.value as Notation["ten"] })} className="rounded-lg border bg-white px-2 py-1 font-mono">
+              <option value="T">T</option>
+              <option value="10">10</option>
+            </select>
+          </label>
+          <label className="flex items-center gap-1">
+            {t("Suits")}
+            <select value={notation.suits} onChange={(e) => setNotation({ suits: e.target.value as Notation["suits"] })} className="rounded-lg border bg-white px-2 py-1">
+              <option value="glyphs">♠ ♥ ♦ ♣</option>
+              <option value="letters">s h d c</option>
+            </select>
+          </label>
+          <label className="flex items-center gap-1">
+            <input type="checkbox" checked={notation.fourColor} onChange={(e) => setNotation({ fourColor: e.target.checked })} />
+            {t("Four-color deck")}
+          </label>
+          <label className="flex items-center gap-1" title={t("Off: example flops mark your suit with * instead of naming it")}>
+            <input type="checkbox" checked={notation.heroSuit} onChange={(e) => setNotation({ heroSuit: e.target.checked })} />
+            {t("Your suit in examples")}
+          </label>
+        </div>
+        {packErrors.length > 0 && (
+          <ul className="list-disc pl-5 text-xs text-rose-600">
+            {packErrors.slice(0, 8).map((err, i) => (
+              <li key={i}>{t(err)}</li>
+            ))}
+          </ul>
+        )}
+        {variant === "plo" ? (
+          <div className="text-xs text-slate-500">{t("Villain ranges and equity are two-card only; PLO lights come from the rule pack alone.")}</div>
+        ) : (
+          <div className="flex flex-col gap-2">
+            {villainInputs.map((v, i) => (
+              <div key={i} className="flex flex-wrap items-center gap-2">
+                <span className="w-20 text-xs font-medium text-slate-600">{t("Villain {n}", { n: i + 1 })}</span>
+                <input
+                  value={v}
+                  onChange={(e) => setVillainInputs(villainInputs.map((x, j) => (j === i ? e.target.value : x)))}
+                  placeholder={t("Range (e.g., QQ+, AKs, ATs+, KQo)")}
+                  className="w-full flex-1 rounded-xl border px-3 py-1.5 font-mono text-xs outline-none focus:ring-2 focus:ring-emerald-400"
+                />
+                {villainInputs.length > 1 && (
+                  <button
+                    onClick={() => setVillainInputs(villainInputs.filter((_, j) => j !== i))}
+                    className="rounded-xl border bg-white px-2 py-1 text-xs shadow-sm hover:bg-slate-50"
+                    title={t("Remove villain")}
+                  >
+                    {t("Remove")}
+                  </button>
+                )}
+                {!parsedRanges[i] && <span className="text-xs text-rose-600">{t("Range not recognized")}</span>}
+              </div>
+            ))}
+            <button
+              onClick={() => setVillainInputs([...villainInputs, DEFAULT_VILLAIN_RANGE])}
+              className="self-start rounded-xl border bg-white px-2 py-1 text-xs shadow-sm hover:bg-slate-50"
+              title={t("Add another villain (multiway)")}
+            >
+              + {t("Add villain")}
+            </button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+
+  const rangePanel = (
+    <div className="mx-auto w-full max-w-5xl px-4 pt-4">
+      <div className="grid gap-3 rounded-2xl border bg-white/60 p-4 shadow-sm ring-1 ring-black/5 md:grid-cols-[1fr_2fr]">
+        <div className="flex flex-col gap-2 text-xs text-slate-500">
+          <div className="text-sm font-semibold text-slate-700">{t("Range study")}</div>
+          <input
+            value={studyInput}
+            onChange={(e) => setStudyInput(e.target.value)}
+            placeholder={t("Range (e.g., 22+, A2s-A5s, KTo+, AKo:50%)")}
+            className="w-full rounded-xl border px-3 py-1.5 font-mono text-xs outline-none focus:ring-2 focus:ring-emerald-400"
+          />
+          {studyInput.trim() !== "" && !studyRange && <div className="text-rose-600">{t("Range not recognized.")}</div>}
+          {studyRange && (
+            <div>
+              {t("{n} combos ({weighted} weighted).", { n: studyRange.length, weighted: studyRange.reduce((acc, c) => acc + c.weight, 0).toFixed(1) })}
+            </div>
+          )}
+          <div>{t("Click a cell to load a representative combo into the hand field.")}</div>
+          {studyRange && !board && <div>{t("Enter a board to see how the whole range lights up on it.")}</div>}
+          {rangeReport && <RangeReportView report={rangeReport} />}
+          {studyRange && <ExportButtons build={() => rangeSheet(studyRange, `Range: ${studyInput.trim()}`, ctx, pack)} name="traffic-lights-range" />}
+        </div>
+        <RangeGrid
+          range={studyRange}
+          selected={hand ? comboClass(hand.c1, hand.c2) : undefined}
+          onPick={(cls) => {
+            const combo = representativeCombo(cls, studyRange, board ?? []);
+            if (combo) setHandInput(combo);
+          }}
+        />
+      </div>
+    </div>
+  );
+
+  const quizPanel = quizOpen && quizDeal && (
+    <div className="mx-auto w-full max-w-5xl px-4 pt-4">
+      <div className="grid gap-4 rounded-2xl border bg-white p-4 text-sm shadow-sm ring-1 ring-black/5 md:grid-cols-[2fr_1fr]">
+        <div className="flex flex-col gap-3">
+          <div className="flex flex-wrap items-center gap-3">
+            <span className="font-semibold text-slate-700">{t("Quiz")}</span>
+            <CardText cards={cardsIn(quizDeal.hand)} className="font-mono text-lg text-slate-800" />
+            <span className="text-slate-400">{t("on")}</span>
+            <CardText cards={quizDeal.flop} className="font-mono text-lg text-slate-800" />
+            <span className="text-xs text-slate-500">{t(QUIZ_CLASSES.find((c) => c.id === quizDeal.cls)!.label)}</span>
+          </div>
+          <div className="flex flex-wrap gap-2">
+            {TONES.map((tone) => (
+              <button
+                key={tone}
+                disabled={!!quizPick}
+                onClick={() => answerQuiz(tone)}
+                className={
+                  "rounded-xl border px-4 py-2 font-medium shadow-sm disabled:cursor-default " +
+                  (tone === "green" ? "bg-emerald-50 text-emerald-800 hover:bg-emerald-100" : tone === "yellow" ? "bg-yellow-50 text-yellow-800 hover:bg-yellow-100" : "bg-rose-50 text-rose-800 hover:bg-rose-100") +
+                  (quizPick === tone ? " ring-2 ring-slate-400" : "")
+                }
+              >
+                <span className="inline-flex items-center gap-2"><ToneShape tone={tone} /> {toneLabel(tone)}</span>
+              </button>
+            ))}
           </div>
+          {quizPick && quizAnswer && (
+            <div className="flex flex-col gap-2">
+              <div className="flex flex-wrap items-center gap-2">
+                <span className={"font-semibold " + (quizPick === quizAnswer.verdict.tone ? "text-emerald-700" : "text-rose-700")}>
+                  {t(quizPick === quizAnswer.verdict.tone ? "Correct." : "Not quite.")}
+                </span>
+                <Badge tone={quizAnswer.verdict.tone}>{toneLabel(quizAnswer.verdict.tone)}</Badge>
+                <span className="font-medium text-slate-700">{t(quizAnswer.verdict.title)}</span>
+                <span className="text-slate-500">— {t(quizAnswer.verdict.reason)}</span>
+              </div>
+              {quizAnswer.block && (
+                <ul className="list-disc space-y-1 pl-5 text-slate-600">
+                  {quizAnswer.block.bullets.map((b, j) => (
+                    <li key={j}>{t(b)}</li>
+                  ))}
+                </ul>
+              )}
+              <div className="flex gap-2">
+                <button onClick={nextQuiz} className="rounded-xl border bg-white px-3 py-1.5 shadow-sm hover:bg-slate-50">
+                  {t("Next hand")}
+                </button>
+                <button
+                  onClick={() => openSpot({ ...spot, hand: quizDeal.hand, board: quizDeal.flop.join("") })}
+                  className="rounded-xl border bg-white px-3 py-1.5 shadow-sm hover:bg-slate-50"
+                  title={t("Load this hand and flop into the explorer")}
+                >
+                  {t("Open in explorer")}
+                </button>
+              </div>
+            </div>
+          )}
+        </div>
+        <div className="flex flex-col gap-1 text-xs text-slate-600">
+          <div className="font-semibold text-slate-700">
+            {t("This session:")} {quizSession.correct}/{quizSession.seen}
+          </div>
+          <table className="w-full">
+            <tbody>
+              {QUIZ_CLASSES.map((c) => {
+                const rec = quizProgress[c.id];
+                return (
+                  <tr key={c.id} className={c.id === quizDeal.cls ? "font-medium text-slate-800" : ""}>
+                    <td className="py-0.5">{t(c.label)}</td>
+                    <td className="text-right font-mono">{rec ? `${rec.correct}/${rec.seen}` : "—"}</td>
+                    <td className="text-right font-mono" title={t("Spaced-repetition box (1 = shown most often)")}>
+                      {rec ? t("box {n}", { n: rec.box }) : ""}
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+          {Object.keys(quizProgress).length > 0 && (
+            <button
+              onClick={() => { setQuizProgress({}); saveStored({ ...loadStored(), quiz: {} }); }}
+              className="self-start rounded-xl border bg-white px-2 py-1 shadow-sm hover:bg-slate-50"
+            >
+              {t("Reset progress")}
+            </button>
+          )}
         </div>
       </div>
     </div>
   );
 
+  const historyPanel = (
+    <div className="mx-auto w-full max-w-5xl px-4 pt-4">
+      <div className="flex flex-col gap-2 rounded-2xl border bg-white/60 p-4 text-xs text-slate-500 shadow-sm ring-1 ring-black/5">
+        <div className="flex flex-wrap items-center gap-2">
+          <span className="text-sm font-semibold text-slate-700">{t("Hand history review")}</span>
+          <label className="inline-flex cursor-pointer items-center gap-1 rounded-xl border bg-white px-2 py-1 shadow-sm hover:bg-slate-50" title={t("PokerStars or GGPoker .txt hand histories")}>
+            <Upload className="size-3" /> {t("Load files")}
+            <input
+              type="file"
+              accept="text/plain,.txt"
+              multiple
+              className="hidden"
+              onChange={(e) => {
+                if (e.target.files?.length) loadHistories(e.target.files);
+                e.target.value = "";
+              }}
+            />
+          </label>
+          {historyText && (
+            <button onClick={() => setHistoryText("")} className="rounded-xl border bg-white px-2 py-1 shadow-sm hover:bg-slate-50">
+              {t("Clear")}
+            </button>
+          )}
+          <label className="ml-auto inline-flex items-center gap-1">
+            <input type="checkbox" checked={flaggedOnly} onChange={(e) => setFlaggedOnly(e.target.checked)} />
+            {t("Flagged only")}
+          </label>
+        </div>
+        <textarea
+          value={historyText}
+          onChange={(e) => setHistoryText(e.target.value)}
+          placeholder={t("Paste PokerStars / GGPoker hand histories — nothing leaves your browser.")}
+          rows={historyText ? 4 : 2}
+          className="w-full rounded-xl border px-3 py-1.5 font-mono text-xs outline-none focus:ring-2 focus:ring-emerald-400"
+        />
+        {historyText.trim() !== "" && (
+          <div>
+            {t("{hands} hands with hero's cards · {flops} saw a flop · {flagged} flagged (Red streets with {x}× the flop pot or more in, or a fold on Green).", {
+              hands: histories.length,
+              flops: reviews.length,
+              flagged: reviews.filter((r) => r.flags.length).length,
+              x: RED_MONEY_FLAG,
+            })}
+          </div>
+        )}
+        {reviews.length > 0 && (
+          <HistoryReviewList reviews={flaggedOnly ? reviews.filter((r) => r.flags.length) : reviews} onPick={reviewHand} />
+        )}
+      </div>
+    </div>
+  );
+
   const content = (
     <div className="mx-auto w-full max-w-5xl gap-4 px-4 py-6">
       {!hand && (
         <div className="rounded-2xl border bg-white/70 p-6 text-slate-600 shadow-sm ring-1 ring-black/5">
-          <div className="mb-2 flex items-center gap-2 text-sm font-semibold"><CircleHelp className="size-4"/> How to read the output</div>
+          <div className="mb-2 flex items-center gap-2 text-sm font-semibold"><CircleHelp className="size-4"/> {t("How to read the output")}</div>
           <ul className="list-disc space-y-1 pl-5 text-sm">
-            <li><span className="font-medium">Green</span>: strong value/combo equity → build pots (size up multiway for protection).</li>
-            <li><span className="font-medium">Yellow</span>: marginal / backdoor-heavy → realize equity cheap; fold to heat multiway.</li>
-            <li><span className="font-medium">Red</span>: range disadvantage / dominated → check-fold; don’t bloat.</li>
+            <li><span className="inline-flex items-center gap-1 font-medium"><ToneShape tone="green" /> {t("Green (circle)")}</span>: {t("strong value/combo equity → build pots (size up multiway for protection).")}</li>
+            <li><span className="inline-flex items-center gap-1 font-medium"><ToneShape tone="yellow" /> {t("Yellow (triangle)")}</span>: {t("marginal / backdoor-heavy → realize equity cheap; fold to heat multiway.")}</li>
+            <li><span className="inline-flex items-center gap-1 font-medium"><ToneShape tone="red" /> {t("Red (square)")}</span>: {t("range disadvantage / dominated → check-fold; don’t bloat.")}</li>
           </ul>
         </div>
       )}
 
+      {verdict && board && (
+        <div className="mb-4 flex flex-wrap items-center gap-2 rounded-2xl border bg-white p-4 text-sm shadow-sm ring-1 ring-black/5">
+          <CardText cards={board} className="font-mono text-slate-800" />
+          <Badge tone={verdict.tone}>{toneLabel(verdict.tone)}</Badge>
+          <span className="font-medium text-slate-700">{t(verdict.title)}</span>
+          <span className="text-slate-500">— {t(verdict.reason)}</span>
+          {verdict.equity !== undefined && (
+            <span className="ml-auto font-mono text-slate-700" title={t("Equity on this board vs the villain ranges")}>
+              {pct(verdict.equity)}
+              {verdict.ruleTone && verdict.ruleTone !== verdict.tone && (
+                <span className="ml-2 font-sans text-xs text-slate-500">{t("(rules said {tone})", { tone: toneLabel(verdict.ruleTone) })}</span>
+              )}
+            </span>
+          )}
+          <div className="w-full text-xs text-slate-500">
+            {t("Made:")} {t(verdict.evaluation.label)}
+            {" · "}{t("Draws:")} {verdict.evaluation.draws.length ? verdict.evaluation.draws.map((d) => t(DRAW_LABEL[d])).join(", ") : t("none")}
+            {board.length < 5 && <>{" · "}{t("Outs: {n} ({clean} clean)", { n: verdict.evaluation.outs.length, clean: verdict.evaluation.cleanOuts.length })}</>}
+          </div>
+          {verdictBlock?.actions && (
+            <div className="w-full border-t pt-2">
+              <ActionBar actions={verdictBlock.actions} decision={verdictDecision} facing={facing} />
+            </div>
+          )}
+          {streets.length > 1 && <StreetTimeline streets={streets} />}
+        </div>
+      )}
+
+      {nextCards.length > 0 && board && (
+        <div className="mb-4 rounded-2xl border bg-white p-4 shadow-sm ring-1 ring-black/5">
+          <NextCardGrid lights={nextCards} street={board.length === 3 ? "turn" : "river"} variant={variant} />
+        </div>
+      )}
+
+      {hand && (
+        <div className="mb-4 rounded-2xl border bg-white p-4 shadow-sm ring-1 ring-black/5">
+          <div className="flex items-center gap-2">
+            <span className="text-sm font-semibold text-slate-700">{t("Flop space for {hand}", { hand: handLabel(hand) })}</span>
+            <button onClick={() => setSpaceOpen(!spaceOpen)} className="ml-auto rounded-xl border bg-white px-2 py-1 text-xs shadow-sm hover:bg-slate-50">
+              {spaceOpen ? t("Hide") : t("Show all {n} flops", { n: variant === "shortdeck" ? "573" : "1,755" })}
+            </button>
+          </div>
+          {spaceOpen && !space.classes && (
+            <div className="mt-3 text-xs text-slate-500">{t("Classifying every flop…")} {pct(space.progress)}</div>
+          )}
+          {spaceOpen && space.classes && (
+            <div className="mt-3">
+              <FlopSpaceView classes={space.classes} onPick={pickBoard} />
+            </div>
+          )}
+        </div>
+      )}
+
+      {hand && ctx.villain && <ProfileDiff label={villainName} changes={profileChanges} />}
+
       <AnimatePresence mode="popLayout">
         {hand && advice && (
           <motion.div layout className="grid grid-cols-1 gap-4 md:grid-cols-3">
             <div className="space-y-3">
               {advice.green.map((g, i) => (
-                <Card key={"g" + i} title={g.title} tone="green" examples={g.examples}>
+                <Card key={"g" + i} dead={heroCards} variant={variant} blockers={blockers} onPickBoard={pickBoard} title={g.title} tone="green" actions={g.actions} decision={decide("green", g)} facing={facing} examples={g.examples} highlight={(verdict?.ruleTone ?? verdict?.tone) === "green" && verdict?.title === g.title} equity={g.equity} equitySamples={g.equitySamples} adjustments={g.adjustments}>
                   <ul className="list-disc space-y-1 pl-5 text-sm">
                     {g.bullets.map((b, j) => (
-                      <li key={j}>{b}</li>
+                      <li key={j}>{t(b)}</li>
                     ))}
                   </ul>
                 </Card>
@@ -479,10 +1793,10 @@ export default function PokerFlopTrafficLights() {
             </div>
             <div className="space-y-3">
               {advice.yellow.map((g, i) => (
-                <Card key={"y" + i} title={g.title} tone="yellow" examples={g.examples}>
+                <Card key={"y" + i} dead={heroCards} variant={variant} blockers={blockers} onPickBoard={pickBoard} title={g.title} tone="yellow" actions={g.actions} decision={decide("yellow", g)} facing={facing} examples={g.examples} highlight={(verdict?.ruleTone ?? verdict?.tone) === "yellow" && verdict?.title === g.title} equity={g.equity} equitySamples={g.equitySamples} adjustments={g.adjustments}>
                   <ul className="list-disc space-y-1 pl-5 text-sm">
                     {g.bullets.map((b, j) => (
-                      <li key={j}>{b}</li>
+                      <li key={j}>{t(b)}</li>
                     ))}
                   </ul>
                 </Card>
@@ -490,10 +1804,10 @@ export default function PokerFlopTrafficLights() {
             </div>
             <div className="space-y-3">
               {advice.red.map((g, i) => (
-                <Card key={"r" + i} title={g.title} tone="red" examples={g.examples}>
+                <Card key={"r" + i} dead={heroCards} variant={variant} blockers={blockers} onPickBoard={pickBoard} title={g.title} tone="red" actions={g.actions} decision={decide("red", g)} facing={facing} examples={g.examples} highlight={(verdict?.ruleTone ?? verdict?.tone) === "red" && verdict?.title === g.title} equity={g.equity} equitySamples={g.equitySamples} adjustments={g.adjustments}>
                   <ul className="list-disc space-y-1 pl-5 text-sm">
                     {g.bullets.map((b, j) => (
-                      <li key={j}>{b}</li>
+                      <li key={j}>{t(b)}</li>
                     ))}
                   </ul>
                 </Card>
@@ -506,26 +1820,100 @@ export default function PokerFlopTrafficLights() {
       {hand && (
         <div className="mt-6 grid gap-3 rounded-2xl border bg-white p-4 shadow-sm ring-1 ring-black/5 md:grid-cols-2">
           <div>
-            <div className="text-sm font-semibold text-slate-700">Parsed hand</div>
+            <div className="text-sm font-semibold text-slate-700">{t("Parsed hand")}</div>
             <div className="font-mono text-slate-800">{handLabel(hand)}</div>
-            <div className="mt-2 text-xs text-slate-500">Suited: {hand.suited ? "Yes" : "No"} · Pair: {hand.pair ? "Yes" : "No"} · Gap: {Math.abs(RANK_ORDER[hand.r1] - RANK_ORDER[hand.r2])}</div>
+            {hand.variant === "plo" ? (
+              <div className="mt-2 text-xs text-slate-500">{t(VARIANT_LABEL.plo)} · {t("exactly two hole cards and three board cards make the hand")}</div>
+            ) : (
+              <div className="mt-2 text-xs text-slate-500">
+                {t(VARIANT_LABEL[hand.variant])} · {t("Suited:")} {t(hand.suited ? "Yes" : "No")} · {t("Pair:")} {t(hand.pair ? "Yes" : "No")} · {t("Gap:")} {Math.abs(RANK_ORDER[hand.r1] - RANK_ORDER[hand.r2])}
+              </div>
+            )}
+            {advice?.equity !== undefined && (
+              <div className="mt-1 text-xs text-slate-500">
+                {t(ranges.length === 1 ? "Preflop equity vs villain range:" : "Preflop equity vs {n} villain ranges:", { n: ranges.length })}{" "}
+                <span className="font-mono font-semibold text-slate-700">{pct(advice.equity)}</span>
+                {streets.map((st) =>
+                  st.verdict.equity !== undefined ? (
+                    <span key={st.street}>
+                      {" · "}{t(st.street === "flop" ? "Flop equity:" : st.street === "turn" ? "Turn equity:" : "River equity:")} <span className="font-mono font-semibold text-slate-700">{pct(st.verdict.equity)}</span>
+                    </span>
+                  ) : null
+                )}
+              </div>
+            )}
+            {equityPending && <div className="mt-1 text-xs text-slate-500">{t("Running equity vs the villain ranges…")}</div>}
           </div>
           <div className="text-xs text-slate-500">
-            This tool encodes practical heuristics for MTT/cash NLHE. Always adjust to position, SPR, players, and bet sizing. Use as a quick <em>traffic light</em> guide, not absolute rules.
+            {t("This tool encodes practical heuristics for MTT/cash {game}. Position, SPR, player count and villain's profile are applied when set above, and each light suggests bet sizes and how much to continue against. Use as a quick traffic light guide, not absolute rules.", {
+              game: variant === "plo" ? t("pot-limit Omaha") : variant === "shortdeck" ? t("Short Deck") : "NLHE",
+            })}
+          </div>
+          <div className="md:col-span-2">
+            <ExportButtons build={() => handSheet(hand.cards.join(""), board, ctx, pack)} name={`traffic-lights-${hand.cards.join("")}`} />
           </div>
         </div>
       )}
     </div>
   );
 
+  const recentSidebar = showRecent && (
+    <aside className="fixed inset-y-0 right-0 z-20 flex w-72 flex-col gap-2 overflow-y-auto border-l bg-white p-4 text-xs shadow-xl">
+      <div className="flex items-center gap-2">
+        <span className="text-sm font-semibold text-slate-700">{t("Recent spots")}</span>
+        <button onClick={() => setShowRecent(false)} className="ml-auto rounded-lg p-1 hover:bg-slate-100" title={t("Close")}>
+          <X className="size-4" />
+        </button>
+      </div>
+      {recent.length === 0 && <div className="text-slate-500">{t("Hands you look at are saved here, in this browser only.")}</div>}
+      {recent.map((r) => {
+        const key = encodeSpot(r);
+        const rBoard = parseBoard(r.board, r.variant);
+        const spr = stackToPot(r.ctx);
+        return (
+          <button
+            key={key}
+            onClick={() => openSpot(r)}
+            className={"rounded-xl border px-3 py-2 text-left hover:bg-slate-50 " + (key === spotKey ? "ring-2 ring-emerald-400" : "")}
+          >
+            <div className="font-mono font-semibold text-slate-800">
+              <CardText cards={cardsIn(r.hand)} />
+              {rBoard && <CardText cards={rBoard} className="ml-2 font-normal text-slate-600" />}
+            </div>
+            <div className="text-slate-500">
+              {[r.ctx.seat ?? r.ctx.position, r.ctx.opponents && r.ctx.opponents > 1 ? t("{n}-way", { n: r.ctx.opponents + 1 }) : null, spr !== undefined ? `SPR ${spr.toFixed(1)}` : null]
+                .filter(Boolean)
+                .join(" · ") || t("No context")}
+              {" · "}{new Date(r.savedAt).toLocaleString(locale)}
+            </div>
+          </button>
+        );
+      })}
+      {recent.length > 0 && (
+        <button
+          onClick={() => { setRecent([]); saveStored({ ...loadStored(), recent: [] }); }}
+          className="self-start rounded-xl border bg-white px-2 py-1 shadow-sm hover:bg-slate-50"
+        >
+          {t("Clear history")}
+        </button>
+      )}
+    </aside>
+  );
+
   return (
-    <div className="min-h-dvh w-full bg-gradient-to-b from-emerald-50 via-white to-white">
-      {header}
-      {controls}
-      {content}
-      <footer className="mx-auto w-full max-w-5xl px-4 pb-10 text-center text-xs text-slate-400">
-        Built with React + Tailwind. Tip: paste <span className="font-mono">Js9s</span> to see suited-connector behavior.
-      </footer>
-    </div>
+    <PrefsContext.Provider value={prefs}>
+      <div className="min-h-dvh w-full bg-gradient-to-b from-emerald-50 via-white to-white">
+        {recentSidebar}
+        {header}
+        {controls}
+        {quizPanel}
+        {variant !== "plo" && rangePanel}
+        {historyPanel}
+        {content}
+        <footer className="mx-auto w-full max-w-5xl px-4 pb-10 text-center text-xs text-slate-400">
+          {t("Built with React + Tailwind. Tip: paste Js9s to see suited-connector behavior.")}
+        </footer>
+      </div>
+    </PrefsContext.Provider>
   );
 }
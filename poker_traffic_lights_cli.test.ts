@@ -0,0 +1,92 @@
+/**
+ * Regression cases for the CLI's JSON and CSV output, run as a child process the way users run it.
+ */
+import assert from "node:assert/strict";
+import { spawnSync } from "node:child_process";
+import { describe, test } from "node:test";
+
+const cli = (input: string, ...args: string[]) =>
+  spawnSync(process.execPath, ["--import", "tsx", "poker_traffic_lights_cli.ts", "-", ...args], { input, encoding: "utf8" });
+
+describe("CLI", () => {
+  test("JSON gives the advice per line and the board's light", () => {
+    const out = cli("# spots\nJs9s Ts8h2s\n\nAhKd\n");
+    assert.equal(out.status, 0);
+    const results = JSON.parse(out.stdout);
+    assert.equal(results.length, 2);
+    assert.deepEqual(results[0].verdict, {
+      tone: "green",
+      title: "Strong combo equity (OESDs/GS + backdoors)",
+      reason: "Open-ended straight draw.",
+      made: "High card",
+    });
+    assert.equal(results[1].line, 4);
+    assert.equal(results[1].verdict, undefined);
+    assert.ok(results[1].advice.green.length > 0);
+  });
+
+  test("a full board gets a light per street", () => {
+    const [result] = JSON.parse(cli("Js9s Ts8h2s Kd 3c\n").stdout);
+    assert.deepEqual(
+      result.streets.map((s: { street: string }) => s.street),
+      ["flop", "turn", "river"]
+    );
+  });
+
+  test("context options move the advice", () => {
+    const moved = (args: string[]) =>
+      JSON.parse(cli("7c7d\n", ...args).stdout)[0].advice.red.some((b: { title: string }) => b.title === "Underpairs / Paired boards");
+    assert.equal(moved([]), false);
+    assert.equal(moved(["--opponents", "3"]), true);
+    assert.equal(moved(["--villain", "nit"]), true);
+    assert.equal(moved(["--villain", "12/9/2/60"]), true);
+  });
+
+  test("CSV has one row per advice block and marks the matched one", () => {
+    const out = cli("Js9s Ts8h2s\n", "--format", "csv");
+    assert.equal(out.status, 0);
+    const [header, ...rows] = out.stdout.trim().split("\n");
+    assert.equal(header, "line,hand,combo,board,light,title,matches_board,actions,bullets,examples");
+    assert.ok(rows.length > 3);
+    const matched = rows.filter((r) => r.includes(",true,"));
+    assert.equal(matched.length, 1);
+    assert.ok(matched[0].startsWith("1,") && matched[0].includes(",green,Strong combo equity (OESDs/GS + backdoors),"));
+  });
+
+  test("study-sheet formats print the whole batch", () => {
+    assert.match(cli("Js9s Ts8h2s\n", "--format", "md").stdout, /^# Flop traffic lights\n/);
+    assert.match(cli("Js9s\n", "--format", "html").stdout, /^<!doctype html>/);
+    assert.match(cli("Js9s\n", "--format", "anki").stdout, /^#separator:tab\n/);
+  });
+
+  test("--game picks the deck and the pack's game", () => {
+    const [result] = JSON.parse(cli("AsKsJhTh Qs9h2c\n", "--game", "plo").stdout);
+    assert.equal(result.hand, "AsKsJhTh");
+    const short = cli("Js9s Ts8h2s\n", "--game", "shortdeck");
+    assert.equal(short.status, 1);
+    assert.match(short.stderr, /"Ts8h2s" is not a 3–5 card board/);
+  });
+
+  test("--lang translates the advice but not the keys", () => {
+    const [result] = JSON.parse(cli("Js9s Ts8h2s\n", "--lang", "de").stdout);
+    assert.equal(result.verdict.tone, "green");
+    assert.equal(result.verdict.title, "Starke Kombi-Equity (Open-Ender/Gutshots + Backdoors)");
+    assert.match(cli("Js9s\n", "--format", "md", "--lang", "es").stdout, /^# Semáforos del flop\n/);
+  });
+
+  test("bad lines go to stderr with exit code 1", () => {
+    const out = cli("Js9s\nXx9s\n");
+    assert.equal(out.status, 1);
+    assert.match(out.stderr, /line 2: "Xx9s" is not a hand/);
+    assert.equal(JSON.parse(out.stdout).length, 1);
+  });
+
+  test("unknown options and bad values exit with code 2", () => {
+    assert.equal(cli("", "--nope").status, 2);
+    assert.equal(cli("", "--seat", "MP").status, 2);
+    assert.equal(cli("", "--pack", "missing.json").status, 2);
+    assert.equal(cli("", "--game", "stud").status, 2);
+    assert.equal(cli("", "--villain", "loose").status, 2);
+    assert.equal(cli("", "--lang", "fr").status, 2);
+  });
+});
@@ -0,0 +1,207 @@
+#!/usr/bin/env -S npx tsx
+/**
+ * Poker Flop Traffic Lights — batch CLI on top of the headless engine.
+ *
+ *   npx tsx poker_traffic_lights_cli.ts [file|-] [--format json|csv|md|html|anki] [--game holdem|shortdeck|plo]
+ *                                       [--seat BTN] [--position IP|OOP] [--stack 100] [--pot 10] [--opponents 2]
+ *                                       [--villain nit|reg|station|maniac|VPIP/PFR/AF/FOLD] [--pack rules.json] [--lang en|es|de]
+ *
+ * Input is one spot per line, from the file or stdin: a hand, optionally followed by a board
+ *   Js9s
+ *   AhKd Ts8h2s Kd
+ *   AsKsJhTh Qs9h2c      (with --game plo)
+ * --game picks the deck, hand rankings and built-in pack; a --pack written for another game is an error.
+ * --villain takes a profile preset or custom stats (e.g. 24/19/2.5/45 for VPIP, PFR, AF, fold to c-bet).
+ * --lang translates advice, verdicts and sheet labels; JSON keys, CSV headers and light columns stay English.
+ * Blank lines and lines starting with # are skipped. Output is the AdviceBundle per line (JSON),
+ * one row per advice block (CSV), or a study sheet (Markdown, print HTML, Anki notes).
+ * Bad lines are reported on stderr and the exit code is 1.
+ */
+import { readFileSync } from "node:fs";
+import {
+  RULE_PACKS,
+  SEATS,
+  VARIANTS,
+  VILLAIN_PRESETS,
+  VILLAIN_TYPES,
+  classifyBoard,
+  generateAdvice,
+  handLabel,
+  parseBoard,
+  parseHand,
+  streetByStreet,
+  validateRulePack,
+} from "./poker_traffic_lights_engine";
+import { sheetToAnki, sheetToCsv, sheetToMarkdown, sheetToPrintHtml } from "./poker_traffic_lights_export";
+import type { StudySheet } from "./poker_traffic_lights_export";
+import { LOCALES, localizeAdvice, translate } from "./poker_traffic_lights_i18n";
+import type { Locale } from "./poker_traffic_lights_i18n";
+import type { AdviceBundle, HandContext, RulePack, Seat, Tone, Variant, VillainType } from "./poker_traffic_lights_engine";
+
+type SpotResult = {
+  line: number;
+  hand: string;
+  label: string;
+  board?: string[];
+  advice: AdviceBundle;
+  verdict?: { tone: Tone; title: string; reason: string; made: string };
+  streets?: { street: string; tone: Tone; title: string }[];
+};
+
+const FORMATS = ["json", "csv", "md", "html", "anki"];
+
+const USAGE = "usage: poker_traffic_lights_cli.ts [file|-] [--format json|csv|md|html|anki] [--game holdem|shortdeck|plo] [--seat SEAT] [--position IP|OOP] [--stack N] [--pot N] [--opponents N] [--villain PROFILE|VPIP/PFR/AF/FOLD] [--pack rules.json] [--lang en|es|de]";
+
+function fail(message: string): never {
+  process.stderr.write(message + "\n");
+  process.exit(2);
+}
+
+function parseArgs(argv: string[]) {
+  const opts = { file: "-", format: "json", ctx: {} as HandContext, variant: "holdem" as Variant, pack: undefined as RulePack | undefined, locale: "en" as Locale };
+  const num = (flag: string, value: string | undefined) => {
+    const n = Number(value);
+    if (value === undefined || !Number.isFinite(n) || n < 0) fail(`${flag} needs a non-negative number`);
+    return n;
+  };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const value = argv[i + 1];
+    if (arg === "--help" || arg === "-h") {
+      process.stdout.write(USAGE + "\n");
+      process.exit(0);
+    } else if (arg === "--format") {
+      if (!FORMATS.includes(value ?? "")) fail(`--format must be one of ${FORMATS.join(", ")}`);
+      opts.format = value;
+      i++;
+    } else if (arg === "--game") {
+      if (!(VARIANTS as readonly string[]).includes(value ?? "")) fail(`--game must be one of ${VARIANTS.join(", ")}`);
+      opts.variant = value as Variant;
+      i++;
+    } else if (arg === "--seat") {
+      if (!(SEATS as readonly string[]).includes(value ?? "")) fail(`--seat must be one of ${SEATS.join(", ")}`);
+      opts.ctx.seat = value as Seat;
+      i++;
+    } else if (arg === "--position") {
+      if (value !== "IP" && value !== "OOP") fail("--position must be IP or OOP");
+      opts.ctx.position = value;
+      i++;
+    } else if (arg === "--stack" || arg === "--pot" || arg === "--opponents") {
+      const n = num(arg, value);
+      if (arg === "--stack") opts.ctx.stack = n;
+      else if (arg === "--pot") opts.ctx.pot = n;
+      else opts.ctx.opponents = Math.max(1, Math.round(n));
+      i++;
+    } else if (arg === "--villain") {
+      const stats = (value ?? "").split("/").map(Number);
+      if ((VILLAIN_TYPES as readonly string[]).includes(value ?? "")) opts.ctx.villain = VILLAIN_PRESETS[value as VillainType];
+      else if (stats.length === 4 && stats.every((n) => Number.isFinite(n) && n >= 0)) {
+        opts.ctx.villain = { vpip: stats[0], pfr: stats[1], af: stats[2], foldToCbet: stats[3] };
+      } else fail(`--villain must be one of ${VILLAIN_TYPES.join(", ")} or VPIP/PFR/AF/FOLD numbers`);
+      i++;
+    } else if (arg === "--lang") {
+      if (!(LOCALES as readonly string[]).includes(value ?? "")) fail(`--lang must be one of ${LOCALES.join(", ")}`);
+      opts.locale = value as Locale;
+      i++;
+    } else if (arg === "--pack") {
+      let parsed: unknown;
+      try {
+        parsed = JSON.parse(readFileSync(value ?? "", "utf8"));
+      } catch (e) {
+        fail(`--pack: cannot read JSON from ${value}`);
+      }
+      const errors = validateRulePack(parsed);
+      if (errors.length) fail(errors.join("\n"));
+      opts.pack = parsed as RulePack;
+      i++;
+    } else if (arg.startsWith("--")) {
+      fail(`unknown option ${arg}\n${USAGE}`);
+    } else {
+      opts.file = arg;
+    }
+  }
+  const pack = opts.pack ?? RULE_PACKS[opts.variant];
+  if ((pack.variant ?? "holdem") !== opts.variant) fail(`--pack is written for ${pack.variant ?? "holdem"}, not ${opts.variant}; pass --game ${pack.variant ?? "holdem"}`);
+  return { ...opts, pack };
+}
+
+function classifyLine(text: string, line: number, ctx: HandContext, pack: RulePack): SpotResult | string {
+  const [handText, ...boardParts] = text.split(/[\s,]+/);
+  const variant = pack.variant ?? "holdem";
+  const hand = parseHand(handText, variant);
+  if (!hand) return `line ${line}: "${handText}" is not a hand like ${variant === "plo" ? "AsKsJhTh" : variant === "shortdeck" ? "Js9s (ranks 6–A)" : "Js9s"}`;
+  const advice = generateAdvice(hand, ctx, pack)!;
+  const result: SpotResult = { line, hand: hand.cards.join(""), label: handLabel(hand), advice };
+  if (!boardParts.length) return result;
+
+  const board = parseBoard(boardParts.join(" "), variant);
+  if (!board) return `line ${line}: "${boardParts.join(" ")}" is not a 3–5 card board`;
+  const verdict = classifyBoard(hand, board, ctx, pack, advice);
+  if (!verdict) return `line ${line}: the board uses one of the hole cards`;
+  result.board = board;
+  result.verdict = { tone: verdict.tone, title: verdict.title, reason: verdict.reason, made: verdict.evaluation.label };
+  result.streets = streetByStreet(hand, board, ctx, pack).map((st) => ({ street: st.street, tone: st.verdict.tone, title: st.verdict.title }));
+  return result;
+}
+
+// Titles stay English while classifying (they are the blocks' identity) and are translated together here
+function localizeResult(r: SpotResult, locale: Locale): SpotResult {
+  if (locale === "en") return r;
+  const t = (text: string) => translate(text, locale);
+  return {
+    ...r,
+    advice: localizeAdvice(r.advice, locale),
+    verdict: r.verdict && { ...r.verdict, title: t(r.verdict.title), reason: t(r.verdict.reason), made: t(r.verdict.made) },
+    streets: r.streets?.map((st) => ({ ...st, street: t(st.street), title: t(st.title) })),
+  };
+}
+
+function toSheet(results: SpotResult[], locale: Locale): StudySheet {
+  return {
+    title: translate("Flop traffic lights", locale),
+    entries: results.map((r) => ({
+      heading: r.board ? translate("{hand} on {board}", locale, { hand: r.label, board: r.board.join(" ") }) : r.label,
+      hand: r.hand,
+      board: r.board,
+      advice: r.advice,
+      match: r.verdict && { tone: r.verdict.tone, title: r.verdict.title },
+      line: r.line,
+    })),
+    locale,
+  };
+}
+
+const OUTPUT: Record<string, (results: SpotResult[], locale: Locale) => string> = {
+  json: (results) => JSON.stringify(results, null, 2) + "\n",
+  csv: (results, locale) => sheetToCsv(toSheet(results, locale)),
+  md: (results, locale) => sheetToMarkdown(toSheet(results, locale)),
+  html: (results, locale) => sheetToPrintHtml(toSheet(results, locale)),
+  anki: (results, locale) => sheetToAnki(toSheet(results, locale)),
+};
+
+function main() {
+  const opts = parseArgs(process.argv.slice(2));
+  let input: string;
+  try {
+    input = readFileSync(opts.file === "-" ? 0 : opts.file, "utf8");
+  } catch (e) {
+    fail(`cannot read ${opts.file}`);
+  }
+  const results: SpotResult[] = [];
+  let bad = 0;
+  input.split(/\r?\n/).forEach((raw, i) => {
+    const text = raw.trim();
+    if (!text || text.startsWith("#")) return;
+    const out = classifyLine(text, i + 1, opts.ctx, opts.pack);
+    if (typeof out === "string") {
+      process.stderr.write(out + "\n");
+      bad++;
+    } else {
+      results.push(localizeResult(out, opts.locale));
+    }
+  });
+  process.stdout.write(OUTPUT[opts.format](results, opts.locale));
+  if (bad) process.exitCode = 1;
+}
+
+main();
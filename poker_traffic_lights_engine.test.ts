@@ -0,0 +1,758 @@
+/**
+ * Regression cases for the engine's heuristics: hand evaluation, board lights, ranges and equity.
+ * Run with `npm test`. When a heuristic change moves one of these spots on purpose, update the case.
+ */
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+import {
+  DEFAULT_NOTATION,
+  DEFAULT_RULE_PACK,
+  DEFAULT_VILLAIN_RANGE,
+  FLOP_SAMPLES,
+  VILLAIN_PRESETS,
+  VILLAIN_TYPES,
+  adviceDiff,
+  attachEquity,
+  blockerReport,
+  boardInputError,
+  canonicalFlop,
+  cardName,
+  classifyBoard,
+  comboClass,
+  computeEquity,
+  dealQuiz,
+  decodeSpot,
+  encodeSpot,
+  equityTone,
+  evaluateHand,
+  facingBet,
+  flopFamily,
+  flopSpace,
+  formatActions,
+  formatPattern,
+  generateAdvice,
+  gradeQuiz,
+  handInputError,
+  handLabel,
+  handScore,
+  nextCardLights,
+  packFor,
+  parseBoard,
+  parseFlopPattern,
+  parseHand,
+  parseHandHistories,
+  parseRange,
+  potOdds,
+  prettyCard,
+  quizClass,
+  randomHand,
+  rangeClassWeights,
+  rangeFlopReport,
+  representativeCombo,
+  reviewHistory,
+  stackToPot,
+  streetByStreet,
+  validateRulePack,
+  villainRange,
+  villainType,
+} from "./poker_traffic_lights_engine";
+import type { RulePack, Variant } from "./poker_traffic_lights_engine";
+
+const evaluate = (hand: string, board: string, variant: Variant = "holdem") =>
+  evaluateHand(parseHand(hand, variant)!.cards, parseBoard(board, variant)!, variant);
+
+const light = (hand: string, board: string) => {
+  const verdict = classifyBoard(parseHand(hand), parseBoard(board));
+  return verdict && { tone: verdict.tone, title: verdict.title };
+};
+
+describe("evaluateHand", () => {
+  test("suited connector with a flush draw and an open-ender", () => {
+    const e = evaluate("Js9s", "Ts8h2s")!;
+    assert.equal(e.made, "high-card");
+    assert.deepEqual(e.draws, ["flush-draw", "oesd"]);
+    assert.equal(e.outs.length, 18);
+    assert.equal(e.cleanOuts.length, 14);
+  });
+
+  test("top pair reports its kicker", () => {
+    const e = evaluate("AhKd", "Kc7s2d")!;
+    assert.equal(e.made, "top-pair");
+    assert.equal(e.kicker, "top");
+    assert.equal(e.label, "Top pair, top kicker");
+  });
+
+  test("a pocket pair that hits is a set", () => {
+    assert.equal(evaluate("7c7d", "As7h2c")!.made, "set");
+  });
+
+  test("an underpair counts the board cards above it", () => {
+    const e = evaluate("7c7d", "AsKh2c")!;
+    assert.equal(e.made, "underpair");
+    assert.equal(e.boardOvercards, 2);
+    assert.equal(evaluate("7c7d", "AsAh2c")!.boardOvercards, 1);
+  });
+
+  test("ace-high flush draw is the nut draw", () => {
+    assert.deepEqual(evaluate("AhKh", "Qh7h2c")!.draws, ["nut-flush-draw", "backdoor-straight"]);
+  });
+
+  test("duplicate cards are rejected", () => {
+    assert.equal(evaluateHand(["As", "Kd"], ["As", "7h", "2c"]), null);
+  });
+});
+
+describe("classifyBoard", () => {
+  test("combo draws are Green", () => {
+    assert.deepEqual(light("Js9s", "Ts8h2s"), { tone: "green", title: "Strong combo equity (OESDs/GS + backdoors)" });
+  });
+
+  test("top pair, top kicker is Green", () => {
+    assert.deepEqual(light("AhKd", "Kc7s2d"), { tone: "green", title: "Top pair / two-pair / strong gutters" });
+  });
+
+  test("an underpair to two overcards is Red", () => {
+    assert.deepEqual(light("7c7d", "AsKh2c"), { tone: "red", title: "Two+ overs / High, wet textures" });
+  });
+
+  test("a complete miss is Red", () => {
+    assert.deepEqual(light("AhKd", "Qs9h2c"), { tone: "red", title: "High, disconnected boards you miss / bad low boards" });
+  });
+
+  test("a board that reuses a hole card has no light", () => {
+    assert.equal(light("Js9s", "Js8h2c"), null);
+  });
+
+  test("a flush that arrives on the turn is Red without it", () => {
+    assert.deepEqual(light("Td9d", "Ks7s2h 5s"), { tone: "red", title: "Monotone boards without nut advantage" });
+  });
+});
+
+describe("streets", () => {
+  test("one verdict per street dealt", () => {
+    const streets = streetByStreet(parseHand("Js9s"), parseBoard("Ts8h2s Kd 3c"));
+    assert.deepEqual(
+      streets.map((s) => [s.street, s.cards.join("")]),
+      [["flop", "Ts8h2s"], ["turn", "Kd"], ["river", "3c"]]
+    );
+    assert.equal(streets[0].verdict.tone, "green");
+    assert.deepEqual(streetByStreet(parseHand("Js9s"), null), []);
+  });
+
+  test("every unseen turn card gets a light and a change", () => {
+    const hand = parseHand("7c7d");
+    const lights = nextCardLights(hand, parseBoard("9h5c2d"));
+    const change = (card: string) => lights.find((l) => l.card === card)!.change;
+    assert.equal(lights.length, 47);
+    assert.equal(change("7h"), "improves");
+    assert.equal(change("Ac"), "hurts");
+    assert.equal(change("3s"), "same");
+    assert.deepEqual(nextCardLights(hand, parseBoard("9h5c2d Kd 3c")), []);
+  });
+});
+
+describe("rule packs", () => {
+  const tiny = {
+    name: "Tiny",
+    advice: [
+      { tone: "green", title: "Pairs", bullets: ["Bet."], when: { "hand.pair": true }, examples: ["{hi}{hi}{lo-2}"] },
+      { tone: "red", title: "The rest", bullets: ["Check."] },
+    ],
+    flops: [
+      { block: "Pairs", when: { "board.made": { gte: "set" } }, reason: "{label}." },
+      { block: "The rest", reason: "Nothing." },
+    ],
+    context: [{ rule: "Multiway", when: { "ctx.multiway": true }, titles: ["Pairs"], move: "yellow" }],
+  } as RulePack;
+
+  test("the built-in pack is valid", () => {
+    assert.deepEqual(validateRulePack(DEFAULT_RULE_PACK), []);
+    assert.deepEqual(validateRulePack(tiny), []);
+  });
+
+  test("a custom pack drives the advice, flop lights and context moves", () => {
+    const hand = parseHand("7c7d");
+    const advice = generateAdvice(hand, {}, tiny)!;
+    assert.deepEqual(advice.green.map((b) => b.title), ["Pairs"]);
+    assert.deepEqual(advice.green[0].examples!.map((p) => formatPattern(p)), ["7 7 5"]);
+    assert.deepEqual(classifyBoard(hand, parseBoard("7h8s2c"), {}, tiny)!.reason, "Set.");
+    assert.equal(classifyBoard(hand, parseBoard("Ah8s2c"), {}, tiny)!.title, "The rest");
+    assert.deepEqual(generateAdvice(hand, { opponents: 2 }, tiny)!.yellow.map((b) => b.title), ["Pairs"]);
+  });
+
+  test("problems are listed with where they are", () => {
+    assert.deepEqual(validateRulePack(null), ["Rule pack must be a JSON object."]);
+    const errors = validateRulePack({ name: 1, advice: [{ tone: "blue", title: "X", bullets: [], when: { "hand.color": 1 } }], flops: {}, context: [] });
+    assert.deepEqual(errors, [
+      '"name" must be a string.',
+      'advice[0]: "tone" must be green, yellow or red.',
+      'advice[0]: unknown feature "hand.color".',
+      '"flops" must be a list.',
+    ]);
+  });
+
+  test("flop and context rules must name existing blocks", () => {
+    const renamed = { ...tiny, flops: [{ block: "Pair", reason: "Typo." }], context: [{ rule: "Multiway", titles: ["Pairs", "Sets"] }] };
+    assert.deepEqual(validateRulePack(renamed), [
+      'flops[0]: no advice block is titled "Pair".',
+      'context[0]: no advice block is titled "Sets".',
+    ]);
+  });
+});
+
+describe("actions", () => {
+  const { green, yellow } = DEFAULT_RULE_PACK.actions!;
+
+  test("pot odds are the bet over the final pot", () => {
+    assert.equal(potOdds(50), 0.25);
+    assert.equal(potOdds(100), 1 / 3);
+  });
+
+  test("with equity, the price decides fold, call or raise", () => {
+    assert.equal(facingBet(green, 50, 0.2)!.action, "fold");
+    assert.equal(facingBet(green, 50, 0.3)!.action, "call");
+    assert.equal(facingBet(green, 50, 0.5)!.action, "raise");
+    assert.equal(facingBet(yellow, 50, 0.5)!.action, "call");
+    assert.equal(facingBet(green, 50, 0.2)!.reason, "20.0% equity, but a 50% pot bet needs 25.0%.");
+  });
+
+  test("without equity, the block's continue limit decides", () => {
+    assert.deepEqual(facingBet(yellow, 75), { action: "fold", required: 0.3, reason: "This block continues only against bets up to 50% pot." });
+    assert.equal(facingBet(yellow, 33)!.action, "call");
+    assert.equal(facingBet(green, 125)!.action, "raise");
+    assert.equal(facingBet(undefined, 50), null);
+    assert.equal(facingBet(green, 0), null);
+  });
+
+  test("blocks carry actions, and a moved block plays like its new light", () => {
+    assert.equal(formatActions(green), "bet 75% (50/75% pot), continue vs 125%, raise");
+    const advice = generateAdvice(parseHand("7c7d"), { opponents: 2 })!;
+    assert.deepEqual(advice.red.find((b) => b.title === "Underpairs / Paired boards")!.actions, DEFAULT_RULE_PACK.actions!.red);
+  });
+
+  test("bad actions in a pack are reported", () => {
+    const errors = validateRulePack({ ...DEFAULT_RULE_PACK, actions: { blue: {}, green: { bet: 2, sizes: [40] } } });
+    assert.deepEqual(errors, [
+      'actions: unknown light "blue".',
+      'actions.green: "bet" must be a frequency from 0 to 1.',
+      'actions.green: "sizes" must be a list of 25, 33, 50, 75, 125.',
+    ]);
+  });
+});
+
+describe("table context", () => {
+  const blockTone = (hand: string, title: string, ctx = {}) => {
+    const advice = generateAdvice(parseHand(hand), ctx)!;
+    return (["green", "yellow", "red"] as const).find((t) => advice[t].some((b) => b.title === title));
+  };
+
+  test("SPR needs both stack and pot", () => {
+    assert.equal(stackToPot({ stack: 100, pot: 10 }), 10);
+    assert.equal(stackToPot({ stack: 100 }), undefined);
+  });
+
+  test("multiway moves an underpair to Red and says which rule did it", () => {
+    assert.equal(blockTone("7c7d", "Underpairs / Paired boards"), "yellow");
+    assert.equal(blockTone("7c7d", "Underpairs / Paired boards", { opponents: 2 }), "red");
+    const block = generateAdvice(parseHand("7c7d"), { opponents: 2 })!.red.find((b) => b.title === "Underpairs / Paired boards")!;
+    assert.deepEqual(block.adjustments?.[0], { rule: "Multiway pot", change: "Yellow → Red" });
+  });
+
+  test("a flop verdict follows the moved block", () => {
+    const verdict = classifyBoard(parseHand("7c7d"), parseBoard("9h5c2d"), { opponents: 3 })!;
+    assert.equal(verdict.tone, "red");
+    assert.match(verdict.reason, /Moved by: Multiway pot\.$/);
+  });
+
+  test("low SPR makes one pair a stack-off hand", () => {
+    assert.equal(blockTone("AhTd", "Marginal one-pair / backdoors", { stack: 20, pot: 10 }), "green");
+  });
+});
+
+describe("parseRange", () => {
+  test("expands pairs, suited and offsuit classes", () => {
+    assert.equal(parseRange("QQ+")!.length, 18);
+    assert.equal(parseRange("AKs")!.length, 4);
+    assert.equal(parseRange("AK")!.length, 16);
+    assert.equal(parseRange("22+, ATs+")!.length, 94);
+  });
+
+  test("expands dash runs and concrete combos", () => {
+    assert.equal(parseRange("22-55")!.length, 24);
+    assert.equal(parseRange("A2s-A5s")!.length, 16);
+    assert.equal(parseRange("22+, A2s-A5s")!.length, 94);
+    assert.deepEqual(parseRange("AhKh"), [{ c1: "Ah", c2: "Kh", weight: 1 }]);
+    assert.equal(parseRange("A2s-K5s"), null);
+  });
+
+  test("keeps a class weight, and a later token overrides it", () => {
+    const combos = parseRange("AKo:50%")!;
+    assert.equal(combos.length, 12);
+    assert.ok(combos.every((c) => c.weight === 0.5));
+    const mixed = parseRange("AK:0.25, AKs")!;
+    assert.equal(mixed.filter((c) => c.weight === 1).length, 4);
+    assert.equal(parseRange("AKo:150%"), null);
+  });
+
+  test("weights and picks per grid cell", () => {
+    assert.equal(comboClass("Kd", "Ah"), "AKo");
+    const weights = rangeClassWeights(parseRange("AKs, AhKd:50%"));
+    assert.equal(weights.get("AKs"), 1);
+    assert.equal(weights.get("AKo"), 0.5 / 12);
+    assert.equal(representativeCombo("AKo", parseRange("AhKd")), "AhKd");
+    assert.equal(representativeCombo("AA", null, ["Ac", "Ad", "Ah"]), null);
+  });
+
+  test("returns null for text that is not a range", () => {
+    assert.equal(parseRange("nonsense"), null);
+    assert.equal(parseRange("AAs"), null);
+    assert.equal(parseRange(""), null);
+  });
+});
+
+describe("computeEquity", () => {
+  test("enumerates heads-up flops exactly", () => {
+    const eq = computeEquity(["Ah", "Ad"], ["9c", "7s", "2d"], [parseRange("KK")!])!;
+    assert.equal(eq.exact, true);
+    assert.ok(eq.equity > 0.9 && eq.equity < 0.95, `equity ${eq.equity}`);
+  });
+
+  test("preflop Monte Carlo is seeded and close to the known number", () => {
+    const run = () => computeEquity(["Ah", "Ad"], [], [parseRange("KK")!], { seed: 7 })!;
+    const eq = run();
+    assert.equal(eq.exact, false);
+    assert.deepEqual(run(), eq);
+    assert.ok(Math.abs(eq.equity - 0.82) < 0.03, `equity ${eq.equity}`);
+  });
+
+  test("villain combos that clash with known cards are skipped", () => {
+    // Only AsAd is left of villain's aces
+    const eq = computeEquity(["Ah", "Kd"], ["Ac", "7s", "2d"], [parseRange("AA")!])!;
+    assert.equal(eq.trials, 45 * 44 / 2);
+    assert.ok(eq.equity < 0.01, `equity ${eq.equity}`);
+    assert.equal(computeEquity(["Ah", "Kd"], ["As", "Ac", "Ad"], [parseRange("AA")!]), null);
+  });
+
+  test("bad input gives null", () => {
+    assert.equal(computeEquity(["Ah", "Kd"], ["Ah", "7s", "2d"], [parseRange("QQ")!]), null);
+    assert.equal(computeEquity(["Ah", "Kd"], [], []), null);
+  });
+
+  test("the light scales with the number of villains", () => {
+    assert.equal(equityTone(0.6, 1), "green");
+    assert.equal(equityTone(0.4, 1), "yellow");
+    assert.equal(equityTone(0.4, 2), "green");
+    assert.equal(equityTone(0.2, 1), "red");
+  });
+});
+
+describe("attachEquity", () => {
+  test("adds preflop equity and per-block flop equity over the sampled flops", () => {
+    const hand = parseHand("AhKd");
+    const bundle = attachEquity(generateAdvice(hand), hand, [parseRange("QQ+")!])!;
+    assert.ok(bundle.equity! > 0.26 && bundle.equity! < 0.36, `equity ${bundle.equity}`);
+    const blocks = [...bundle.green, ...bundle.yellow, ...bundle.red];
+    const samples = blocks.reduce((n, b) => n + (b.equitySamples ?? 0), 0);
+    assert.ok(samples > 0 && samples <= FLOP_SAMPLES);
+    for (const b of blocks) assert.equal(b.equity === undefined, b.equitySamples === 0);
+  });
+
+  test("is deterministic for a seed and a no-op without ranges", () => {
+    const hand = parseHand("Js9s");
+    const bundle = generateAdvice(hand);
+    assert.deepEqual(attachEquity(bundle, hand, [parseRange("22+")!], {}, DEFAULT_RULE_PACK, 3), attachEquity(bundle, hand, [parseRange("22+")!], {}, DEFAULT_RULE_PACK, 3));
+    assert.equal(attachEquity(bundle, hand, []), bundle);
+  });
+});
+
+describe("rangeFlopReport", () => {
+  test("shares add up over the live combos, by hand bucket", () => {
+    const report = rangeFlopReport(parseRange("AA, KK, AKs"), parseBoard("Kh7c2d"))!;
+    assert.equal(report.board, "K72r");
+    assert.equal(report.combos, 6 + 3 + 3);
+    assert.ok(Math.abs(report.tones.green + report.tones.yellow + report.tones.red - 1) < 1e-9);
+    assert.deepEqual(
+      report.buckets.map((b) => b.bucket),
+      ["Sets", "Overpairs", "Top pair"]
+    );
+    assert.equal(report.buckets[0].share, 3 / 12);
+  });
+
+  test("no live combos or no flop gives null", () => {
+    assert.equal(rangeFlopReport(parseRange("AhKh"), parseBoard("Ah7c2d")), null);
+    assert.equal(rangeFlopReport(parseRange("AA"), null), null);
+  });
+});
+
+describe("hand histories", () => {
+  const stars = `PokerStars Hand #2451: Hold'em No Limit ($0.50/$1.00 USD) - 2024/01/01 12:00:00 ET
+Table 'Alpha' 6-max Seat #4 is the button
+Seat 1: Ann ($100 in chips)
+Seat 2: Bob ($100 in chips)
+Seat 3: Cid ($120 in chips)
+Seat 4: Hero ($100 in chips)
+Seat 5: Dee ($100 in chips)
+Seat 6: Eve ($100 in chips)
+Dee: posts small blind $0.50
+Eve: posts big blind $1
+*** HOLE CARDS ***
+Dealt to Hero [7c 7d]
+Ann: folds
+Bob: folds
+Cid: raises $2 to $3
+Hero: calls $3
+Dee: folds
+Eve: folds
+*** FLOP *** [As Kh 2c]
+Cid: bets $4
+Hero: calls $4
+*** TURN *** [As Kh 2c] [5d]
+Cid: bets $12
+Hero: calls $12
+*** RIVER *** [As Kh 2c 5d] [9s]
+Cid: bets $30
+Hero: folds
+Uncalled bet ($30) returned to Cid
+*** SUMMARY ***
+Total pot $39.50`;
+
+  const gg = `Poker Hand #HD77: Hold'em No Limit ($0.02/$0.05) - 2024/02/02 20:00:00
+Table 'Beta' 6-max Seat #1 is the button
+Seat 1: Hero ($5 in chips)
+Seat 2: Sam ($5 in chips)
+Seat 3: Tom ($5 in chips)
+Sam: posts small blind $0.02
+Tom: posts big blind $0.05
+*** HOLE CARDS ***
+Dealt to Hero [Js 9s]
+Hero: raises $0.10 to $0.15
+Sam: folds
+Tom: calls $0.10
+*** FLOP *** [Ts 8h 2s]
+Tom: bets $0.30
+Hero: folds
+Uncalled bet ($0.30) returned to Tom
+*** SUMMARY ***`;
+
+  test("reads hero, seat, board and the money in each street", () => {
+    const [h] = parseHandHistories("junk before the hand\n" + stars);
+    assert.equal(h.id, "2451");
+    assert.equal(h.site, "PokerStars");
+    assert.equal(h.hero, "Hero");
+    assert.equal(h.hole, "7c7d");
+    assert.equal(h.seat, "BTN");
+    assert.deepEqual(h.board, ["As", "Kh", "2c", "5d", "9s"]);
+    assert.equal(h.bigBlind, 1);
+    assert.equal(h.potAtFlop, 7.5);
+    assert.equal(h.playersAtFlop, 2);
+    assert.equal(h.effectiveStack, 97);
+    assert.equal(h.actions.find((a) => a.player === "Cid" && a.street === "river")!.amount, 0);
+  });
+
+  test("splits a file into hands and skips text that is not one", () => {
+    const hands = parseHandHistories([stars, gg, "PokerStars Hand #1: no cards dealt"].join("\n\n"));
+    assert.deepEqual(
+      hands.map((h) => [h.site, h.id, h.hole, h.seat]),
+      [["PokerStars", "2451", "7c7d", "BTN"], ["GGPoker", "HD77", "Js9s", "BTN"]]
+    );
+    assert.deepEqual(parseHandHistories("nothing here"), []);
+  });
+
+  test("hero is the first player dealt cards, or the one named", () => {
+    const shown = stars.replace("Dealt to Hero [7c 7d]", "Dealt to Hero [7c 7d]\nDealt to Cid [Ah Qh]");
+    assert.deepEqual(parseHandHistories(shown).map((h) => [h.hero, h.hole]), [["Hero", "7c7d"]]);
+    assert.deepEqual(parseHandHistories(shown, "Cid").map((h) => [h.hero, h.hole, h.seat]), [["Cid", "AhQh", "CO"]]);
+    assert.deepEqual(parseHandHistories(shown, "Zed"), []);
+  });
+
+  test("flags money in on Red streets", () => {
+    const review = reviewHistory(parseHandHistories(stars)[0])!;
+    assert.deepEqual(review.streets.map((s) => s.verdict.tone), ["red", "red", "red"]);
+    assert.deepEqual(review.heroIn, { flop: 4, turn: 12, river: 0 });
+    assert.equal(review.foldedOn, "river");
+    assert.deepEqual(review.flags, ["Put 16.0 bb in on Red flop/turn (2.1× the flop pot)."]);
+  });
+
+  test("flags a fold on a Green street", () => {
+    const review = reviewHistory(parseHandHistories(gg)[0])!;
+    assert.deepEqual(review.flags, ["Folded a Green flop: Strong combo equity (OESDs/GS + backdoors)."]);
+  });
+
+  test("hands that end preflop have nothing to review", () => {
+    const [h] = parseHandHistories(gg.replace(/\*\*\* FLOP[^]*$/, "Tom: folds\n*** SUMMARY ***").replace("Tom: calls $0.10\n", ""));
+    assert.equal(h.board.length, 0);
+    assert.equal(reviewHistory(h), null);
+  });
+});
+
+describe("spot links", () => {
+  test("a spot round-trips through the URL hash", () => {
+    const spot = { hand: "AhKd", board: "Ts8h2s Kd", ctx: { seat: "BTN" as const, stack: 100, pot: 10, opponents: 2 }, villains: ["QQ+, AKs", "22+"], variant: "holdem" as const };
+    const hash = encodeSpot(spot);
+    assert.equal(hash, "h=AhKd&b=Ts8h2s+Kd&seat=BTN&stack=100&pot=10&opp=2&v=QQ%2B%2C+AKs&v=22%2B");
+    assert.deepEqual(decodeSpot("#" + hash), spot);
+  });
+
+  test("the game rides along unless it is Hold'em", () => {
+    const hash = encodeSpot({ hand: "AsKsJhTh", board: "", ctx: {}, villains: [DEFAULT_VILLAIN_RANGE], variant: "plo" });
+    assert.equal(hash, "g=plo&h=AsKsJhTh");
+    assert.equal(decodeSpot(hash)!.variant, "plo");
+    assert.equal(decodeSpot("g=stud&h=AhKd")!.variant, "holdem");
+  });
+
+  test("the default villain range stays out of the link", () => {
+    assert.equal(encodeSpot({ hand: "Js9s", board: "", ctx: {}, villains: [DEFAULT_VILLAIN_RANGE], variant: "holdem" }), "h=Js9s");
+    assert.deepEqual(decodeSpot("h=Js9s")!.villains, [DEFAULT_VILLAIN_RANGE]);
+  });
+
+  test("bad values are dropped and text without a spot is null", () => {
+    assert.deepEqual(decodeSpot("#seat=XYZ&pos=IP&stack=-5&pot=abc&opp=0.4&junk=1")!.ctx, { position: "IP", opponents: 1 });
+    assert.equal(decodeSpot("#foo=bar"), null);
+    assert.equal(decodeSpot(""), null);
+  });
+});
+
+describe("quiz", () => {
+  // Small deterministic generator so deals repeat
+  const lcg = (seed: number) => () => ((seed = (seed * 1664525 + 1013904223) % 2 ** 32) / 2 ** 32);
+
+  test("sorts hands into classes, first match wins", () => {
+    const cls = (hand: string) => quizClass(parseHand(hand)!);
+    assert.deepEqual(
+      ["7c7d", "As5s", "KsQs", "8s6s", "KdQc", "9c4d"].map(cls),
+      ["pair", "suitedAce", "suitedBroadway", "suitedConnector", "offsuitBroadway", "other"]
+    );
+  });
+
+  test("deals a hand of the picked class and a flop from the rest of the deck", () => {
+    const rand = lcg(1);
+    for (let i = 0; i < 50; i++) {
+      const deal = dealQuiz({}, rand);
+      const hand = parseHand(deal.hand)!;
+      assert.equal(new Set([hand.c1, hand.c2, ...deal.flop]).size, 5);
+      assert.equal(deal.cls, quizClass(hand));
+    }
+  });
+
+  test("a class in a low box comes back more often", () => {
+    const learned = { seen: 9, correct: 9, box: 5 };
+    const progress = { suitedAce: learned, suitedBroadway: learned, suitedConnector: learned, offsuitBroadway: learned, other: learned };
+    const rand = lcg(2);
+    const pairs = Array.from({ length: 300 }, () => dealQuiz(progress, rand)).filter((d) => d.cls === "pair").length;
+    assert.ok(pairs > 180, `${pairs} pairs`);
+  });
+
+  test("a hit moves the class up a box and a miss sends it back", () => {
+    let progress = gradeQuiz({}, "pair", true);
+    assert.deepEqual(progress.pair, { seen: 1, correct: 1, box: 2 });
+    for (let i = 0; i < 5; i++) progress = gradeQuiz(progress, "pair", true);
+    assert.equal(progress.pair!.box, 5);
+    progress = gradeQuiz(progress, "pair", false);
+    assert.deepEqual(progress.pair, { seen: 7, correct: 6, box: 1 });
+  });
+});
+
+describe("flop patterns", () => {
+  test("reads rank slots, pinned suits, texture and notes", () => {
+    assert.deepEqual(parseFlopPattern("K K x (r)"), { slots: [{ rank: "K" }, { rank: "K" }, { rank: null }], texture: "rainbow", note: undefined });
+    assert.deepEqual(parseFlopPattern("9♠ 8 x")!.slots, [{ rank: "9", suit: "s" }, { rank: "8" }, { rank: null }]);
+    assert.deepEqual(parseFlopPattern("Q J 10 (two-tone) (BDFD + GS)"), {
+      slots: [{ rank: "Q" }, { rank: "J" }, { rank: "T" }],
+      texture: "two-tone",
+      note: "BDFD + GS",
+    });
+  });
+
+  test("anything but three slots is not a pattern", () => {
+    assert.equal(parseFlopPattern("K K"), null);
+    assert.equal(parseFlopPattern("K K x x"), null);
+    assert.equal(parseFlopPattern("K K Z"), null);
+    assert.equal(parseFlopPattern(""), null);
+  });
+
+  test("prints back in chip form", () => {
+    assert.equal(formatPattern(parseFlopPattern("9s 8 x (tt)")!), "9♠ 8 x (two-tone)");
+  });
+
+  test("counts the flops a family covers, minus dead cards", () => {
+    const family = (text: string, dead: string[] = []) => flopFamily(parseFlopPattern(text)!, dead);
+    assert.equal(family("x x x").flops.length, 22100);
+    assert.equal(family("K K x (r)").flops.length, 6 * 24 + 4); // "x" may be the third king
+    assert.equal(family("x x x (monotone)").flops.length, 4 * 286);
+    const live = family("A x x", ["Ah", "Kd"]);
+    assert.equal(live.total, 19600);
+    assert.ok(live.flops.every((f) => f.some((c) => c[0] === "A") && !f.includes("Ah") && !f.includes("Kd")));
+  });
+});
+
+describe("flop space", () => {
+  test("suit-isomorphic flops share a canonical key", () => {
+    assert.equal(canonicalFlop(["2d", "Qs", "Ks"]), "KcQc2d");
+    assert.equal(canonicalFlop(["Kh", "Qh", "2c"]), canonicalFlop(["Ks", "Qs", "2d"]));
+    assert.notEqual(canonicalFlop(["Kh", "Qh", "2c"]), canonicalFlop(["Kh", "Qc", "2h"]));
+  });
+
+  test("every flop of a hand lands in one of the 1,755 classes", () => {
+    const progress: number[] = [];
+    const space = flopSpace(parseHand("AhKd"), {}, undefined, (done, total) => progress.push(done / total));
+    assert.equal(space.length, 1755);
+    assert.equal(progress[0], 0);
+    // 22,100 flops less the ones using a hole card
+    assert.equal(space.reduce((n, c) => n + c.combos, 0), 19600);
+    for (const c of space) assert.equal(c.tones.green + c.tones.yellow + c.tones.red, c.combos);
+    assert.equal(space[0].key, "AcAdAh");
+    const akk = space.find((c) => c.key === "AcKcKd")!;
+    assert.equal(akk.paired, true);
+    assert.equal(akk.texture, "two-tone");
+    assert.equal(akk.tone, "green");
+    assert.deepEqual(flopSpace(null), []);
+  });
+});
+
+describe("game variants", () => {
+  test("Short Deck has no 2–5 and PLO deals four hole cards", () => {
+    assert.equal(parseHand("2s3s", "shortdeck"), null);
+    assert.equal(parseBoard("Ts8h2s", "shortdeck"), null);
+    assert.equal(parseHand("AsKs", "plo"), null);
+    assert.equal(parseHand("AsKsJhTh"), null);
+    assert.equal(handLabel(parseHand("AsKsJhTh", "plo")), "AKJTds (AS KS JH TH)");
+  });
+
+  test("Short Deck: A-6-7-8-9 is a straight and a flush beats a full house", () => {
+    assert.equal(evaluate("As6d", "7c8h9s", "shortdeck")!.made, "straight");
+    assert.equal(evaluate("As6d", "7c8h9s")!.made, "high-card");
+    assert.ok(handScore(["As", "Ks", "Qs", "9s", "7s"], "shortdeck") > handScore(["Ac", "Ad", "Ah", "Kc", "Kd"], "shortdeck"));
+    assert.ok(handScore(["As", "Ks", "Qs", "9s", "7s"]) < handScore(["Ac", "Ad", "Ah", "Kc", "Kd"]));
+  });
+
+  test("PLO plays exactly two hole cards", () => {
+    assert.equal(evaluate("AsKd", "2s3s4s5s9d")!.made, "straight-flush");
+    assert.equal(evaluate("AsKdQcJh", "2s3s4s5s9d", "plo")!.made, "high-card");
+    assert.deepEqual(evaluate("AsKsQcJh", "2s3s4h", "plo")!.draws, ["nut-flush-draw"]);
+  });
+
+  test("random hands come from the game's deck and skip the board", () => {
+    const board = parseBoard("Ts8h2s")!;
+    for (const variant of ["holdem", "shortdeck", "plo"] as const) {
+      for (let i = 0; i < 100; i++) {
+        const hand = parseHand(randomHand(variant, board), variant);
+        assert.ok(hand && !hand.cards.some((c) => board.includes(c)), variant);
+      }
+    }
+  });
+
+  test("a PLO draw reached through both suits is listed once", () => {
+    assert.deepEqual(evaluate("Ks8h7s6h", "Ts9h2c", "plo")!.draws, ["backdoor-flush", "wrap"]);
+  });
+
+  test("each game gets its own rule pack and flop space", () => {
+    assert.equal(packFor(parseHand("AhKd", "shortdeck")).name, "Short Deck heuristics");
+    assert.equal(packFor(parseHand("AhKd")), DEFAULT_RULE_PACK);
+    // 36 cards: 84 unpaired rank sets × 5 suit patterns, 72 paired × 2, 9 trips
+    const space = flopSpace(parseHand("AhKd", "shortdeck"));
+    assert.equal(space.length, 573);
+    assert.equal(space.reduce((n, c) => n + c.combos, 0), 5984);
+  });
+});
+
+describe("villain profiles", () => {
+  test("each preset reads as its own type; loose and passive is a station", () => {
+    assert.deepEqual(VILLAIN_TYPES.map((t) => villainType(VILLAIN_PRESETS[t])), ["nit", "reg", "station", "maniac"]);
+    assert.equal(villainType({ vpip: 30, pfr: 10, af: 1, foldToCbet: 40 }), "station");
+    assert.equal(villainType({ vpip: 30, pfr: 10, af: 2, foldToCbet: 40 }), "reg");
+  });
+
+  test("VPIP sets the assumed range", () => {
+    const nit = villainRange(VILLAIN_PRESETS.nit);
+    assert.equal(nit, "88+, A5s+, KTs+, QTs+, J9s+, T9s, 98s, AJo+, KQo");
+    assert.equal(parseRange(nit)!.length, 162);
+    assert.equal(parseRange(villainRange(VILLAIN_PRESETS.station))!.length, 598);
+    assert.equal(parseRange(villainRange({ vpip: 100, pfr: 0, af: 0, foldToCbet: 0 }))!.length, 1326);
+    assert.equal(villainRange({ vpip: 0, pfr: 0, af: 0, foldToCbet: 0 }), "");
+  });
+
+  test("a profile moves blocks, and adviceDiff lists what changed", () => {
+    const hand = parseHand("7c7d");
+    const [moved, cbet] = adviceDiff(generateAdvice(hand), generateAdvice(hand, { villain: VILLAIN_PRESETS.nit }));
+    assert.deepEqual([moved.title, moved.from, moved.to, moved.rules], ["Underpairs / Paired boards", "yellow", "red", ["Nit"]]);
+    assert.deepEqual(cbet.rules, ["Folds to c-bets"]);
+    assert.deepEqual(adviceDiff(generateAdvice(hand), generateAdvice(hand)), []);
+  });
+
+  test("spot links carry the preset's name or the custom stats", () => {
+    const spot = (villain: typeof VILLAIN_PRESETS.nit) =>
+      encodeSpot({ hand: "AhKd", board: "", ctx: { villain }, villains: [DEFAULT_VILLAIN_RANGE], variant: "holdem" });
+    assert.equal(spot(VILLAIN_PRESETS.station), "h=AhKd&vs=station");
+    assert.equal(spot({ vpip: 30, pfr: 20, af: 2, foldToCbet: 50 }), "h=AhKd&vs=30-20-2-50");
+    assert.deepEqual(decodeSpot("h=AhKd&vs=30-20-2-50")!.ctx.villain, { vpip: 30, pfr: 20, af: 2, foldToCbet: 50 });
+    assert.deepEqual(decodeSpot("h=AhKd&vs=1-2")!.ctx, {});
+  });
+});
+
+describe("blockers", () => {
+  const report = (hand: string, board: string, villain?: string, hero?: string) =>
+    blockerReport(parseHand(hand), parseBoard(board), villain ? parseRange(villain) : null, hero ? parseRange(hero) : null);
+
+  test("the ace of the suit blocks every nut flush", () => {
+    const r = report("AsQd", "Ks7s2s")!;
+    assert.deepEqual(r.tiers, [
+      { label: "Nut flush", combos: 9, blocked: 9 },
+      { label: "Flush", combos: 10, blocked: 0 },
+      { label: "Set of K", combos: 3, blocked: 0 },
+    ]);
+    assert.deepEqual(r.value, { combos: 82, blocked: 18 });
+  });
+
+  test("the range with more of the nut tiers holds the advantage", () => {
+    assert.equal(report("7c7d", "Ks7s2h", "AK, KQ, QJ", "KK, 77, 22")!.advantage, "hero");
+    assert.equal(report("7c7d", "Ks7s2h", "KK, 77, 22", "AK, KQ, QJ")!.advantage, "villain");
+    assert.equal(report("7c7d", "Ks7s2h", "KK, 77, 22, AK", "KK, 77, 22, AK")!.advantage, "even");
+  });
+
+  test("no nut-advantage verdict without hero's range", () => {
+    const r = report("7c7d", "Ks7s2h", "AK, KQ, QJ")!;
+    assert.equal(r.nutShare, null);
+    assert.equal(r.advantage, null);
+    assert.equal(r.tiers.length, 3);
+  });
+
+  test("null without a board, on a clash, or in PLO", () => {
+    assert.equal(report("AhKd", "Ah7c2d"), null);
+    assert.equal(blockerReport(parseHand("AhKd"), null), null);
+    assert.equal(blockerReport(parseHand("AsKsJhTh", "plo"), parseBoard("Qs9h2c", "plo")), null);
+  });
+});
+
+describe("input errors", () => {
+  test("names the first problem in a hand", () => {
+    assert.equal(handInputError(""), null);
+    assert.equal(handInputError("Js9s"), null);
+    assert.equal(handInputError("10h9h"), "Write 10 as T (e.g. Th9h).");
+    assert.match(handInputError("J9s")!, /^3-char format not supported: "J9s" is a hand class/);
+    assert.equal(handInputError("Js9"), `Every card is a rank and a suit; "Js9" has a character left over.`);
+    assert.equal(handInputError("Xs9s"), `"X" is not a rank: use A K Q J T 9–2.`);
+    assert.equal(handInputError("Jx9s"), `"x" is not a suit: use c, d, h or s.`);
+    assert.equal(handInputError("JsJs"), "Duplicate card: Jack of spades.");
+    assert.equal(handInputError("JsTs9s"), "Enter 2 cards, not 3.");
+  });
+
+  test("follows the game: PLO wants four cards, Short Deck has no deuces", () => {
+    assert.equal(handInputError("AsKs", "plo"), "Enter 4 cards, not 2.");
+    assert.equal(handInputError("As2s", "shortdeck"), "Two of spades is not in a Short Deck (6 through ace only).");
+    assert.equal(boardInputError("Ts8h2s Kd"), null);
+    assert.equal(boardInputError("Ts8h"), "Enter three to five cards, not 2.");
+  });
+
+  test("cards have a spoken name", () => {
+    assert.equal(cardName("As"), "Ace of spades");
+    assert.equal(cardName("Td"), "Ten of diamonds");
+  });
+});
+
+describe("card notation", () => {
+  test("ten as T or 10, suits as glyphs or letters", () => {
+    assert.equal(prettyCard("Th"), "T♥");
+    assert.equal(prettyCard("Th", { ...DEFAULT_NOTATION, ten: "10", suits: "letters" }), "10h");
+    assert.equal(formatPattern(parseFlopPattern("T♠ 9 x")!, { ...DEFAULT_NOTATION, ten: "10" }), "10♠ 9 x");
+  });
+});
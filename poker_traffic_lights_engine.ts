@@ -0,0 +1,2708 @@
+/**
+ * Poker Flop Traffic Lights — headless engine
+ * No React and no DOM: the component, the flop-space worker and the CLI all build on this module.
+ *
+ * Main entry points:
+ *   parseHand("Js9s") / parseBoard("Ts8h2s Kd") / parseRange("22+, AKs")   → normalized input or null
+ *   parseHand("AsKsJhTh", "plo")             → the same for Short Deck and PLO (see Game variants)
+ *   generateAdvice(hand, ctx?, pack?)        → AdviceBundle: the Green / Yellow / Red blocks for a hand
+ *   classifyBoard(hand, board, ctx?, pack?)  → FlopVerdict: the one light for a concrete 3–5 card board
+ *   streetByStreet / nextCardLights          → the light per street, and per possible next card
+ *   evaluateHand(hole, board)                → made hand, draws and outs
+ *   computeEquity / attachEquity             → seeded equity vs villain ranges
+ *   rangeFlopReport / flopSpace              → a whole range on a board / a hand on every flop
+ *   parseHandHistories / reviewHistory       → played hands from PokerStars/GGPoker text
+ *   encodeSpot / decodeSpot                  → a spot (hand, board, context, ranges) as a URL hash and back
+ *   DEFAULT_RULE_PACK, RULE_PACKS, validateRulePack → the strategy data per game and its checker
+ * Invalid input gives null (or an empty list), never an exception.
+ */
+
+// ----- Utilities -----
+export const RANKS = ["A", "K", "Q", "J", "T", "9", "8", "7", "6", "5", "4", "3", "2"]; // for ordering
+export const RANK_ORDER: Record<string, number> = Object.fromEntries(RANKS.map((r, i) => [r, i]));
+const isRank = (c: string) => /[AKQJT2-9]/i.test(c);
+const isSuit = (c: string) => /[cdhs]/i.test(c);
+
+// ----- Game variants -----
+// Hold'em; Short Deck (6+): 2–5 removed, A-6-7-8-9 is the lowest straight and a flush beats a
+// full house; four-card Pot-Limit Omaha: a hand uses exactly two hole cards and three board cards.
+// A parsed hand carries its variant, and the engine reads it from there.
+
+export const VARIANTS = ["holdem", "shortdeck", "plo"] as const;
+export type Variant = (typeof VARIANTS)[number];
+
+export const VARIANT_LABEL: Record<Variant, string> = { holdem: "Hold'em", shortdeck: "Short Deck (6+)", plo: "PLO" };
+export const HOLE_CARDS: Record<Variant, number> = { holdem: 2, shortdeck: 2, plo: 4 };
+
+export const variantRanks = (variant: Variant = "holdem") => (variant === "shortdeck" ? RANKS.slice(0, RANK_ORDER["6"] + 1) : RANKS);
+const inVariant = (card: string, variant: Variant) => variant !== "shortdeck" || RANK_ORDER[card[0]] <= RANK_ORDER["6"];
+
+function normalizeCard(card: string) {
+  const r = card[0].toUpperCase();
+  const s = card[1].toLowerCase();
+  return r + s;
+}
+
+// Parse `count` concatenated cards (e.g., "Ts8h2s"); null on bad format, duplicates or a
+// card the variant's deck doesn't have
+function parseCards(input: string, count: number, variant: Variant = "holdem"): string[] | null {
+  const raw = (input || "").replace(/\s+/g, "").trim();
+  if (raw.length !== count * 2) return null; // require exactly 2 chars per card
+  const cards: string[] = [];
+  for (let i = 0; i < raw.length; i += 2) {
+    const c = raw.slice(i, i + 2);
+    if (!isRank(c[0]) || !isSuit(c[1])) return null;
+    const card = normalizeCard(c);
+    if (cards.includes(card) || !inVariant(card, variant)) return null; // duplicate, or a 2–5 in Short Deck
+    cards.push(card);
+  }
+  return cards;
+}
+
+// Two cards for Hold'em and Short Deck, four for PLO. c1…pair describe the first two cards, which
+// is the whole hand outside PLO; PLO code reads `cards`.
+export function parseHand(input: string, variant: Variant = "holdem") {
+  const cards = parseCards(input, HOLE_CARDS[variant], variant);
+  if (!cards) return null;
+  const [card1, card2] = cards;
+  return {
+    variant,
+    cards,
+    c1: card1,
+    c2: card2,
+    r1: card1[0],
+    r2: card2[0],
+    s1: card1[1],
+    s2: card2[1],
+    suited: card1[1] === card2[1],
+    pair: card1[0] === card2[0],
+  };
+}
+
+// A concrete flop, e.g. "Ts8h2s" → ["Ts", "8h", "2s"]
+export function parseFlop(input: string, variant: Variant = "holdem") {
+  return parseCards(input, 3, variant);
+}
+
+// Flop plus optional turn and river, e.g. "Ts8h2s Kd 3c" → ["Ts", "8h", "2s", "Kd", "3c"]
+export function parseBoard(input: string, variant: Variant = "holdem") {
+  const n = (input || "").replace(/\s+/g, "").length / 2;
+  return Number.isInteger(n) && n >= 3 && n <= 5 ? parseCards(input, n, variant) : null;
+}
+
+// Why a hand or board entry doesn't parse, in words; null when it parses or is still empty.
+// Checked in the order parseCards fails, so the message names the first problem.
+function cardsError(input: string, counts: number[], variant: Variant, expected: string): string | null {
+  const raw = (input || "").replace(/\s+/g, "");
+  if (!raw) return null;
+  if (raw.includes("10")) return "Write 10 as T (e.g. Th9h).";
+  if (/^[AKQJT2-9]{2}[so]$/i.test(raw)) return `3-char format not supported: "${raw}" is a hand class; enter both cards with suits (e.g. Js9s).`;
+  if (raw.length % 2) return `Every card is a rank and a suit; "${raw}" has a character left over.`;
+  const cards: string[] = [];
+  for (let i = 0; i < raw.length; i += 2) {
+    const c = raw.slice(i, i + 2);
+    if (!isRank(c[0])) return `"${c[0]}" is not a rank: use A K Q J T 9–2.`;
+    if (!isSuit(c[1])) return `"${c[1]}" is not a suit: use c, d, h or s.`;
+    const card = normalizeCard(c);
+    if (cards.includes(card)) return `Duplicate card: ${cardName(card)}.`;
+    if (!inVariant(card, variant)) return `${cardName(card)} is not in a Short Deck (6 through ace only).`;
+    cards.push(card);
+  }
+  return counts.includes(cards.length) ? null : `Enter ${expected}, not ${cards.length}.`;
+}
+
+export const handInputError = (input: string, variant: Variant = "holdem") =>
+  cardsError(input, [HOLE_CARDS[variant]], variant, `${HOLE_CARDS[variant]} cards`);
+
+export const boardInputError = (input: string, variant: Variant = "holdem") => cardsError(input, [3, 4, 5], variant, "three to five cards");
+
+// True when the board reuses one of the hole cards
+export function clashesWithHand(board: string[] | null, h: ReturnType<typeof parseHand>) {
+  if (!board || !h) return false;
+  return h.cards.some((c) => board.includes(c));
+}
+
+// PLO shorthand: ranks high to low plus ds (double-suited), ss (single-suited) or r (rainbow)
+function omahaLabel(cards: string[]) {
+  const ranks = cards.map((c) => c[0]).sort((a, b) => RANK_ORDER[a] - RANK_ORDER[b]).join("");
+  const suitCounts = SUITS.map((s) => cards.filter((c) => c[1] === s).length);
+  const suitedSets = suitCounts.filter((n) => n >= 2).length;
+  const tag = suitedSets === 2 ? "ds" : suitedSets === 1 ? "ss" : "r";
+  return `${ranks}${tag} (${cards.map((c) => c[0] + c[1].toUpperCase()).join(" ")})`;
+}
+
+export function handLabel(h: ReturnType<typeof parseHand>) {
+  if (!h) return "";
+  if (h.variant === "plo") return omahaLabel(h.cards);
+  const { r1, r2, s1, s2, suited, pair } = h;
+  const pretty = (r: string, s: string) => `${r}${s.toUpperCase()}`;
+  if (pair) return `${r1}${r2}`.toUpperCase() + ` (${pretty(r1, s1)} ${pretty(r2, s2)})`;
+  const off = suited ? "s" : "o";
+  const hi = RANK_ORDER[r1] < RANK_ORDER[r2] ? r1 : r2;
+  const lo = hi === r1 ? r2 : r1;
+  return `${hi}${lo}${off}`.toUpperCase() + ` (${pretty(h.c1[0], h.c1[1])} ${pretty(h.c2[0], h.c2[1])})`;
+}
+
+// Quick helpers
+const rankGap = (a: string, b: string) => Math.abs(RANK_ORDER[a] - RANK_ORDER[b]);
+const isBroadway = (r: string) => ["A", "K", "Q", "J", "T"].includes(r);
+const isWheel = (r: string) => ["A", "5", "4", "3", "2"].includes(r);
+
+// A random hand dealt from the variant's deck, avoiding `dead` cards (e.g. the board already entered)
+export function randomHand(variant: Variant = "holdem", dead: string[] = []) {
+  return dealCards(HOLE_CARDS[variant], dead, Math.random, variant).join("");
+}
+
+// ----- Core heuristic engine -----
+export type TrafficAdvice = {
+  title: string;
+  bullets: string[];
+  examples?: FlopPattern[]; // suggested flop families (e.g., "T♠ 8 x", "A K 4 (rainbow)")
+  equity?: number; // average equity (0–1) on sampled flops that land in this block
+  equitySamples?: number; // how many sampled flops landed here
+  adjustments?: ContextAdjustment[]; // context rules that moved this block or added bullets
+  actions?: BlockActions; // how to play it: bet frequency, sizes, how much to continue against
+};
+
+export type ContextAdjustment = {
+  rule: string; // e.g. "Multiway pot"
+  change: string; // e.g. "Yellow → Red" or "Added bullet"
+};
+
+export type AdviceBundle = {
+  green: TrafficAdvice[];
+  yellow: TrafficAdvice[];
+  red: TrafficAdvice[];
+  equity?: number; // preflop equity (0–1) vs the villain ranges
+};
+
+function suitGlyph(s: string) {
+  return { c: "♣", d: "♦", h: "♥", s: "♠" }[s as "c" | "d" | "h" | "s"] ?? "?";
+}
+
+// How cards print: "T" or "10", suit glyphs or letters, and whether example flops show hero's
+// suit or just "*". A four-color deck is up to the renderer; the engine only carries the choice.
+export type Notation = { ten: "T" | "10"; suits: "glyphs" | "letters"; fourColor: boolean; heroSuit: boolean };
+
+export const DEFAULT_NOTATION: Notation = { ten: "T", suits: "glyphs", fourColor: false, heroSuit: true };
+
+export function rankStr(r: string, notation: Notation = DEFAULT_NOTATION) {
+  return r === "T" && notation.ten === "10" ? "10" : r;
+}
+
+const suitStr = (s: string, notation: Notation = DEFAULT_NOTATION) => (notation.suits === "letters" ? s : suitGlyph(s));
+
+// Bundle for a hand: every advice rule of the pack whose conditions hold, then context moves.
+// The pack defaults to the built-in one for the hand's game.
+export function generateAdvice(hand: ReturnType<typeof parseHand>, ctx: HandContext = {}, pack: RulePack = packFor(hand)): AdviceBundle | null {
+  if (!hand) return null;
+  const features = { ...handFeatures(hand), ...contextFeatures(ctx) };
+  const ranks = variantRanks(hand.variant);
+  const base: AdviceBundle = { green: [], yellow: [], red: [] };
+  for (const rule of pack.advice) {
+    if (!matchesCondition(rule.when, features)) continue;
+    const examples = (rule.examples ?? [])
+      .filter((x) => typeof x === "string" || matchesCondition(x.when, features))
+      .map((x) => parseFlopPattern(renderTemplate(typeof x === "string" ? x : x.text, hand)))
+      // Short Deck has no 2–5 to deal
+      .filter((x): x is FlopPattern => !!x && x.slots.every((slot) => !slot.rank || ranks.includes(slot.rank)));
+    base[rule.tone].push({ title: rule.title, bullets: [...rule.bullets], examples, actions: rule.actions ?? pack.actions?.[rule.tone] });
+  }
+  return applyContext(base, ctx, pack);
+}
+
+export type AdviceChange = {
+  title: string;
+  from: Tone | null; // null when the block is new
+  to: Tone | null; // null when the block is gone
+  bullets: string[]; // bullets the new bundle adds
+  play?: { from: string; to: string }; // formatted actions, when they differ
+  rules: string[]; // context rules behind the change
+};
+
+// Block-by-block changes from one bundle to another for the same hand, e.g. the baseline advice
+// against the advice with a villain profile set
+export function adviceDiff(base: AdviceBundle | null, next: AdviceBundle | null): AdviceChange[] {
+  const where = (bundle: AdviceBundle | null) =>
+    new Map(TONES.flatMap((tone) => (bundle?.[tone] ?? []).map((block) => [block.title, { tone, block }] as const)));
+  const [before, after] = [where(base), where(next)];
+  const changes: AdviceChange[] = [];
+  for (const title of new Set([...before.keys(), ...after.keys()])) {
+    const [b, a] = [before.get(title), after.get(title)];
+    const bullets = (a?.block.bullets ?? []).filter((x) => !b?.block.bullets.includes(x));
+    const [playFrom, playTo] = [formatActions(b?.block.actions), formatActions(a?.block.actions)];
+    const seen = new Set((b?.block.adjustments ?? []).map((x) => x.rule + x.change));
+    const rules = [...new Set((a?.block.adjustments ?? []).filter((x) => !seen.has(x.rule + x.change)).map((x) => x.rule))];
+    const play = b && a && playFrom !== playTo ? { from: playFrom, to: playTo } : undefined;
+    if (b?.tone === a?.tone && !bullets.length && !play) continue;
+    changes.push({ title, from: b?.tone ?? null, to: a?.tone ?? null, bullets, play, rules });
+  }
+  return changes;
+}
+
+// ----- Rank stepping helpers -----
+function idx(r: string) { return RANK_ORDER[r]; }
+function rankByIdx(i: number, ranks: string[] = RANKS) { return ranks[Math.max(0, Math.min(ranks.length - 1, i))]; }
+
+// ----- Hand evaluator -----
+// Board math for hole cards + a 3–5 card board: made hand, draws and outs.
+// Pure functions over normalized cards ("Ts", "8h"); no React in here.
+
+export type MadeHand =
+  | "straight-flush"
+  | "quads"
+  | "full-house"
+  | "flush"
+  | "straight"
+  | "set"
+  | "trips"
+  | "two-pair"
+  | "overpair"
+  | "top-pair"
+  | "second-pair"
+  | "underpair"
+  | "weak-pair"
+  | "high-card";
+
+export type KickerClass = "top" | "good" | "weak";
+
+export type Draw = "nut-flush-draw" | "flush-draw" | "wrap" | "oesd" | "gutshot" | "backdoor-flush" | "backdoor-straight";
+
+export type HandEvaluation = {
+  made: MadeHand;
+  label: string; // e.g. "Top pair, good kicker"
+  kicker?: KickerClass; // top / second pair only
+  overcards: number; // unpaired hole cards above every board card
+  boardOvercards: number; // distinct board ranks above a pocket pair (A-A-2 has one)
+  draws: Draw[]; // PLO pools the draws of every two-card pair
+  nutFlushBlocker: boolean; // hero holds the best missing card of the board's main suit (2+ cards of it)
+  outs: string[]; // unseen cards that improve the made hand (empty on the river)
+  cleanOuts: string[]; // outs that don't also bring a new, stronger board threat
+  score: number; // comparable best-5 strength, higher wins
+};
+
+export const SUITS = ["c", "d", "h", "s"];
+export const DECK = RANKS.flatMap((r) => SUITS.map((s) => r + s));
+const SHORT_DECK = DECK.filter((c) => inVariant(c, "shortdeck"));
+
+// 52 cards, or 36 for Short Deck
+export const deckFor = (variant: Variant = "holdem") => (variant === "shortdeck" ? SHORT_DECK : DECK);
+
+// Weakest → strongest, hero's point of view
+const MADE_ORDER: MadeHand[] = [
+  "high-card",
+  "weak-pair",
+  "underpair",
+  "second-pair",
+  "top-pair",
+  "overpair",
+  "two-pair",
+  "trips",
+  "set",
+  "straight",
+  "flush",
+  "full-house",
+  "quads",
+  "straight-flush",
+];
+
+// Short Deck swaps flush and full house
+const SHORT_DECK_MADE_ORDER = MADE_ORDER.map((m) => (m === "flush" ? "full-house" : m === "full-house" ? "flush" : m));
+const madeOrder = (variant: Variant) => (variant === "shortdeck" ? SHORT_DECK_MADE_ORDER : MADE_ORDER);
+
+const MADE_LABEL: Record<MadeHand, string> = {
+  "straight-flush": "Straight flush",
+  quads: "Quads",
+  "full-house": "Full house",
+  flush: "Flush",
+  straight: "Straight",
+  set: "Set",
+  trips: "Trips",
+  "two-pair": "Two pair",
+  overpair: "Overpair",
+  "top-pair": "Top pair",
+  "second-pair": "Second pair",
+  underpair: "Underpair",
+  "weak-pair": "Weak pair",
+  "high-card": "High card",
+};
+
+export const DRAW_LABEL: Record<Draw, string> = {
+  "nut-flush-draw": "Nut flush draw",
+  "flush-draw": "Flush draw",
+  wrap: "Wrap",
+  oesd: "Open-ender",
+  gutshot: "Gutshot",
+  "backdoor-flush": "Backdoor flush",
+  "backdoor-straight": "Backdoor straight",
+};
+
+// Straight value of a rank (A high); aces also play low: A-2-3-4-5, or A-6-7-8-9 in Short Deck
+const STRAIGHT_VAL: Record<string, number> = Object.fromEntries(RANKS.map((r, i) => [r, 14 - i]));
+const lowAce = (variant: Variant) => (variant === "shortdeck" ? 5 : 1);
+
+const straightVals = (rs: string[], variant: Variant = "holdem") => rs.flatMap((r) => (r === "A" ? [14, lowAce(variant)] : [STRAIGHT_VAL[r]]));
+
+// Does some 5-long run exist in `have` that uses our cards? Hold'em needs one of `mine` in it;
+// PLO needs both (each entry of `mine` is one card's values, two for an ace)
+function makesStraight(have: Set<number>, mine: number[][], variant: Variant) {
+  for (let lo = 1; lo <= 10; lo++) {
+    const win = [lo, lo + 1, lo + 2, lo + 3, lo + 4];
+    if (!win.every((v) => have.has(v))) continue;
+    const used = mine.filter((vals) => vals.some((v) => win.includes(v))).length;
+    if (variant === "plo" ? used === mine.length : used > 0) return true;
+  }
+  return false;
+}
+
+// Ranks that would complete a straight using at least one hole card (both of a PLO pair)
+function straightOutRanks(hole: string[], board: string[], variant: Variant = "holdem") {
+  if (variant === "plo" && hole[0] === hole[1]) return []; // a pair puts only one rank in a straight
+  const have = straightVals([...hole, ...board], variant);
+  const mine = hole.map((r) => straightVals([r], variant));
+  if (makesStraight(new Set(have), mine, variant)) return [];
+  return variantRanks(variant).filter(
+    (r) => !have.includes(STRAIGHT_VAL[r]) && makesStraight(new Set([...have, ...straightVals([r], variant)]), mine, variant)
+  );
+}
+
+// Three of five straight ranks (one of them ours, both in PLO) on the flop → two running cards can get there
+function hasBackdoorStraight(hole: string[], board: string[], variant: Variant = "holdem") {
+  if (variant === "plo" && hole[0] === hole[1]) return false;
+  const have = new Set(straightVals([...hole, ...board], variant));
+  const mine = hole.map((r) => straightVals([r], variant));
+  for (let lo = 1; lo <= 10; lo++) {
+    const win = [lo, lo + 1, lo + 2, lo + 3, lo + 4];
+    const used = mine.filter((vals) => vals.some((v) => win.includes(v))).length;
+    if (win.filter((v) => have.has(v)).length >= 3 && (variant === "plo" ? used === mine.length : used > 0)) return true;
+  }
+  return false;
+}
+
+// Highest straight in a value bitmask (bit v = rank value v), 0 if none
+function straightHigh(mask: number, variant: Variant = "holdem") {
+  const m = mask & (1 << 14) ? mask | (1 << lowAce(variant)) : mask;
+  for (let hi = 14; hi >= 5; hi--) {
+    const run = 0b11111 << (hi - 4);
+    if ((m & run) === run) return hi;
+  }
+  return 0;
+}
+
+// Best-5 strength of 5–7 cards as one number: category * 16^5 + tiebreak ranks.
+// In Short Deck a flush scores above a full house. PLO hands go through omahaScore.
+export function handScore(cards: string[], variant: Variant = "holdem") {
+  const counts = new Array(15).fill(0);
+  const suitMask: Record<string, number> = { c: 0, d: 0, h: 0, s: 0 };
+  let mask = 0;
+  for (const c of cards) {
+    const v = STRAIGHT_VAL[c[0]];
+    counts[v]++;
+    mask |= 1 << v;
+    suitMask[c[1]] |= 1 << v;
+  }
+  const pack = (cat: number, kick: number[]) => [0, 1, 2, 3, 4].reduce((acc, i) => acc * 16 + (kick[i] ?? 0), cat);
+  const desc = (pred: (v: number) => boolean) => {
+    const out: number[] = [];
+    for (let v = 14; v >= 2; v--) if (pred(v)) out.push(v);
+    return out;
+  };
+  const kickers = (used: number[]) => desc((v) => counts[v] > 0 && !used.includes(v));
+
+  const flushSuit = SUITS.find((s) => desc((v) => (suitMask[s] & (1 << v)) !== 0).length >= 5);
+  if (flushSuit) {
+    const sf = straightHigh(suitMask[flushSuit], variant);
+    if (sf) return pack(8, [sf]);
+  }
+  const quads = desc((v) => counts[v] === 4);
+  if (quads.length) return pack(7, [quads[0], ...kickers(quads)]);
+  const trips = desc((v) => counts[v] === 3);
+  const pairs = desc((v) => counts[v] === 2);
+  const boat = trips.length && (trips.length > 1 || pairs.length) ? [trips[0], Math.max(trips[1] ?? 0, pairs[0] ?? 0)] : null;
+  const flush = flushSuit ? desc((v) => (suitMask[flushSuit] & (1 << v)) !== 0) : null;
+  if (variant === "shortdeck" && flush) return pack(6, flush);
+  if (boat) return pack(variant === "shortdeck" ? 5 : 6, boat);
+  if (flush) return pack(5, flush);
+  const st = straightHigh(mask, variant);
+  if (st) return pack(4, [st]);
+  if (trips.length) return pack(3, [trips[0], ...kickers(trips)]);
+  if (pairs.length >= 2) return pack(2, [pairs[0], pairs[1], ...kickers(pairs.slice(0, 2))]);
+  if (pairs.length) return pack(1, [pairs[0], ...kickers(pairs)]);
+  return pack(0, kickers([]));
+}
+
+// PLO: the best of every two hole cards with every three board cards
+function omahaScore(hole: string[], board: string[]) {
+  let best = 0;
+  for (const pair of combinations(hole, 2)) {
+    for (const three of combinations(board, 3)) best = Math.max(best, handScore([...pair, ...three]));
+  }
+  return best;
+}
+
+// Best score the variant allows for these hole cards on this board
+const bestScore = (hole: string[], board: string[], variant: Variant) =>
+  variant === "plo" ? omahaScore(hole, board) : handScore([...hole, ...board], variant);
+
+const scoreCategory = (score: number) => Math.floor(score / 16 ** 5);
+
+const CATEGORY_MADE: Record<number, MadeHand> = { 4: "straight", 5: "flush", 6: "full-house", 7: "quads", 8: "straight-flush" };
+const SHORT_DECK_CATEGORY_MADE: Record<number, MadeHand> = { ...CATEGORY_MADE, 5: "full-house", 6: "flush" };
+
+// Classify what the hole cards make with the board (not the board on its own). In PLO, `hole`
+// is one two-card pair of the hand and the board must supply exactly three cards.
+function madeHand(hole: string[], board: string[], variant: Variant = "holdem"): { made: MadeHand; kicker?: KickerClass } {
+  const score = bestScore(hole, board, variant);
+  // The board can't play on its own in PLO
+  const boardScore = board.length >= 5 && variant !== "plo" ? handScore(board, variant) : 0;
+  const cat = scoreCategory(score);
+  const boardCat = scoreCategory(boardScore);
+  if (cat >= 4 && (cat > boardCat || score > boardScore)) return { made: (variant === "shortdeck" ? SHORT_DECK_CATEGORY_MADE : CATEGORY_MADE)[cat] };
+
+  const [a, b] = hole.map((c) => c[0]);
+  const boardRanks = board.map((c) => c[0]);
+  const count = (r: string) => boardRanks.filter((x) => x === r).length;
+  const distinct = [...new Set(boardRanks)].sort((x, y) => RANK_ORDER[x] - RANK_ORDER[y]);
+
+  if (a === b) {
+    if (count(a) === 1) return { made: "set" };
+    return { made: RANK_ORDER[a] < RANK_ORDER[distinct[0]] ? "overpair" : "underpair" };
+  }
+  if (count(a) >= 2 || count(b) >= 2) return { made: "trips" };
+  if (count(a) && count(b)) return { made: "two-pair" };
+  if (count(a) || count(b)) {
+    const paired = count(a) ? a : b;
+    const kicker = paired === a ? b : a;
+    const pos = distinct.indexOf(paired);
+    if (pos > 1) return { made: "weak-pair" };
+    return { made: pos === 0 ? "top-pair" : "second-pair", kicker: kickerClass(kicker, paired, boardRanks) };
+  }
+  return { made: "high-card" };
+}
+
+// PLO: the strongest made hand over the six two-card pairs, better kicker on a tie
+const KICKER_ORDER: (KickerClass | undefined)[] = [undefined, "weak", "good", "top"];
+
+function omahaMade(hole: string[], board: string[]) {
+  const strength = (m: { made: MadeHand; kicker?: KickerClass }) => MADE_ORDER.indexOf(m.made) * 4 + KICKER_ORDER.indexOf(m.kicker);
+  return combinations(hole, 2)
+    .map((pair) => ({ pair, ...madeHand(pair, board, "plo") }))
+    .reduce((a, b) => (strength(b) > strength(a) ? b : a));
+}
+
+const madeFor = (hole: string[], board: string[], variant: Variant) => (variant === "plo" ? omahaMade(hole, board) : madeHand(hole, board, variant));
+
+// "top" = best kicker still available, "good" = T or better
+function kickerClass(kicker: string, paired: string, boardRanks: string[]): KickerClass {
+  const best = RANKS.find((r) => r !== paired && !boardRanks.includes(r));
+  if (kicker === best) return "top";
+  return RANK_ORDER[kicker] <= RANK_ORDER["T"] ? "good" : "weak";
+}
+
+// PLO counts a suit only with two hole cards of it, and a straight only through a pair of hole
+// cards; three or more straight ranks (9+ outs) make a wrap
+function findDraws(hole: string[], board: string[], made: MadeHand, variant: Variant = "holdem"): Draw[] {
+  if (board.length >= 5) return [];
+  const draws: Draw[] = [];
+  const order = madeOrder(variant);
+  const rank = order.indexOf(made);
+
+  if (rank < order.indexOf("flush")) {
+    for (const s of [...new Set(hole.map((c) => c[1]))]) {
+      const mine = Math.min(2, hole.filter((c) => c[1] === s).length);
+      if (variant === "plo" && mine < 2) continue;
+      const n = mine + board.filter((c) => c[1] === s).length;
+      const nutCard = variantRanks(variant).find((r) => !board.includes(r + s));
+      if (n === 4) draws.push(hole.includes(nutCard + s) ? "nut-flush-draw" : "flush-draw");
+      else if (n === 3 && board.length === 3) draws.push("backdoor-flush");
+    }
+  }
+  if (rank < order.indexOf("straight")) {
+    const pairs = variant === "plo" ? combinations(hole, 2) : [hole];
+    const boardRanks = board.map((c) => c[0]);
+    const outs = new Set(pairs.flatMap((p) => straightOutRanks(p.map((c) => c[0]), boardRanks, variant)));
+    if (outs.size >= 3 && variant === "plo") draws.push("wrap");
+    else if (outs.size >= 2) draws.push("oesd");
+    else if (outs.size === 1) draws.push("gutshot");
+    else if (board.length === 3 && pairs.some((p) => hasBackdoorStraight(p.map((c) => c[0]), boardRanks, variant))) draws.push("backdoor-straight");
+  }
+  // A PLO hand double-suited to the board reaches the same draw through both suits; list it once
+  return [...new Set(draws)];
+}
+
+// The board's main suit (two or more cards of it) and whether hero holds its best missing card
+function holdsNutFlushCard(hole: string[], board: string[], variant: Variant) {
+  const [suit, n] = SUITS.map((s) => [s, board.filter((c) => c[1] === s).length] as const).reduce((a, b) => (b[1] > a[1] ? b : a));
+  if (n < 2) return false;
+  const nut = variantRanks(variant).find((r) => !board.includes(r + suit));
+  return hole.includes(nut + suit);
+}
+
+// Strongest category a villain could hold on this board: 6 paired, 5 flush (the other way round in
+// Short Deck), 4 straight, else 3
+function boardThreat(board: string[], variant: Variant = "holdem") {
+  const ranks = board.map((c) => c[0]);
+  const paired = new Set(ranks).size < ranks.length;
+  const flushy = SUITS.some((s) => board.filter((c) => c[1] === s).length >= 3);
+  if (variant === "shortdeck" && flushy) return 6;
+  if (paired) return variant === "shortdeck" ? 5 : 6;
+  if (flushy) return 5;
+  const vals = new Set(straightVals(ranks, variant));
+  for (let lo = 1; lo <= 10; lo++) {
+    if ([lo, lo + 1, lo + 2, lo + 3, lo + 4].filter((v) => vals.has(v)).length >= 3) return 4;
+  }
+  return 3;
+}
+
+// Outs improve hero to two pair or better, or to top pair from nothing
+function findOuts(hole: string[], board: string[], made: MadeHand, variant: Variant = "holdem") {
+  if (board.length >= 5) return { outs: [], cleanOuts: [] };
+  const order = madeOrder(variant);
+  const rank = order.indexOf(made);
+  const threatBefore = boardThreat(board, variant);
+  const outs: string[] = [];
+  const cleanOuts: string[] = [];
+  for (const card of deckFor(variant)) {
+    if (hole.includes(card) || board.includes(card)) continue;
+    const next = [...board, card];
+    const { made: improved } = madeFor(hole, next, variant);
+    const newRank = order.indexOf(improved);
+    if (newRank <= rank) continue;
+    if (newRank < order.indexOf("two-pair") && !(made === "high-card" && improved === "top-pair")) continue;
+    outs.push(card);
+    const threat = boardThreat(next, variant);
+    const newCat = scoreCategory(bestScore(hole, next, variant));
+    if (!(threat > newCat && threat > threatBefore)) cleanOuts.push(card);
+  }
+  return { outs, cleanOuts };
+}
+
+// Evaluate hole cards on a 3–5 card board; null on bad input, duplicate cards or cards the
+// variant doesn't deal. In PLO the pair behind the made hand gives kicker and overcards.
+// Outs are most of the work; pass withOuts = false when only the light is needed.
+export function evaluateHand(hole: string[], board: string[], variant: Variant = "holdem", withOuts = true): HandEvaluation | null {
+  if (hole.length !== HOLE_CARDS[variant] || board.length < 3 || board.length > 5) return null;
+  const all = [...hole, ...board];
+  if (new Set(all).size !== all.length || !all.every((c) => inVariant(c, variant))) return null;
+
+  const best = variant === "plo" ? omahaMade(hole, board) : { pair: hole, ...madeHand(hole, board, variant) };
+  const { made, kicker } = best;
+  const boardRanks = board.map((c) => c[0]);
+  const boardTop = Math.min(...boardRanks.map((r) => RANK_ORDER[r]));
+  const [a, b] = best.pair.map((c) => c[0]);
+  const pocket = a === b;
+  const { outs, cleanOuts } = withOuts ? findOuts(hole, board, made, variant) : { outs: [], cleanOuts: [] };
+
+  return {
+    made,
+    label: MADE_LABEL[made] + (kicker ? `, ${kicker} kicker` : ""),
+    kicker,
+    overcards: pocket ? 0 : [a, b].filter((r) => RANK_ORDER[r] < boardTop && !boardRanks.includes(r)).length,
+    boardOvercards: pocket ? new Set(boardRanks.filter((r) => RANK_ORDER[r] < RANK_ORDER[a])).size : 0,
+    draws: findDraws(hole, board, made, variant),
+    nutFlushBlocker: holdsNutFlushCard(hole, board, variant),
+    outs,
+    cleanOuts,
+    score: bestScore(hole, board, variant),
+  };
+}
+
+const madeAtLeast = (e: HandEvaluation, m: MadeHand) => MADE_ORDER.indexOf(e.made) >= MADE_ORDER.indexOf(m);
+const isPair = (e: HandEvaluation) => ["overpair", "top-pair", "second-pair", "underpair", "weak-pair"].includes(e.made);
+
+// ----- Flop patterns -----
+// Example chips are flop families, not loose strings: three rank slots (a rank, or "x" for any),
+// each optionally pinned to a suit, plus a suit texture for the whole flop. Packs write them
+// compactly — "K K x (r)", "9♠ 8 x", "Q J 9 (two-tone)", "{hi} {hi-1} x (all same suit)" — and
+// any other parenthesized text, e.g. "(BDFD + GS)", is kept as a note.
+
+export type SuitTexture = "rainbow" | "two-tone" | "monotone";
+
+export type PatternSlot = { rank: string | null; suit?: string }; // null rank = any
+
+export type FlopPattern = {
+  slots: PatternSlot[]; // always three; order doesn't matter
+  texture?: SuitTexture; // unset = any
+  note?: string;
+};
+
+export type FlopFamily = { pattern: FlopPattern; flops: string[][]; total: number };
+
+const TEXTURE_WORDS: Record<string, SuitTexture> = {
+  r: "rainbow",
+  rainbow: "rainbow",
+  tt: "two-tone",
+  "two-tone": "two-tone",
+  m: "monotone",
+  monotone: "monotone",
+  "all same suit": "monotone",
+};
+const GLYPH_SUIT: Record<string, string> = { "♣": "c", "♦": "d", "♥": "h", "♠": "s" };
+const PERMS3 = [[0, 1, 2], [0, 2, 1], [1, 0, 2], [1, 2, 0], [2, 0, 1], [2, 1, 0]];
+
+// null unless the text has exactly three slots
+export function parseFlopPattern(text: string): FlopPattern | null {
+  const notes: string[] = [];
+  let texture: SuitTexture | undefined;
+  const body = (text || "").replace(/\(([^)]*)\)/g, (_, inner: string) => {
+    const word = inner.trim().toLowerCase();
+    if (TEXTURE_WORDS[word]) texture = TEXTURE_WORDS[word];
+    else if (word) notes.push(inner.trim());
+    return " ";
+  });
+  const slots: PatternSlot[] = [];
+  for (const ch of body.replace(/10/g, "T").replace(/\s+/g, "")) {
+    const suit = GLYPH_SUIT[ch] ?? (/[cdhs]/.test(ch) ? ch : undefined);
+    const last = slots[slots.length - 1];
+    if (suit && last && !last.suit) last.suit = suit;
+    else if (ch === "x" || ch === "X") slots.push({ rank: null });
+    else if (isRank(ch)) slots.push({ rank: ch.toUpperCase() });
+    else return null;
+  }
+  if (slots.length !== 3) return null;
+  return { slots, texture, note: notes.length ? notes.join("; ") : undefined };
+}
+
+// Pinned suits are hero's suit in the built-in packs; with notation.heroSuit off they print as "*"
+export function formatPattern(p: FlopPattern, notation: Notation = DEFAULT_NOTATION) {
+  const suit = (s: string) => (notation.heroSuit ? suitStr(s, notation) : "*");
+  const cards = p.slots.map((slot) => (slot.rank ? rankStr(slot.rank, notation) : "x") + (slot.suit ? suit(slot.suit) : "")).join(" ");
+  return cards + (p.texture ? ` (${p.texture})` : "") + (p.note ? ` (${p.note})` : "");
+}
+
+export function matchesPattern(p: FlopPattern, flop: string[]) {
+  const suits = new Set(flop.map((c) => c[1])).size;
+  if (p.texture && p.texture !== (suits === 3 ? "rainbow" : suits === 2 ? "two-tone" : "monotone")) return false;
+  return PERMS3.some((perm) =>
+    p.slots.every((slot, i) => {
+      const card = flop[perm[i]];
+      return (!slot.rank || slot.rank === card[0]) && (!slot.suit || slot.suit === card[1]);
+    })
+  );
+}
+
+// All flops of the live deck; one hand's chips share the same dead cards, so keep the last list
+let liveFlops = { key: "", flops: [] as string[][] };
+
+// Every concrete flop the pattern covers, minus the dead cards (hero's hand)
+export function flopFamily(p: FlopPattern, dead: string[] = [], variant: Variant = "holdem"): FlopFamily {
+  const key = variant + ":" + [...dead].sort().join("");
+  if (liveFlops.key !== key || !liveFlops.flops.length) {
+    liveFlops = { key, flops: combinations(deckFor(variant).filter((c) => !dead.includes(c)), 3) };
+  }
+  return { pattern: p, flops: liveFlops.flops.filter((f) => matchesPattern(p, f)), total: liveFlops.flops.length };
+}
+
+// ----- Rule engine -----
+// Strategy lives in a JSON rule pack, not in code. A pack has three lists:
+//   advice:  blocks to show for a hand (tone, title, bullets, example patterns)
+//   flops:   ordered mapping of a concrete flop to one of those blocks (first match wins)
+//   context: position / SPR / player-count / villain-profile rules that move blocks, add bullets
+//            or change how a block plays
+// plus optional "actions" per light (see Actions); a block may carry its own, and the game the
+// pack is written for ("variant", Hold'em when unset).
+//
+// Conditions are objects whose keys must all hold, e.g.
+//   { "hand.suited": true, "hand.gap": { "lte": 2 }, "board.draws": ["oesd", "gutshot"] }
+// A plain value means equality (or "contains" for list features), a list means any of,
+// { gte, lte, gt, lt } compares (ranks and made hands by strength). Combine with
+// { "all": [...] }, { "any": [...] } and { "not": {...} }.
+// Templates: {hi} {lo} (hero's highest and lowest rank, with steps like {hi+1} = one rank higher,
+// {lo-2}), {pair} (hero's highest paired rank, else {hi}), {suit} (hero's suit as a glyph: the
+// suited ace's, else the suit hero holds most of, else the first card's) and, in flop reasons,
+// {label} (made hand, e.g. "Top pair, good kicker").
+// Examples must render to a flop pattern (see Flop patterns).
+
+export type Condition = { [key: string]: unknown };
+
+export type AdviceRule = {
+  when?: Condition;
+  tone: Tone;
+  title: string;
+  bullets: string[];
+  examples?: (string | { when: Condition; text: string })[];
+  actions?: BlockActions;
+};
+
+export type FlopRule = {
+  block: string | string[]; // title(s) of the advice block; the first one in the bundle is used
+  when?: Condition;
+  reason: string;
+};
+
+export type ContextRule = {
+  rule: string; // shown to the user, e.g. "Multiway pot"
+  when: Condition;
+  titles?: string[]; // blocks by title...
+  tone?: Tone; // ...or every block currently in this light
+  move?: Tone;
+  bullet?: string;
+  actions?: Partial<BlockActions>; // changes to how the block plays, after any move
+};
+
+export type RulePack = {
+  name: string;
+  variant?: Variant;
+  advice: AdviceRule[];
+  flops: FlopRule[];
+  context: ContextRule[];
+  actions?: Partial<Record<Tone, BlockActions>>; // per light; a block can override with its own
+};
+
+type Features = Record<string, unknown>;
+
+export const HAND_FEATURES = ["hand.pair", "hand.suited", "hand.doubleSuited", "hand.hi", "hand.lo", "hand.gap", "hand.broadway", "hand.suitedAce", "hand.connected"];
+export const BOARD_FEATURES = [
+  "board.street",
+  "board.made",
+  "board.pair",
+  "board.kicker",
+  "board.draws",
+  "board.overcards",
+  "board.boardOvercards",
+  "board.monotone",
+  "board.paired",
+  "board.nutFlushBlocker",
+];
+export const CONTEXT_FEATURES = ["ctx.position", "ctx.spr", "ctx.opponents", "ctx.multiway", "ctx.villain", "ctx.vpip", "ctx.pfr", "ctx.af", "ctx.foldToCbet"];
+
+// Features compared by strength rather than by value; weakest first
+const ORDINALS: Record<string, readonly string[]> = {
+  "hand.hi": [...RANKS].reverse(),
+  "hand.lo": [...RANKS].reverse(),
+  "board.made": MADE_ORDER,
+  "board.kicker": ["weak", "good", "top"],
+};
+
+// Written over all hole cards, so PLO reads them too: pair = holds a pair, suited = two of a suit,
+// gap = highest to lowest rank, connected = a run with no gaps (a rundown like JT98 in PLO)
+function handFeatures(hand: NonNullable<ReturnType<typeof parseHand>>): Features {
+  const ranks = hand.cards.map((c) => c[0]).sort((a, b) => RANK_ORDER[a] - RANK_ORDER[b]);
+  const hi = ranks[0];
+  const lo = ranks[ranks.length - 1];
+  const gap = rankGap(hi, lo);
+  const suitCount = (s: string) => hand.cards.filter((c) => c[1] === s).length;
+  const suitedSuits = SUITS.filter((s) => suitCount(s) >= 2);
+  return {
+    "hand.pair": new Set(ranks).size < ranks.length,
+    "hand.suited": suitedSuits.length > 0,
+    "hand.doubleSuited": suitedSuits.length === 2,
+    "hand.hi": hi,
+    "hand.lo": lo,
+    "hand.gap": gap,
+    "hand.broadway": ranks.every(isBroadway),
+    "hand.suitedAce": hand.cards.some((c) => c[0] === "A" && suitCount(c[1]) >= 2),
+    "hand.connected": new Set(ranks).size === ranks.length && gap === ranks.length - 1,
+  };
+}
+
+function boardFeatures(e: HandEvaluation, board: string[]): Features {
+  return {
+    "board.street": STREETS[board.length - 3],
+    "board.made": e.made,
+    "board.pair": isPair(e),
+    "board.kicker": e.kicker,
+    "board.draws": e.draws,
+    "board.overcards": e.overcards,
+    "board.boardOvercards": e.boardOvercards,
+    "board.monotone": SUITS.some((s) => board.filter((c) => c[1] === s).length >= 3), // a flush is possible
+    "board.paired": new Set(board.map((c) => c[0])).size < board.length,
+    "board.nutFlushBlocker": e.nutFlushBlocker,
+  };
+}
+
+function contextFeatures(ctx: HandContext): Features {
+  const opponents = ctx.opponents ?? 1;
+  return {
+    "ctx.position": heroPosition(ctx),
+    "ctx.spr": stackToPot(ctx),
+    "ctx.opponents": opponents,
+    "ctx.multiway": opponents >= 2,
+    "ctx.villain": ctx.villain && villainType(ctx.villain),
+    "ctx.vpip": ctx.villain?.vpip,
+    "ctx.pfr": ctx.villain?.pfr,
+    "ctx.af": ctx.villain?.af,
+    "ctx.foldToCbet": ctx.villain?.foldToCbet,
+  };
+}
+
+function matchesValue(key: string, have: unknown, want: unknown): boolean {
+  if (have === undefined) return false;
+  if (Array.isArray(want)) return want.some((w) => matchesValue(key, have, w));
+  if (want !== null && typeof want === "object") {
+    const ord = (v: unknown) => (ORDINALS[key] ? ORDINALS[key].indexOf(v as string) : (v as number));
+    const h = ord(have);
+    const { gte, lte, gt, lt } = want as Record<string, unknown>;
+    return (
+      (gte === undefined || h >= ord(gte)) &&
+      (lte === undefined || h <= ord(lte)) &&
+      (gt === undefined || h > ord(gt)) &&
+      (lt === undefined || h < ord(lt))
+    );
+  }
+  if (Array.isArray(have)) return have.includes(want);
+  return have === want;
+}
+
+export function matchesCondition(cond: Condition | undefined, features: Features): boolean {
+  if (!cond) return true;
+  return Object.entries(cond).every(([key, want]) => {
+    if (key === "all") return (want as Condition[]).every((c) => matchesCondition(c, features));
+    if (key === "any") return (want as Condition[]).some((c) => matchesCondition(c, features));
+    if (key === "not") return !matchesCondition(want as Condition, features);
+    return matchesValue(key, features[key], want);
+  });
+}
+
+// Fill {hi}, {lo+1}, {suit}, ... for this hand; `extra` adds named values like {label}
+function renderTemplate(text: string, hand: NonNullable<ReturnType<typeof parseHand>>, extra: Record<string, string> = {}) {
+  const ranks = hand.cards.map((c) => c[0]).sort((a, b) => RANK_ORDER[a] - RANK_ORDER[b]);
+  const [hi, lo] = [ranks[0], ranks[ranks.length - 1]];
+  const pair = ranks.find((r, i) => ranks[i + 1] === r) ?? hi;
+  const suitCount = (s: string) => hand.cards.filter((c) => c[1] === s).length;
+  const ace = hand.cards.find((c) => c[0] === "A" && suitCount(c[1]) >= 2);
+  const suit = ace?.[1] ?? hand.cards.map((c) => c[1]).reduce((a, b) => (suitCount(b) > suitCount(a) ? b : a));
+  return text.replace(/\{(\w+)([+-]\d+)?\}/g, (m, name: string, step?: string) => {
+    if (name === "hi" || name === "lo" || name === "pair") {
+      return rankByIdx(idx(name === "hi" ? hi : name === "lo" ? lo : pair) - Number(step ?? 0), variantRanks(hand.variant));
+    }
+    if (name === "suit") return suitGlyph(suit);
+    return extra[name] ?? m;
+  });
+}
+
+const TONE_NAME: Record<Tone, string> = { green: "Green", yellow: "Yellow", red: "Red" };
+
+function applyContext(bundle: AdviceBundle | null, ctx: HandContext, pack: RulePack): AdviceBundle | null {
+  if (!bundle) return null;
+  const features = contextFeatures(ctx);
+  const out: AdviceBundle = { ...bundle, green: [...bundle.green], yellow: [...bundle.yellow], red: [...bundle.red] };
+  for (const r of pack.context) {
+    if (!matchesCondition(r.when, features)) continue;
+    // Match first, then edit, so a block moved by this rule isn't matched twice
+    const matched = TONES.flatMap((tone) =>
+      out[tone].filter((b) => (r.titles ? r.titles.includes(b.title) : r.tone === tone)).map((block) => [tone, block] as const)
+    );
+    for (const [tone, block] of matched) {
+      const adjustments = [...(block.adjustments ?? [])];
+      const updated = { ...block, bullets: r.bullet ? [...block.bullets, r.bullet] : block.bullets, adjustments };
+      const play = (actions: BlockActions | undefined) => (r.actions && actions ? { ...actions, ...r.actions } : actions);
+      if (r.move && r.move !== tone) {
+        adjustments.push({ rule: r.rule, change: `${TONE_NAME[tone]} → ${TONE_NAME[r.move]}` });
+        out[tone] = out[tone].filter((b) => b !== block);
+        // A block's own actions were written for its light; once moved it plays like the new one
+        out[r.move] = [...out[r.move], { ...updated, actions: play(pack.actions?.[r.move] ?? updated.actions) }];
+      } else {
+        if (r.bullet) adjustments.push({ rule: r.rule, change: "Added bullet" });
+        if (r.actions && updated.actions) adjustments.push({ rule: r.rule, change: "Changed play" });
+        out[tone] = out[tone].map((b) => (b === block ? { ...updated, actions: play(updated.actions) } : b));
+      }
+    }
+  }
+  return out;
+}
+
+// Any hand will do to check that example templates render to patterns
+const PATTERN_CHECK_HAND = parseHand("9h8h")!;
+
+// Problems with a pack loaded from JSON, as readable strings; empty when usable
+export function validateRulePack(pack: unknown): string[] {
+  const errors: string[] = [];
+  const p = pack as Partial<RulePack> | null;
+  if (!p || typeof p !== "object") return ["Rule pack must be a JSON object."];
+  if (typeof p.name !== "string") errors.push("\"name\" must be a string.");
+  if (p.variant !== undefined && !VARIANTS.includes(p.variant)) errors.push(`"variant" must be one of ${VARIANTS.join(", ")}.`);
+  const known = new Set([...HAND_FEATURES, ...BOARD_FEATURES, ...CONTEXT_FEATURES, "all", "any", "not"]);
+  const checkCondition = (c: unknown, where: string) => {
+    if (c === undefined) return;
+    if (!c || typeof c !== "object" || Array.isArray(c)) return errors.push(`${where}: condition must be an object.`);
+    for (const [k, v] of Object.entries(c)) {
+      if (!known.has(k)) errors.push(`${where}: unknown feature "${k}".`);
+      if (k === "all" || k === "any") (Array.isArray(v) ? v : [null]).forEach((x) => checkCondition(x, where));
+      if (k === "not") checkCondition(v, where);
+    }
+  };
+  // Context rules change only some fields, so `partial` lets bet and sizes be left out
+  const checkActions = (a: Partial<BlockActions> | null, where: string, partial = false) => {
+    if (!a || typeof a !== "object") return errors.push(`${where}: must be an object.`);
+    if ((!partial || a.bet !== undefined) && (typeof a.bet !== "number" || a.bet < 0 || a.bet > 1)) {
+      errors.push(`${where}: "bet" must be a frequency from 0 to 1.`);
+    }
+    if ((!partial || a.sizes !== undefined) && (!Array.isArray(a.sizes) || a.sizes.some((x) => !SIZE_BUCKETS.includes(x)))) {
+      errors.push(`${where}: "sizes" must be a list of ${SIZE_BUCKETS.join(", ")}.`);
+    }
+    if (a.continueUpTo !== undefined && (typeof a.continueUpTo !== "number" || a.continueUpTo < 0)) errors.push(`${where}: "continueUpTo" must be a % of pot.`);
+    if (a.raise !== undefined && typeof a.raise !== "boolean") errors.push(`${where}: "raise" must be true or false.`);
+  };
+  if (p.actions !== undefined) {
+    if (!p.actions || typeof p.actions !== "object") errors.push(`"actions" must be an object keyed by light.`);
+    else for (const [tone, a] of Object.entries(p.actions)) {
+      if (!TONES.includes(tone as Tone)) errors.push(`actions: unknown light "${tone}".`);
+      else checkActions(a, `actions.${tone}`);
+    }
+  }
+  const list = <T,>(key: "advice" | "flops" | "context", check: (x: T, where: string) => void) => {
+    const xs = p[key];
+    if (!Array.isArray(xs)) return errors.push(`"${key}" must be a list.`);
+    xs.forEach((x, i) => check(x as T, `${key}[${i}]`));
+  };
+  list<AdviceRule>("advice", (r, where) => {
+    if (!TONES.includes(r?.tone)) errors.push(`${where}: "tone" must be green, yellow or red.`);
+    if (typeof r?.title !== "string") errors.push(`${where}: "title" must be a string.`);
+    if (!Array.isArray(r?.bullets)) errors.push(`${where}: "bullets" must be a list.`);
+    checkCondition(r?.when, where);
+    (r?.examples ?? []).forEach((x) => {
+      const text = typeof x === "string" ? x : x?.text;
+      if (typeof x !== "string") checkCondition(x?.when, `${where} example`);
+      if (typeof text !== "string" || !parseFlopPattern(renderTemplate(text, PATTERN_CHECK_HAND))) {
+        errors.push(`${where}: example ${JSON.stringify(text)} is not a three-card flop pattern.`);
+      }
+    });
+    if (r?.actions !== undefined) checkActions(r.actions, `${where} actions`);
+  });
+  // Flop and context rules find blocks by title, so a renamed block would otherwise stop matching silently
+  const titles = new Set(Array.isArray(p.advice) ? p.advice.map((r) => r?.title) : []);
+  const checkTitles = (xs: unknown, where: string) => {
+    if (!Array.isArray(p.advice)) return;
+    for (const title of typeof xs === "string" ? [xs] : Array.isArray(xs) ? xs : []) {
+      if (!titles.has(title)) errors.push(`${where}: no advice block is titled ${JSON.stringify(title)}.`);
+    }
+  };
+  list<FlopRule>("flops", (r, where) => {
+    if (typeof r?.block !== "string" && !Array.isArray(r?.block)) errors.push(`${where}: "block" must be a title or list of titles.`);
+    else checkTitles(r.block, where);
+    if (typeof r?.reason !== "string") errors.push(`${where}: "reason" must be a string.`);
+    checkCondition(r?.when, where);
+  });
+  list<ContextRule>("context", (r, where) => {
+    if (typeof r?.rule !== "string") errors.push(`${where}: "rule" must be a string.`);
+    checkTitles(r?.titles, where);
+    if (r?.move !== undefined && !TONES.includes(r.move)) errors.push(`${where}: "move" must be green, yellow or red.`);
+    if (r?.actions !== undefined) checkActions(r.actions, `${where} actions`, true);
+    checkCondition(r?.when, where);
+  });
+  return errors;
+}
+
+// ----- Table context -----
+// Position, stack depth (SPR), player count and villain's profile; the rule pack's context rules act on them.
+
+export const SEATS = ["UTG", "HJ", "CO", "BTN", "SB", "BB"] as const;
+export type Seat = (typeof SEATS)[number];
+
+export type HandContext = {
+  position?: "IP" | "OOP";
+  seat?: Seat; // implies a position when `position` is unset
+  stack?: number; // effective stack
+  pot?: number; // pot on the flop
+  opponents?: number; // 1 = heads-up
+  villain?: VillainStats; // a preset's stats or a custom read
+};
+
+// Postflop position in a typical single-raised pot from each seat
+export const SEAT_POSITION: Record<Seat, "IP" | "OOP"> = { UTG: "OOP", HJ: "OOP", CO: "IP", BTN: "IP", SB: "OOP", BB: "OOP" };
+
+export function heroPosition(ctx: HandContext) {
+  return ctx.position ?? (ctx.seat ? SEAT_POSITION[ctx.seat] : undefined);
+}
+
+export function stackToPot(ctx: HandContext) {
+  return ctx.stack && ctx.pot ? ctx.stack / ctx.pot : undefined;
+}
+
+// ----- Villain profiles -----
+// A villain is four HUD stats. The type they read as ("ctx.villain") and the stats themselves are
+// context features, so packs exploit them with context rules; VPIP also sets the assumed range.
+
+export type VillainStats = {
+  vpip: number; // % of hands played
+  pfr: number; // % of hands raised preflop
+  af: number; // aggression factor: (bets + raises) / calls
+  foldToCbet: number; // % of flop c-bets folded to
+};
+
+export const VILLAIN_TYPES = ["nit", "reg", "station", "maniac"] as const;
+export type VillainType = (typeof VILLAIN_TYPES)[number];
+
+export const VILLAIN_LABEL: Record<VillainType, string> = { nit: "Nit", reg: "Regular", station: "Calling station", maniac: "Maniac" };
+
+export const VILLAIN_PRESETS: Record<VillainType, VillainStats> = {
+  nit: { vpip: 12, pfr: 9, af: 2, foldToCbet: 60 },
+  reg: { vpip: 24, pfr: 19, af: 2.5, foldToCbet: 45 },
+  station: { vpip: 45, pfr: 8, af: 0.8, foldToCbet: 25 },
+  maniac: { vpip: 55, pfr: 40, af: 5, foldToCbet: 30 },
+};
+
+// Loose players split on aggression; tight ones are nits; everyone else plays like a regular
+export function villainType(s: VillainStats): VillainType {
+  if (s.vpip >= 35 || (s.vpip >= 28 && s.af < 1.5)) return s.af >= 3 || s.pfr >= 25 ? "maniac" : "station";
+  return s.vpip <= 16 ? "nit" : "reg";
+}
+
+// Chen points for a hand class, the usual quick preflop ranking
+function chenScore(cls: string) {
+  const points = (r: string) => ({ A: 10, K: 8, Q: 7, J: 6 } as Record<string, number>)[r] ?? STRAIGHT_VAL[r] / 2;
+  if (cls.length === 2) return Math.max(5, points(cls[0]) * 2);
+  const gap = rankGap(cls[0], cls[1]) - 1;
+  const penalty = [0, 1, 2, 4][gap] ?? 5;
+  const bonus = gap <= 1 && RANK_ORDER[cls[0]] > RANK_ORDER["Q"] ? 1 : 0;
+  return Math.ceil(points(cls[0]) + (cls[2] === "s" ? 2 : 0) - penalty + bonus);
+}
+
+// Villain's assumed range: the top VPIP% of starting hands by Chen points, in range notation
+export function villainRange({ vpip }: VillainStats) {
+  const classes = RANKS.flatMap((a, i) => RANKS.slice(i).map((b, j) => (j === 0 ? [a + b] : [a + b + "s", a + b + "o"]))).flat();
+  const ranked = classes.map((cls) => ({ cls, score: chenScore(cls) })).sort((x, y) => y.score - x.score);
+  const target = (Math.min(100, Math.max(0, vpip)) / 100) * 1326;
+  const picked = new Set<string>();
+  let combos = 0;
+  for (const { cls } of ranked) {
+    if (combos >= target) break;
+    picked.add(cls);
+    combos += cls.length === 2 ? 6 : cls[2] === "s" ? 4 : 12;
+  }
+  // Runs that reach the top ("QQ-AA", "ATs-AKs") shorten to "+"
+  const tokens: string[] = [];
+  const run = (list: string[], plus: (last: string) => string) => {
+    let n = 0;
+    while (n < list.length && picked.has(list[n])) n++;
+    if (n > 1) tokens.push(plus(list[n - 1]));
+    list.slice(n === 1 ? 0 : n).filter((cls) => picked.has(cls)).forEach((cls) => tokens.push(cls));
+  };
+  run(RANKS.map((r) => r + r), (last) => last + "+");
+  for (const kind of ["s", "o"]) {
+    RANKS.forEach((hi, i) => run(RANKS.slice(i + 1).map((lo) => hi + lo + kind), (last) => last + "+"));
+  }
+  return tokens.join(", ");
+}
+
+// ----- Default rule pack -----
+// The built-in heuristics as data. Export it, edit the JSON, and load it back to tune strategy.
+
+const PAIR: Condition = { "hand.pair": true };
+const SUITED: Condition = { "hand.pair": false, "hand.suited": true };
+const OFFSUIT: Condition = { "hand.pair": false, "hand.suited": false };
+const ONE_PAIR_BLOCKS = ["Decent one-pair / backdoors", "Marginal one-pair / backdoors"];
+const OFFSUIT_GREEN_BLOCKS = ["Top pair / two-pair / strong gutters", "Open-enders / pair+draw", "Strong top-pair / two-pair"];
+const FLUSH_DRAWS = ["flush-draw", "nut-flush-draw"];
+
+export const DEFAULT_RULE_PACK: RulePack = {
+  name: "Default heuristics",
+  variant: "holdem",
+  actions: {
+    green: { bet: 0.75, sizes: [50, 75], continueUpTo: 125, raise: true },
+    yellow: { bet: 0.3, sizes: [25, 33], continueUpTo: 50 },
+    red: { bet: 0.1, sizes: [25], continueUpTo: 25 },
+  },
+  advice: [
+    // Pocket pairs
+    {
+      when: PAIR,
+      tone: "green",
+      title: "Sets / Overpairs",
+      bullets: [
+        "Top set or middle/bottom set: build pots vs one player; size up multiway for value/protection.",
+        "Overpair on safe boards (low/medium disconnected): bet for value/protection; keep barreling clean turns.",
+      ],
+      examples: ["{hi}{hi}x (rainbow)", "{hi}{hi-1}{hi-2} (r)"],
+      actions: { bet: 0.8, sizes: [50, 75, 125], continueUpTo: 125, raise: true },
+    },
+    {
+      when: PAIR,
+      tone: "yellow",
+      title: "Underpairs / Paired boards",
+      bullets: [
+        "Underpair to one or two overcards: realize equity cheap; check-call small once in-position.",
+        "Paired boards w/ one over: pot control; take free cards; avoid big pots without improvement.",
+      ],
+      examples: ["A {hi} 4 (r)", "{hi+1} {hi+2} {hi} (r)"],
+    },
+    {
+      when: PAIR,
+      tone: "red",
+      title: "Two+ overs / High, wet textures",
+      bullets: [
+        "Boards with two or more higher cards, especially connected or two-tone, are bad for under-repped pocket pairs.",
+        "Fold to sizable aggression multiway; avoid check-raise bluffs without strong equity.",
+      ],
+      examples: [
+        { when: { "hand.hi": { lte: "3" } }, text: "A K 3 (r)" },
+        { when: { "hand.hi": { gte: "4" } }, text: "A K 9 (r)" },
+        "Q J 9 (two-tone)",
+      ],
+    },
+
+    // Suited hands (including suited broadways, suited aces, suited connectors/gappers)
+    {
+      when: { ...SUITED, any: [{ "hand.gap": { lte: 2 } }, { "hand.broadway": true }] },
+      tone: "green",
+      title: "Strong combo equity (OESDs/GS + backdoors)",
+      bullets: [
+        "Open-ender or pair + draw with your suit/backdoors: build pots vs singles; mix check-raises vs late stabs.",
+        "Pressure good turns (your suit, straight completers, or overcards you rep).",
+      ],
+      examples: ["{lo}{lo-1}{suit}x", "{hi+1}{suit}{lo}x", "{lo-1}{suit}{lo-2}{suit} x"],
+    },
+    {
+      when: SUITED,
+      tone: "green",
+      title: "Top two or better",
+      bullets: [
+        "Two-pair on uncoordinated boards: value bet; size up multiway (60–75%).",
+        "Trips on paired boards: value but beware when obvious straights/flushes complete.",
+      ],
+      examples: ["{hi}{lo}x (no straight/flush)", "{hi}{hi}{lo} (r)"],
+      actions: { bet: 0.85, sizes: [50, 75], continueUpTo: 125, raise: true },
+    },
+    {
+      when: { ...SUITED, "hand.suitedAce": true },
+      tone: "green",
+      title: "Nut FD + extras",
+      bullets: [
+        "A-high nut FD with gutter/overcards: semi-bluff aggressively vs folds; deny equity.",
+        "In-position, raise some small c-bets; out-of-position, prefer check-raise mixes on dynamic boards.",
+      ],
+      examples: ["Q {suit} J x (BDFD + GS)", "{lo-1} {suit} {lo-2} {suit} x (NFD + pair outs)"],
+      actions: { bet: 0.65, sizes: [33, 75], continueUpTo: 125, raise: true },
+    },
+    {
+      when: SUITED,
+      tone: "yellow",
+      title: "Decent one-pair / backdoors",
+      bullets: [
+        "Top pair weak kicker or second pair w/ backdoors: check-call small once; fold to heat multiway.",
+        "Favor pot control when your kicker is dominated or board shifts on the turn.",
+      ],
+      examples: ["{hi} {hi-1} {lo} (r)", "{lo} {lo-1} {hi+1} (two-tone)"],
+    },
+    {
+      when: SUITED,
+      tone: "yellow",
+      title: "Non-nut FDs with extras",
+      bullets: [
+        "Front-door FD without overcards: peel small; avoid big pots unless with extra equity (gutter/overs).",
+        "Raise mainly when you can fold out better highs or realize fold equity vs capped ranges.",
+      ],
+      examples: ["A Q 7 (you have FD only)", "T 8 3 (BDFD + backdoor straight)"],
+    },
+    {
+      when: SUITED,
+      tone: "red",
+      title: "Dry, high-card boards you miss",
+      bullets: [
+        "Disconnected high-card boards heavily favor tight ranges; your equity realization is poor.",
+        "Mostly check-fold; continue only vs tiny bets with backdoors in-position.",
+      ],
+      examples: ["A K 4 (r)", "Q 7 2 (r)"],
+    },
+    {
+      when: SUITED,
+      tone: "red",
+      title: "Monotone boards without nut advantage",
+      bullets: [
+        "Avoid building 3-street pots when you lack the nut on monotone textures.",
+        "Call tiny, fold big; realize equity when cheap.",
+      ],
+      examples: ["{hi} {hi-1} x (all same suit)", "{hi+1} {lo-1} {lo-2} (all same suit)"],
+      actions: { bet: 0.05, sizes: [25], continueUpTo: 33 },
+    },
+
+    // Offsuit (broadways, wheel aces, gappers)
+    {
+      when: { ...OFFSUIT, "hand.broadway": true },
+      tone: "green",
+      title: "Top pair / two-pair / strong gutters",
+      bullets: ["Top pair good kicker and two-pair on safe boards: value/protection; barrel good turns."],
+      examples: ["{hi}{lo}x (r)", { when: { "hand.connected": true }, text: "{hi+1} {hi} {lo} (r)" }, { when: { "hand.connected": false }, text: "{hi+1} {lo-1} x" }],
+    },
+    {
+      when: { ...OFFSUIT, "hand.broadway": false, "hand.connected": true },
+      tone: "green",
+      title: "Open-enders / pair+draw",
+      bullets: ["Open-enders and pair+draws: pressure single opponents; mix raises vs small c-bets."],
+      examples: ["{hi}{lo}x (r)", "{hi+1} {hi} {lo} (r)"],
+    },
+    {
+      when: { ...OFFSUIT, "hand.broadway": false, "hand.connected": false },
+      tone: "green",
+      title: "Strong top-pair / two-pair",
+      bullets: ["When you smash (two-pair+), build pots; protect vs live overcards/backdoors."],
+      examples: ["{hi}{lo}x (r)", "{hi+1} {lo-1} x"],
+    },
+    {
+      when: OFFSUIT,
+      tone: "yellow",
+      title: "Marginal one-pair / backdoors",
+      bullets: [
+        "Check-call small once in-position; fold to pressure on turns that help opponent's range.",
+        "Favor pot control multiway; avoid thin value on coordinated runouts.",
+      ],
+      examples: ["{hi} {hi-1} {lo-1} (r)", "{lo} {lo-1} {hi+1} (two-tone)"],
+    },
+    {
+      when: OFFSUIT,
+      tone: "red",
+      title: "High, disconnected boards you miss / bad low boards",
+      bullets: [
+        "AKx/QTx without connection; also super-low boards that smash callers' ranges.",
+        "Mostly give up out-of-position; continue only with strong backdoors or vs tiny sizes in-position.",
+      ],
+      examples: ["A K 4 (r)", "6 5 4 (two-tone)"],
+    },
+  ],
+
+  // A flop only lands in a block the hand's bundle shows, so each hand type reads its own rules
+  flops: [
+    // Pocket pairs
+    { block: "Sets / Overpairs", when: { "board.made": { gte: "set" } }, reason: "{label}." },
+    { block: "Sets / Overpairs", when: { "board.made": "overpair" }, reason: "{label}." },
+    { block: "Two+ overs / High, wet textures", when: { "board.boardOvercards": { gte: 2 } }, reason: "Two or more overcards to your pair." },
+    { block: "Underpairs / Paired boards", when: { "board.paired": true }, reason: "Paired board with an overcard." },
+    { block: "Underpairs / Paired boards", reason: "Underpair to one overcard." },
+
+    // Suited
+    { block: "Top two or better", when: { "board.made": { gte: "two-pair" } }, reason: "{label}." },
+    { block: "Nut FD + extras", when: { "board.draws": "nut-flush-draw" }, reason: "Nut flush draw." },
+    { block: "Strong combo equity (OESDs/GS + backdoors)", when: { "board.draws": "oesd" }, reason: "Open-ended straight draw." },
+    {
+      block: "Strong combo equity (OESDs/GS + backdoors)",
+      when: { "board.draws": FLUSH_DRAWS, any: [{ "board.draws": "gutshot" }, { "board.pair": true }] },
+      reason: "Flush draw plus pair or gutter.",
+    },
+    {
+      block: "Monotone boards without nut advantage",
+      when: { "board.monotone": true, "board.street": ["turn", "river"] },
+      reason: "The flush card came and you don't hold the flush.",
+    },
+    { block: "Monotone boards without nut advantage", when: { "board.monotone": true }, reason: "Monotone board without the nut flush." },
+    { block: "Non-nut FDs with extras", when: { "board.draws": FLUSH_DRAWS }, reason: "Non-nut flush draw." },
+    { block: "Decent one-pair / backdoors", when: { "board.pair": true }, reason: "{label}." },
+    { block: "Decent one-pair / backdoors", when: { "board.draws": ["oesd", "gutshot"] }, reason: "Straight draw without a pair." },
+    { block: "Dry, high-card boards you miss", reason: "No pair and no real draw." },
+
+    // Offsuit
+    { block: OFFSUIT_GREEN_BLOCKS, when: { "board.made": { gte: "two-pair" } }, reason: "{label}." },
+    {
+      block: OFFSUIT_GREEN_BLOCKS,
+      when: { "hand.broadway": true, "board.made": "top-pair", "board.kicker": { gte: "good" } },
+      reason: "{label}.",
+    },
+    { block: OFFSUIT_GREEN_BLOCKS, when: { "board.draws": "oesd", "board.pair": true }, reason: "Pair plus open-ender." },
+    { block: OFFSUIT_GREEN_BLOCKS, when: { "board.draws": "oesd" }, reason: "Open-ended straight draw." },
+    { block: "Marginal one-pair / backdoors", when: { "board.pair": true }, reason: "{label}." },
+    { block: "Marginal one-pair / backdoors", when: { "board.draws": "gutshot" }, reason: "Gutshot only." },
+    { block: "High, disconnected boards you miss / bad low boards", reason: "No pair and no real draw." },
+  ],
+
+  // Applied in order; a move takes the block from wherever it currently sits
+  context: [
+    {
+      rule: "Multiway pot",
+      when: { "ctx.multiway": true },
+      titles: ["Underpairs / Paired boards"],
+      move: "red",
+      bullet: "Multiway: an underpair is rarely best and hard to continue with; check-fold to bets.",
+    },
+    {
+      rule: "Multiway pot",
+      when: { "ctx.multiway": true },
+      titles: ["Non-nut FDs with extras"],
+      move: "red",
+      bullet: "Multiway: non-nut flush draws often draw thin; don't pay off raises.",
+    },
+    {
+      rule: "Multiway pot",
+      when: { "ctx.multiway": true },
+      titles: ONE_PAIR_BLOCKS,
+      bullet: "Multiway: one pair shrinks in value; mostly check and fold to two bets.",
+    },
+    {
+      rule: "Low SPR (≤ 3)",
+      when: { "ctx.spr": { lte: 3 } },
+      titles: ONE_PAIR_BLOCKS,
+      move: "green",
+      bullet: "Low SPR: top pair is strong enough to get stacks in; bet or jam for value.",
+    },
+    {
+      rule: "Low SPR (≤ 3)",
+      when: { "ctx.spr": { lte: 3 } },
+      titles: ["Strong combo equity (OESDs/GS + backdoors)", "Non-nut FDs with extras", "Open-enders / pair+draw"],
+      bullet: "Low SPR: draws lose implied odds; jam strong equity, fold the weak part.",
+    },
+    {
+      rule: "High SPR (≥ 10)",
+      when: { "ctx.spr": { gte: 10 } },
+      titles: ["Sets / Overpairs", "Top pair / two-pair / strong gutters", "Strong top-pair / two-pair"],
+      bullet: "High SPR: one pair is not a stack-off hand; plan two streets of value, not three.",
+    },
+    {
+      rule: "High SPR (≥ 10)",
+      when: { "ctx.spr": { gte: 10 } },
+      titles: ["Underpairs / Paired boards"],
+      bullet: "High SPR: set-mining implied odds are good; peel small bets when a set would get paid.",
+    },
+    {
+      rule: "In position",
+      when: { "ctx.position": "IP" },
+      tone: "yellow",
+      bullet: "In position: float small bets and take free cards to realize equity.",
+    },
+    {
+      rule: "Out of position",
+      when: { "ctx.position": "OOP" },
+      tone: "yellow",
+      bullet: "Out of position: equity realization drops; check-fold more vs large bets.",
+    },
+    // Villain profiles: thin value vs stations, bluff-catching vs maniacs, folding vs nits
+    {
+      rule: "Calling station",
+      when: { "ctx.villain": "station" },
+      titles: ONE_PAIR_BLOCKS,
+      move: "green",
+      bullet: "Calling station: they call with worse pairs and any draw; bet thin for value on every street.",
+    },
+    {
+      rule: "Calling station",
+      when: { "ctx.villain": "station" },
+      tone: "red",
+      bullet: "Calling station: bluffs don't get folds; check your misses and give up.",
+      actions: { bet: 0 },
+    },
+    {
+      rule: "Folds to c-bets",
+      when: { "ctx.foldToCbet": { gte: 55 } },
+      tone: "red",
+      bullet: "Villain over-folds to c-bets: a small c-bet with your misses shows a profit.",
+      actions: { bet: 0.6, sizes: [33] },
+    },
+    {
+      rule: "Maniac",
+      when: { "ctx.villain": "maniac" },
+      titles: ["Two+ overs / High, wet textures", "Monotone boards without nut advantage"],
+      move: "yellow",
+      bullet: "Maniac: most of their bets are bluffs; check and call down with any pair instead of folding.",
+      actions: { bet: 0.1, continueUpTo: 75 },
+    },
+    {
+      rule: "Maniac",
+      when: { "ctx.villain": "maniac" },
+      titles: ONE_PAIR_BLOCKS,
+      bullet: "Maniac: check to them and bluff-catch; raising folds out the bluffs you beat.",
+      actions: { bet: 0.1, continueUpTo: 125, raise: false },
+    },
+    {
+      rule: "Nit",
+      when: { "ctx.villain": "nit" },
+      titles: [...ONE_PAIR_BLOCKS, "Underpairs / Paired boards", "Non-nut FDs with extras"],
+      move: "red",
+      bullet: "Nit: when a nit bets or calls twice they have it; marginal hands check and fold.",
+    },
+  ],
+};
+
+// Short Deck: the Hold'em heuristics, shifted by the smaller deck. After a flop flush draw only five
+// cards of the suit are left, while an open-ender has 8 outs among 31 unseen cards; and a flush
+// now beats a full house. Examples that need a 2–5 get Short Deck boards instead.
+const SHORT_DECK_EXAMPLES: Record<string, string[]> = {
+  "Non-nut FDs with extras": ["A Q 7 (you have FD only)", "T 8 6 (BDFD + backdoor straight)"],
+  "Dry, high-card boards you miss": ["A K 6 (r)", "Q 8 6 (r)"],
+  "High, disconnected boards you miss / bad low boards": ["A K 6 (r)", "8 7 6 (two-tone)"],
+};
+
+export const SHORT_DECK_RULE_PACK: RulePack = {
+  ...DEFAULT_RULE_PACK,
+  name: "Short Deck heuristics",
+  variant: "shortdeck",
+  advice: DEFAULT_RULE_PACK.advice.map((r) => (SHORT_DECK_EXAMPLES[r.title] ? { ...r, examples: SHORT_DECK_EXAMPLES[r.title] } : r)),
+  context: [
+    {
+      rule: "Short Deck",
+      when: {},
+      titles: ["Non-nut FDs with extras"],
+      move: "red",
+      bullet: "Short Deck: five flush cards are left to hit and someone often has a bigger one; non-nut flush draws rarely get paid.",
+    },
+    {
+      rule: "Short Deck",
+      when: {},
+      titles: ["Nut FD + extras"],
+      bullet: "Short Deck: a flush draw has about five outs; semi-bluff it when straight or pair outs come with it.",
+    },
+    {
+      rule: "Short Deck",
+      when: {},
+      titles: ["Strong combo equity (OESDs/GS + backdoors)", "Open-enders / pair+draw"],
+      bullet: "Short Deck: an open-ender hits 8 of 31 unseen cards, about what a Hold'em flush draw does; play it as a strong draw.",
+    },
+    {
+      rule: "Short Deck",
+      when: {},
+      titles: ["Sets / Overpairs", "Top two or better"],
+      bullet: "Short Deck: a flush beats a full house; slow down with a set or boat when a third card of a suit lands.",
+    },
+    {
+      rule: "Short Deck",
+      when: {},
+      titles: ONE_PAIR_BLOCKS,
+      bullet: "Short Deck: ranges connect with the board more often, so one pair is worth less than in Hold'em.",
+    },
+    ...DEFAULT_RULE_PACK.context,
+  ],
+};
+
+// PLO: four cards, exactly two play. Equities run close and the best hand on the flop often loses,
+// so the lights follow nut potential: nut hands and big draws (wraps, nut flush draws) are Green,
+// non-nut hands and draws Yellow, one pair and misses Red. Pot-limit caps a bet at the pot.
+const PLO_NUTS = "Nut hands (top set, nut straight, nut flush)";
+const PLO_DRAWS = "Wraps and nut flush draws";
+const PLO_NON_NUT = "Non-nut hands and draws";
+const PLO_BLOCKERS = "Nut-flush blockers";
+const PLO_ONE_PAIR = "One pair and overpairs";
+const PLO_MISS = "Boards you miss";
+
+export const PLO_RULE_PACK: RulePack = {
+  name: "PLO heuristics",
+  variant: "plo",
+  actions: {
+    green: { bet: 0.7, sizes: [50, 75], continueUpTo: 100, raise: true },
+    yellow: { bet: 0.25, sizes: [33, 50], continueUpTo: 50 },
+    red: { bet: 0.05, sizes: [25], continueUpTo: 25 },
+  },
+  advice: [
+    {
+      tone: "green",
+      title: PLO_NUTS,
+      bullets: [
+        "Top set, the nut straight and the nut flush: bet big or raise; in PLO the money usually goes in on the flop.",
+        "A nut hand with a redraw (set + flush draw, straight + flush draw) can get it in even against the same hand.",
+      ],
+      examples: [
+        { when: { "hand.pair": true }, text: "{pair} x x (r)" },
+        { when: { "hand.connected": true, "hand.lo": { gte: "5" } }, text: "{lo-1} {lo-2} {lo-3} (r)" },
+        { when: { "hand.suitedAce": true }, text: "x{suit} x{suit} x{suit}" },
+      ],
+    },
+    {
+      tone: "green",
+      title: PLO_DRAWS,
+      bullets: [
+        "Wraps (9+ straight outs) and nut flush draws, best both at once: bet and get it in; they are often favorites over a set.",
+        "Pair + wrap or set + nut flush draw: happy to stack off at any SPR.",
+      ],
+      examples: [
+        { when: { "hand.connected": true, "hand.lo": { gte: "4" } }, text: "{lo-1} {lo-2} x (r)" },
+        { when: { "hand.suitedAce": true }, text: "x{suit} x{suit} x (NFD)" },
+      ],
+    },
+    {
+      tone: "yellow",
+      title: PLO_NON_NUT,
+      bullets: [
+        "Bottom or middle set, non-nut straights, small flushes and two pair: bet or call once, then slow down when the board changes.",
+        "Non-nut flush draws and plain open-enders: call small bets in position; fold to raises.",
+      ],
+      examples: ["{hi} {lo} x (r)", { when: { "hand.suited": true, "hand.suitedAce": false }, text: "x{suit} x{suit} x (non-nut FD)" }],
+    },
+    {
+      when: { "hand.hi": "A" },
+      tone: "yellow",
+      title: PLO_BLOCKERS,
+      bullets: [
+        "The ace of a monotone board's suit without the flush: villain can't hold the nut flush, so bluff or bluff-catch, but don't stack off.",
+        "On two-tone boards the same card blocks the nut flush draw: a good spot to bet small.",
+      ],
+    },
+    {
+      tone: "red",
+      title: PLO_ONE_PAIR,
+      bullets: [
+        "One pair, even top pair or aces, is rarely best by the turn: check, and fold to a pot-sized bet.",
+        "Overpairs without a set or flush draw: bet small once on dry boards, then give up under pressure.",
+      ],
+      examples: ["{hi} x x (r)"],
+    },
+    {
+      tone: "red",
+      title: PLO_MISS,
+      bullets: [
+        "No pair and no real draw: check and give up; PLO ranges hit too often to bluff into.",
+        "Gutshots and non-nut backdoors don't justify calls against pot-limit bets.",
+      ],
+      examples: [{ when: { "hand.hi": { lte: "Q" } }, text: "A K 2 (r)" }],
+    },
+  ],
+
+  flops: [
+    { block: PLO_NUTS, when: { "board.made": { gte: "full-house" } }, reason: "{label}." },
+    { block: PLO_NUTS, when: { "board.made": "flush", "board.nutFlushBlocker": true }, reason: "Nut flush." },
+    { block: PLO_NUTS, when: { "board.made": "set", "board.boardOvercards": 0 }, reason: "Top set." },
+    { block: PLO_NUTS, when: { "board.made": "straight", "board.monotone": false, "board.paired": false }, reason: "Straight with no flush or full house possible." },
+    { block: PLO_DRAWS, when: { "board.draws": "wrap" }, reason: "Wrap." },
+    { block: PLO_DRAWS, when: { "board.draws": "nut-flush-draw" }, reason: "Nut flush draw." },
+    {
+      block: PLO_BLOCKERS,
+      when: { "board.monotone": true, "board.nutFlushBlocker": true, "board.made": { lt: "flush" } },
+      reason: "You hold the nut flush card without the flush.",
+    },
+    { block: PLO_NON_NUT, when: { "board.made": { gte: "two-pair" } }, reason: "{label}: strong, but not the nuts." },
+    { block: PLO_NON_NUT, when: { "board.draws": ["flush-draw", "oesd"] }, reason: "Non-nut draw." },
+    { block: PLO_ONE_PAIR, when: { "board.pair": true }, reason: "{label}: one pair rarely holds up in PLO." },
+    { block: PLO_MISS, reason: "No pair and no real draw." },
+  ],
+
+  context: [
+    {
+      rule: "Multiway pot",
+      when: { "ctx.multiway": true },
+      titles: [PLO_NON_NUT, PLO_BLOCKERS],
+      move: "red",
+      bullet: "Multiway: somebody often holds the nuts; non-nut hands, draws and blocker plays become folds.",
+    },
+    {
+      rule: "Low SPR (≤ 3)",
+      when: { "ctx.spr": { lte: 3 } },
+      titles: [PLO_NON_NUT],
+      move: "green",
+      bullet: "Low SPR: sets and two pair are stack-off hands; get it in on the flop.",
+    },
+    {
+      rule: "High SPR (≥ 10)",
+      when: { "ctx.spr": { gte: 10 } },
+      titles: [PLO_NUTS],
+      bullet: "High SPR: the nuts now may not be the nuts by the river; prefer nut hands with a redraw.",
+    },
+    {
+      rule: "In position",
+      when: { "ctx.position": "IP" },
+      tone: "yellow",
+      bullet: "In position: call small bets with draws and take free cards.",
+    },
+    {
+      rule: "Out of position",
+      when: { "ctx.position": "OOP" },
+      tone: "yellow",
+      bullet: "Out of position: non-nut hands get squeezed between bettors; check-fold more.",
+    },
+    {
+      rule: "Calling station",
+      when: { "ctx.villain": "station" },
+      titles: [PLO_NON_NUT],
+      move: "green",
+      bullet: "Calling station: second-nut hands get paid by worse; bet them for value.",
+    },
+    {
+      rule: "Calling station",
+      when: { "ctx.villain": "station" },
+      titles: [PLO_BLOCKERS, PLO_MISS],
+      bullet: "Calling station: blocker bluffs don't work on players who don't fold.",
+      actions: { bet: 0 },
+    },
+    {
+      rule: "Maniac",
+      when: { "ctx.villain": "maniac" },
+      titles: [PLO_ONE_PAIR],
+      move: "yellow",
+      bullet: "Maniac: top pair or an overpair is ahead of their betting range often enough to call down; don't raise.",
+      actions: { bet: 0.1, continueUpTo: 75, raise: false },
+    },
+    {
+      rule: "Maniac",
+      when: { "ctx.villain": "maniac" },
+      titles: [PLO_BLOCKERS],
+      bullet: "Maniac: a nut-flush blocker is a fine bluff-catcher; call down rather than raise.",
+      actions: { bet: 0.1, continueUpTo: 100, raise: false },
+    },
+    {
+      rule: "Nit",
+      when: { "ctx.villain": "nit" },
+      titles: [PLO_NON_NUT],
+      move: "red",
+      bullet: "Nit: a nit's action means the nuts; non-nut hands fold to it.",
+    },
+  ],
+};
+
+// Built-in pack per game
+export const RULE_PACKS: Record<Variant, RulePack> = { holdem: DEFAULT_RULE_PACK, shortdeck: SHORT_DECK_RULE_PACK, plo: PLO_RULE_PACK };
+
+export const packFor = (hand: ReturnType<typeof parseHand>) => RULE_PACKS[hand?.variant ?? "holdem"];
+
+// ----- Concrete flop classifier -----
+export type Tone = "green" | "yellow" | "red";
+
+export const TONES: Tone[] = ["green", "yellow", "red"];
+
+export type FlopVerdict = {
+  tone: Tone;
+  title: string; // title of the matching TrafficAdvice block
+  reason: string;
+  evaluation: HandEvaluation;
+  ruleTone?: Tone; // light from the hand-coded rules, when equity moved it
+  equity?: number; // equity (0–1) on this board vs the villain ranges
+};
+
+// Pick the single light (and advice block) that this exact board (flop, turn or river) falls
+// into: the first flop rule of the pack whose block the bundle shows and whose conditions hold
+export function classifyBoard(
+  hand: ReturnType<typeof parseHand>,
+  board: string[] | null,
+  ctx: HandContext = {},
+  pack: RulePack = packFor(hand),
+  advice: AdviceBundle | null = generateAdvice(hand, ctx, pack) // pass it in when classifying many boards
+): FlopVerdict | null {
+  if (!hand || !board || board.length < 3 || board.length > 5 || clashesWithHand(board, hand)) return null;
+  return lightFor(hand, board, evaluateHand(hand.cards, board, hand.variant), ctx, pack, advice);
+}
+
+// The light for a board already evaluated; bulk callers evaluate without outs
+function lightFor(
+  hand: NonNullable<ReturnType<typeof parseHand>>,
+  board: string[],
+  e: HandEvaluation | null,
+  ctx: HandContext,
+  pack: RulePack,
+  advice: AdviceBundle | null
+): FlopVerdict | null {
+  if (!advice || !e) return null;
+  const features = { ...handFeatures(hand), ...boardFeatures(e, board), ...contextFeatures(ctx) };
+  const find = (title: string) => TONES.map((t) => [t, advice[t].find((b) => b.title === title)] as const).find(([, b]) => b);
+
+  for (const rule of pack.flops) {
+    const titles = typeof rule.block === "string" ? [rule.block] : rule.block;
+    const found = titles.map(find).find(Boolean);
+    if (!found || !matchesCondition(rule.when, features)) continue;
+    const [tone, block] = found;
+    // Context may have moved the block; report the light it sits in now
+    const moves = block!.adjustments?.filter((a) => a.change.includes("→")) ?? [];
+    const why = moves.length ? ` Moved by: ${moves.map((a) => a.rule).join(", ")}.` : "";
+    return { tone, title: block!.title, reason: renderTemplate(rule.reason, hand, { label: e.label }) + why, evaluation: e };
+  }
+  return null;
+}
+
+// ----- Actions -----
+// Each block says how to play it: how often to bet when checked to and at which sizes, and how
+// much to continue against. Facing a bet, equity against the price (pot odds) decides when it is
+// known; otherwise the block's continueUpTo does.
+
+export const SIZE_BUCKETS = [25, 33, 50, 75, 125] as const;
+export type SizeBucket = (typeof SIZE_BUCKETS)[number];
+
+export type BlockActions = {
+  bet: number; // how often to bet when checked to (0–1); check the rest
+  sizes: SizeBucket[]; // % of pot
+  continueUpTo?: number; // without equity numbers: call bets up to this % of pot
+  raise?: boolean; // raise instead of calling when well ahead of the price
+};
+
+export type FacingDecision = {
+  action: "fold" | "call" | "raise";
+  required: number; // equity the price asks for (0–1)
+  equity?: number;
+  reason: string;
+};
+
+// Equity over the price that turns a call into a raise, for blocks that raise
+export const RAISE_MARGIN = 0.15;
+
+// Equity needed to call a bet of `betPct` % of pot: bet / (pot + 2 × bet)
+export const potOdds = (betPct: number) => betPct / (100 + 2 * betPct);
+
+export function facingBet(actions: BlockActions | undefined, betPct: number, equity?: number): FacingDecision | null {
+  if (!actions || !(betPct > 0)) return null;
+  const required = potOdds(betPct);
+  const price = `a ${betPct}% pot bet needs ${pct(required)}`;
+  if (equity !== undefined) {
+    if (equity < required) return { action: "fold", required, equity, reason: `${pct(equity)} equity, but ${price}.` };
+    if (actions.raise && equity >= required + RAISE_MARGIN) {
+      return { action: "raise", required, equity, reason: `${pct(equity)} equity is well clear of the price (${price}).` };
+    }
+    return { action: "call", required, equity, reason: `${pct(equity)} equity covers the price (${price}).` };
+  }
+  const limit = actions.continueUpTo ?? 0;
+  if (betPct > limit) return { action: "fold", required, reason: `This block continues only against bets up to ${limit}% pot.` };
+  return { action: actions.raise ? "raise" : "call", required, reason: `Within the ${limit}% pot this block continues against (${price}).` };
+}
+
+// One line for sheets and CSV, e.g. "bet 75% (50/75% pot), continue vs 125%, raise"
+export function formatActions(actions: BlockActions | undefined) {
+  if (!actions) return "";
+  const parts = [`bet ${Math.round(actions.bet * 100)}% (${actions.sizes.join("/")}% pot)`];
+  if (actions.continueUpTo !== undefined) parts.push(`continue vs ${actions.continueUpTo}%`);
+  if (actions.raise) parts.push("raise");
+  return parts.join(", ");
+}
+
+// ----- Streets -----
+// Turn and river: re-classify on each street and light up every possible next card.
+
+export const STREETS = ["flop", "turn", "river"] as const;
+export type Street = (typeof STREETS)[number];
+
+export type StreetVerdict = {
+  street: Street;
+  cards: string[]; // cards dealt on this street
+  verdict: FlopVerdict;
+};
+
+export type NextCardLight = {
+  card: string;
+  tone: Tone;
+  title: string;
+  change: "improves" | "same" | "hurts"; // vs the light on the current street
+};
+
+export const TONE_RANK: Record<Tone, number> = { red: 0, yellow: 1, green: 2 };
+
+// Verdict for the flop, then flop+turn, then the full board, as far as the board goes. With villain
+// ranges each street is re-lit by equity, which is slow enough to keep off the main thread.
+export function streetByStreet(
+  hand: ReturnType<typeof parseHand>,
+  board: string[] | null,
+  ctx: HandContext = {},
+  pack: RulePack = packFor(hand),
+  ranges: RangeCombo[][] = []
+): StreetVerdict[] {
+  if (!hand || !board || board.length < 3) return [];
+  const out: StreetVerdict[] = [];
+  for (let n = 3; n <= board.length; n++) {
+    const sub = board.slice(0, n);
+    const verdict = withEquity(classifyBoard(hand, sub, ctx, pack), hand, sub, ranges);
+    if (!verdict) break;
+    out.push({ street: STREETS[n - 3], cards: n === 3 ? sub : [sub[n - 1]], verdict });
+  }
+  return out;
+}
+
+// Light of every unseen next card (47 after a Hold'em flop, 46 after the turn); rules only, no equity
+export function nextCardLights(
+  hand: ReturnType<typeof parseHand>,
+  board: string[] | null,
+  ctx: HandContext = {},
+  pack: RulePack = packFor(hand)
+): NextCardLight[] {
+  if (!hand || !board || board.length < 3 || board.length > 4) return [];
+  const advice = generateAdvice(hand, ctx, pack);
+  const now = classifyBoard(hand, board, ctx, pack, advice);
+  if (!now) return [];
+  const out: NextCardLight[] = [];
+  for (const card of deckFor(hand.variant)) {
+    if (board.includes(card) || hand.cards.includes(card)) continue;
+    const next = [...board, card];
+    const v = lightFor(hand, next, evaluateHand(hand.cards, next, hand.variant, false), ctx, pack, advice);
+    if (!v) continue;
+    const diff = TONE_RANK[v.tone] - TONE_RANK[now.tone];
+    out.push({ card, tone: v.tone, title: v.title, change: diff > 0 ? "improves" : diff < 0 ? "hurts" : "same" });
+  }
+  return out;
+}
+
+// ----- Hand-history import -----
+// PokerStars-style text hand histories (GGPoker uses the same layout). Works fully offline
+// on pasted text or file contents: hero's cards, seat, board and per-street money in.
+
+export type HistoryStreet = "preflop" | Street;
+
+export type HistoryAction = {
+  street: HistoryStreet;
+  player: string;
+  action: "posts" | "folds" | "checks" | "calls" | "bets" | "raises";
+  amount: number; // chips this action added to the pot
+};
+
+export type ParsedHistory = {
+  id: string;
+  site: "PokerStars" | "GGPoker";
+  hero: string;
+  hole: string; // normalized, e.g. "AhKd"
+  seat?: Seat;
+  board: string[];
+  bigBlind: number;
+  actions: HistoryAction[];
+  potAtFlop: number;
+  playersAtFlop: number;
+  effectiveStack: number; // behind on the flop, hero vs the deepest opponent still in
+};
+
+export type HistoryReview = {
+  history: ParsedHistory;
+  streets: StreetVerdict[];
+  heroIn: Partial<Record<Street, number>>; // hero's chips in per postflop street
+  foldedOn?: Street;
+  flags: string[];
+};
+
+// Hero put at least this share of the flop pot in on streets that were Red
+export const RED_MONEY_FLAG = 0.75;
+
+const HAND_HEADER = /^(PokerStars|Poker) Hand #\s*([\w-]+)/;
+const ACTION_LINE = /^(.+?): (posts|folds|checks|calls|bets|raises)\b(.*)$/;
+
+// "$1,250.50" / "€3" / "1,250" → number
+const chips = (text: string) => Number(text.replace(/[^\d.]/g, "")) || 0;
+
+// Card tokens like "Ah", "td" or "10h" → normalized "Ah"/"Td"/"Th"; null if not a card
+function historyCard(token: string) {
+  const t = token.replace(/^10/, "T");
+  return t.length === 2 && isRank(t[0]) && isSuit(t[1]) ? normalizeCard(t) : null;
+}
+
+// Seat names by order after the button: SB, BB, then early → late, ending on BTN
+function seatNames(count: number): Seat[] {
+  if (count <= 2) return ["BB", "BTN"];
+  const late: Seat[] = ["UTG", "HJ", "CO", "BTN"].slice(-(count - 2)) as Seat[];
+  return ["SB", "BB", ...Array(Math.max(0, count - 6)).fill("UTG"), ...late];
+}
+
+// Split a file into single hands (each starts with its "... Hand #" header)
+function splitHistories(text: string) {
+  const hands: string[][] = [];
+  for (const line of (text || "").split(/\r?\n/)) {
+    if (HAND_HEADER.test(line.trim())) hands.push([]);
+    if (hands.length) hands[hands.length - 1].push(line.trim());
+  }
+  return hands;
+}
+
+function parseOneHistory(lines: string[], heroName?: string): ParsedHistory | null {
+  const header = HAND_HEADER.exec(lines[0]);
+  if (!header) return null;
+  const blinds = /\(\D*([\d.,]+)\/\D*([\d.,]+)/.exec(lines[0]);
+  const button = Number(/Seat #(\d+) is the button/.exec(lines.join("\n"))?.[1] ?? 0);
+
+  const seats: { seat: number; player: string; stack: number }[] = [];
+  const actions: HistoryAction[] = [];
+  const board: string[] = [];
+  let hero = "";
+  let hole = "";
+  let street: HistoryStreet | null = null; // null until the hole cards are dealt
+  let inStreet = new Map<string, number>();
+
+  for (const line of lines) {
+    if (line.startsWith("*** SUMMARY")) break;
+    const seat = /^Seat (\d+): (.+?) \(\D*([\d.,]+) in chips/.exec(line);
+    if (seat && street === null) {
+      seats.push({ seat: Number(seat[1]), player: seat[2], stack: chips(seat[3]) });
+      continue;
+    }
+    const marker = /^\*\*\* (HOLE CARDS|FLOP|TURN|RIVER|SHOW ?DOWN) \*\*\*/.exec(line);
+    if (marker) {
+      const name = marker[1];
+      if (name.startsWith("SHOW")) break;
+      street = name === "HOLE CARDS" ? "preflop" : (name.toLowerCase() as Street);
+      if (street !== "preflop") {
+        inStreet = new Map();
+        const groups = [...line.matchAll(/\[([^\]]+)\]/g)];
+        const last = groups[groups.length - 1]?.[1] ?? "";
+        for (const token of last.split(/\s+/)) {
+          const card = historyCard(token);
+          if (card && !board.includes(card)) board.push(card);
+        }
+      }
+      continue;
+    }
+    // Hero is the first player dealt visible cards, or the named player; later "Dealt to" lines
+    // (other players' cards in some exports) don't replace them
+    const dealt = /^Dealt to (.+?) \[([^\]]+)\]/.exec(line);
+    if (dealt) {
+      const cards = dealt[2].split(/\s+/).map(historyCard);
+      if (!hero && (heroName === undefined || dealt[1] === heroName) && cards.length === 2 && cards.every(Boolean)) {
+        hero = dealt[1];
+        hole = cards.join("");
+      }
+      continue;
+    }
+    const uncalled = /^Uncalled bet \(\D*([\d.,]+)\) returned to (.+)$/.exec(line);
+    if (uncalled) {
+      const back = chips(uncalled[1]);
+      const last = [...actions].reverse().find((a) => a.player === uncalled[2] && a.amount > 0);
+      if (last) last.amount = Math.max(0, last.amount - back);
+      continue;
+    }
+    const act = ACTION_LINE.exec(line);
+    if (!act || street === null && !act[2].startsWith("posts")) continue;
+    const [, player, verb, rest] = act;
+    const current = street ?? "preflop";
+    const nums = [...rest.matchAll(/[\d.,]*\d/g)].map((m) => chips(m[0]));
+    const already = inStreet.get(player) ?? 0;
+    let amount = 0;
+    if (verb === "raises") amount = Math.max(0, (nums[nums.length - 1] ?? 0) - already);
+    else if (verb === "bets" || verb === "calls" || verb === "posts") amount = nums[0] ?? 0;
+    if (!/ante/.test(rest)) inStreet.set(player, already + amount);
+    actions.push({ street: current, player, action: verb as HistoryAction["action"], amount });
+  }
+
+  const parsedHole = parseHand(hole);
+  if (!hero || !parsedHole) return null;
+
+  // Seat names from the button
+  const order = [...seats].sort((a, b) => a.seat - b.seat);
+  const btnIdx = Math.max(0, order.findIndex((s) => s.seat === button));
+  const rotated = [...order.slice(btnIdx + 1), ...order.slice(0, btnIdx + 1)];
+  const names = seatNames(rotated.length);
+  const heroSeatIdx = rotated.findIndex((s) => s.player === hero);
+
+  const pre = actions.filter((a) => a.street === "preflop");
+  const spent = (player: string, upTo: HistoryStreet[]) =>
+    actions.filter((a) => a.player === player && upTo.includes(a.street)).reduce((acc, a) => acc + a.amount, 0);
+  const inHand = [...new Set(pre.map((a) => a.player))].filter((p) => !pre.some((a) => a.player === p && a.action === "folds"));
+  const behind = (p: string) => (seats.find((s) => s.player === p)?.stack ?? 0) - spent(p, ["preflop"]);
+  const deepest = Math.max(0, ...inHand.filter((p) => p !== hero).map(behind));
+
+  return {
+    id: header[2],
+    site: header[1] === "PokerStars" ? "PokerStars" : "GGPoker",
+    hero,
+    hole: parsedHole.c1 + parsedHole.c2,
+    seat: heroSeatIdx >= 0 ? names[heroSeatIdx] : undefined,
+    board,
+    bigBlind: blinds ? chips(blinds[2]) : 0,
+    actions,
+    potAtFlop: pre.reduce((acc, a) => acc + a.amount, 0),
+    playersAtFlop: inHand.length,
+    effectiveStack: Math.min(behind(hero), deepest),
+  };
+}
+
+// Every hand in a pasted file where hero was dealt in; malformed hands are skipped. Pass the
+// player's screen name when the file shows other players' hole cards too.
+export function parseHandHistories(text: string, heroName?: string): ParsedHistory[] {
+  return splitHistories(text)
+    .map((lines) => parseOneHistory(lines, heroName))
+    .filter((h): h is ParsedHistory => !!h);
+}
+
+// Run a played hand through the classifier street by street and flag the costly spots:
+// lots of money in on Red streets, or a fold while the light was Green.
+export function reviewHistory(history: ParsedHistory, pack: RulePack = DEFAULT_RULE_PACK): HistoryReview | null {
+  if (history.board.length < 3 || !history.actions.some((a) => a.player === history.hero && a.street !== "preflop")) {
+    return null; // hero never saw a flop
+  }
+  const hand = parseHand(history.hole);
+  const ctx: HandContext = {
+    seat: history.seat,
+    stack: history.effectiveStack,
+    pot: history.potAtFlop,
+    opponents: Math.max(1, history.playersAtFlop - 1),
+  };
+  const streets = streetByStreet(hand, history.board, ctx, pack);
+  const heroActs = history.actions.filter((a) => a.player === history.hero && a.street !== "preflop");
+  const heroIn: Partial<Record<Street, number>> = {};
+  for (const a of heroActs) heroIn[a.street as Street] = (heroIn[a.street as Street] ?? 0) + a.amount;
+  const foldedOn = heroActs.find((a) => a.action === "folds")?.street as Street | undefined;
+
+  const bb = (x: number) => (history.bigBlind ? `${(x / history.bigBlind).toFixed(1)} bb` : x.toFixed(2));
+  const flags: string[] = [];
+  const redStreets = streets.filter((st) => st.verdict.tone === "red" && heroIn[st.street]);
+  const redMoney = redStreets.reduce((acc, st) => acc + (heroIn[st.street] ?? 0), 0);
+  if (history.potAtFlop > 0 && redMoney >= RED_MONEY_FLAG * history.potAtFlop) {
+    flags.push(`Put ${bb(redMoney)} in on Red ${redStreets.map((st) => st.street).join("/")} (${(redMoney / history.potAtFlop).toFixed(1)}× the flop pot).`);
+  }
+  const foldStreet = streets.find((st) => st.street === foldedOn);
+  if (foldStreet?.verdict.tone === "green") {
+    flags.push(`Folded a Green ${foldStreet.street}: ${foldStreet.verdict.title}.`);
+  }
+  return { history, streets, heroIn, foldedOn, flags };
+}
+
+// ----- Ranges -----
+// Standard range notation, comma-separated:
+//   pairs "77", "77+", "22-55"; suited/offsuit "AKs", "KTo+", "A2s-A5s" ("AK" = both);
+//   specific combos "AhKh"; optional weight suffix "AKo:50%" or "AKo:0.5".
+
+export type RangeCombo = { c1: string; c2: string; weight: number };
+
+const RANGE_CLASS = /^([AKQJT2-9])([AKQJT2-9])([so])?(\+)?$/i;
+const RANGE_DASH = /^([AKQJT2-9])([AKQJT2-9])([so])?-([AKQJT2-9])([AKQJT2-9])([so])?$/i;
+
+// All concrete combos of a hand class like "QQ", "AKs", "AKo"
+function classCombos(hi: string, lo: string, kind: "pair" | "s" | "o"): [string, string][] {
+  const out: [string, string][] = [];
+  SUITS.forEach((s1, i) =>
+    SUITS.forEach((s2, j) => {
+      if (kind === "pair" ? j > i : kind === "s" ? i === j : i !== j) out.push([hi + s1, lo + s2]);
+    })
+  );
+  return out;
+}
+
+// "AKs" / "AKo" / "QQ" for two concrete cards
+export function comboClass(c1: string, c2: string) {
+  const [r1, r2] = [c1[0], c2[0]];
+  if (r1 === r2) return r1 + r2;
+  const hi = RANK_ORDER[r1] < RANK_ORDER[r2] ? r1 : r2;
+  const lo = hi === r1 ? r2 : r1;
+  return hi + lo + (c1[1] === c2[1] ? "s" : "o");
+}
+
+function classCombosOf(cls: string) {
+  return classCombos(cls[0], cls[1], cls.length === 2 ? "pair" : (cls[2] as "s" | "o"));
+}
+
+// Ranks from `a` down to `b` inclusive (either order), e.g. ("5", "2") → 5 4 3 2
+const rankSpan = (a: string, b: string) => RANKS.slice(Math.min(RANK_ORDER[a], RANK_ORDER[b]), Math.max(RANK_ORDER[a], RANK_ORDER[b]) + 1);
+
+// Expand one token into hand classes, e.g. "ATs+" → ["ATs", "AJs", "AQs", "AKs"]
+function expandRangeToken(token: string): string[] | null {
+  const dash = RANGE_DASH.exec(token);
+  if (dash) {
+    const [a1, b1, a2, b2] = [dash[1], dash[2], dash[4], dash[5]].map((r) => r.toUpperCase());
+    const [k1, k2] = [dash[3], dash[6]].map((k) => (k || "").toLowerCase());
+    if (k1 !== k2) return null;
+    if (a1 === b1 && a2 === b2) return k1 ? null : rankSpan(a1, a2).map((r) => r + r);
+    // Same top card, kicker runs: "A2s-A5s", "KTo-K7o"
+    if (a1 !== a2 || a1 === b1 || a2 === b2) return null;
+    const kickers = rankSpan(b1, b2);
+    if (kickers.some((r) => RANK_ORDER[r] <= RANK_ORDER[a1])) return null;
+    const kinds = k1 ? [k1] : ["s", "o"];
+    return kickers.flatMap((l) => kinds.map((k) => a1 + l + k));
+  }
+
+  const m = RANGE_CLASS.exec(token);
+  if (!m) return null;
+  let [, a, b, kind, plus] = m;
+  a = a.toUpperCase();
+  b = b.toUpperCase();
+  kind = (kind || "").toLowerCase();
+  if (a === b) {
+    if (kind) return null; // "AAs" is not a thing
+    return (plus ? RANKS.slice(0, RANK_ORDER[a] + 1) : [a]).map((r) => r + r);
+  }
+  const hi = RANK_ORDER[a] < RANK_ORDER[b] ? a : b;
+  const lo = hi === a ? b : a;
+  const los = plus ? RANKS.slice(RANK_ORDER[hi] + 1, RANK_ORDER[lo] + 1) : [lo];
+  const kinds = kind ? [kind] : ["s", "o"];
+  return los.flatMap((l) => kinds.map((k) => hi + l + k));
+}
+
+// "50%" → 0.5, "0.5" → 0.5; null outside (0, 1]
+function parseWeight(text: string): number | null {
+  const m = /^(\d+(?:\.\d+)?)(%)?$/.exec(text);
+  if (!m) return null;
+  const w = m[2] ? Number(m[1]) / 100 : Number(m[1]);
+  return w > 0 && w <= 1 ? w : null;
+}
+
+// Parse a comma-separated range into weighted combos; null on any bad token.
+// Later tokens override the weight of combos already listed.
+export function parseRange(text: string): RangeCombo[] | null {
+  const tokens = (text || "").split(",").map((t) => t.replace(/\s+/g, "")).filter(Boolean);
+  if (!tokens.length) return null;
+  const combos = new Map<string, RangeCombo>();
+  for (const raw of tokens) {
+    const [token, weightText, ...extra] = raw.split(":");
+    if (extra.length) return null;
+    const weight = weightText === undefined ? 1 : parseWeight(weightText);
+    if (weight === null) return null;
+
+    const exact = token.length === 4 ? parseCards(token, 2) : null;
+    const pairs = exact ? [exact as [string, string]] : expandRangeToken(token)?.flatMap(classCombosOf);
+    if (!pairs) return null;
+    for (const [c1, c2] of pairs) {
+      const key = [c1, c2].sort().join("");
+      combos.set(key, { c1, c2, weight });
+    }
+  }
+  return [...combos.values()];
+}
+
+// Share of each hand class in the range (0–1, weights included), keyed "AKs"/"AKo"/"QQ"
+export function rangeClassWeights(range: RangeCombo[] | null) {
+  const sums = new Map<string, number>();
+  for (const c of range ?? []) {
+    const cls = comboClass(c.c1, c.c2);
+    sums.set(cls, (sums.get(cls) ?? 0) + c.weight);
+  }
+  const out = new Map<string, number>();
+  sums.forEach((w, cls) => out.set(cls, w / classCombosOf(cls).length));
+  return out;
+}
+
+// A concrete combo to study for a grid cell: prefer one in the range, avoid dead cards
+export function representativeCombo(cls: string, range: RangeCombo[] | null, dead: string[] = []) {
+  const live = ([c1, c2]: [string, string]) => !dead.includes(c1) && !dead.includes(c2);
+  const inRange = (range ?? []).filter((c) => comboClass(c.c1, c.c2) === cls).map((c) => [c.c1, c.c2] as [string, string]);
+  const pick = inRange.find(live) ?? classCombosOf(cls).find(live);
+  return pick ? pick.join("") : null;
+}
+
+// ----- Whole-range flop report -----
+// Every live combo of a range through the board classifier: share of each light, by hand bucket.
+
+export type HandBucket = "Straights+" | "Sets" | "Two pair / trips" | "Overpairs" | "Top pair" | "Other pairs" | "Draws" | "Air";
+
+export type RangeReport = {
+  board: string; // e.g. "K72r"
+  combos: number; // live combos after card removal
+  weight: number; // sum of their weights
+  tones: Record<Tone, number>; // share 0–1
+  buckets: { bucket: HandBucket; share: number; tones: Record<Tone, number> }[];
+};
+
+const BUCKET_ORDER: HandBucket[] = ["Straights+", "Sets", "Two pair / trips", "Overpairs", "Top pair", "Other pairs", "Draws", "Air"];
+
+function handBucket(e: HandEvaluation): HandBucket {
+  if (madeAtLeast(e, "straight")) return "Straights+";
+  if (e.made === "set") return "Sets";
+  if (e.made === "two-pair" || e.made === "trips") return "Two pair / trips";
+  if (e.made === "overpair") return "Overpairs";
+  if (e.made === "top-pair") return "Top pair";
+  if (isPair(e)) return "Other pairs";
+  if (e.draws.some((d) => !d.startsWith("backdoor"))) return "Draws";
+  return "Air";
+}
+
+// Short board name: high-to-low ranks + r (rainbow) / tt (two-tone) / m (monotone)
+function boardName(board: string[]) {
+  const ranks = board.map((c) => c[0]).sort((a, b) => RANK_ORDER[a] - RANK_ORDER[b]).join("");
+  const suits = new Set(board.map((c) => c[1])).size;
+  return ranks + (suits === 1 ? "m" : suits === 2 ? "tt" : "r");
+}
+
+// Ranges are two-card hands: the pack's game must be Hold'em or Short Deck, and in Short Deck
+// combos with a 2–5 drop out
+export function rangeFlopReport(
+  range: RangeCombo[] | null,
+  board: string[] | null,
+  ctx: HandContext = {},
+  pack: RulePack = DEFAULT_RULE_PACK
+): RangeReport | null {
+  const variant = pack.variant ?? "holdem";
+  if (!range || !board || board.length < 3 || variant === "plo") return null;
+  const zero = (): Record<Tone, number> => ({ green: 0, yellow: 0, red: 0 });
+  const tones = zero();
+  const byBucket = new Map<HandBucket, Record<Tone, number>>();
+  let combos = 0;
+  let weight = 0;
+  for (const c of range) {
+    if (board.includes(c.c1) || board.includes(c.c2)) continue;
+    const combo = parseHand(c.c1 + c.c2, variant);
+    const verdict = combo && lightFor(combo, board, evaluateHand(combo.cards, board, variant, false), ctx, pack, generateAdvice(combo, ctx, pack));
+    if (!verdict) continue;
+    const bucket = handBucket(verdict.evaluation);
+    const acc = byBucket.get(bucket) ?? zero();
+    acc[verdict.tone] += c.weight;
+    byBucket.set(bucket, acc);
+    tones[verdict.tone] += c.weight;
+    combos++;
+    weight += c.weight;
+  }
+  if (!weight) return null;
+  const share = (t: Record<Tone, number>, total: number): Record<Tone, number> => ({
+    green: t.green / total,
+    yellow: t.yellow / total,
+    red: t.red / total,
+  });
+  const buckets = BUCKET_ORDER.filter((b) => byBucket.has(b)).map((bucket) => {
+    const t = byBucket.get(bucket)!;
+    const total = t.green + t.yellow + t.red;
+    return { bucket, share: total / weight, tones: share(t, total) };
+  });
+  return { board: boardName(board), combos, weight, tones: share(tones, weight), buckets };
+}
+
+// ----- Blockers & nut advantage -----
+// What hero's two cards take out of villain's range on a board: the strongest hand classes there
+// (nut tiers) and how many of their combos hero holds a card of, how villain's value-to-bluff ratio
+// moves once those combos are gone, and which range holds more of the nut tiers.
+
+export type NutTier = {
+  label: string; // e.g. "Nut flush", "Set of T", "J-high straight"
+  combos: number; // in villain's range (weighted), before card removal
+  blocked: number; // of those, combos that use one of hero's cards
+};
+
+export type BlockerReport = {
+  tiers: NutTier[];
+  value: { combos: number; blocked: number }; // villain's top pair or better
+  bluffs: { combos: number; blocked: number }; // villain's draws and air
+  nutShare: { hero: number; villain: number } | null; // share of each range in the nut tiers; null without hero's range
+  advantage: "hero" | "villain" | "even" | null;
+};
+
+const NUT_TIERS = 3;
+const NUT_EDGE = 1.3; // one range needs this many times the other's nut share to hold the advantage
+const VALUE_BUCKETS: HandBucket[] = ["Straights+", "Sets", "Two pair / trips", "Overpairs", "Top pair"];
+
+function nutTierLabel(hole: string[], board: string[], e: HandEvaluation, score: number, variant: Variant) {
+  if (e.made === "flush") return holdsNutFlushCard(hole, board, variant) ? "Nut flush" : "Flush";
+  if (e.made === "straight") return `${RANKS[14 - (Math.floor(score / 16 ** 4) % 16)] ?? "5"}-high straight`;
+  if (e.made === "set") return `Set of ${hole[0][0]}`;
+  return MADE_LABEL[e.made];
+}
+
+// Villain's range defaults to a regular's (see Villain profiles). Hero's range has no default: without
+// it there is no nut-advantage verdict. Two-card games only, null otherwise
+export function blockerReport(
+  hand: ReturnType<typeof parseHand>,
+  board: string[] | null,
+  villain: RangeCombo[] | null = null,
+  hero: RangeCombo[] | null = null
+): BlockerReport | null {
+  if (!hand || hand.variant === "plo" || !board || clashesWithHand(board, hand)) return null;
+  const variant = hand.variant;
+  const fallback = parseRange(villainRange(VILLAIN_PRESETS.reg));
+  const key = (c1: string, c2: string) => [c1, c2].sort().join("");
+  // Every two-card holding on this board with its tier and value/bluff bucket
+  const holdings = new Map<string, { score: number; tier: string; bucket: HandBucket }>();
+  for (const [c1, c2] of combinations(deckFor(variant).filter((c) => !board.includes(c)), 2)) {
+    const e = evaluateHand([c1, c2], board, variant, false)!;
+    const score = bestScore([c1, c2], board, variant);
+    holdings.set(key(c1, c2), { score, tier: nutTierLabel([c1, c2], board, e, score, variant), bucket: handBucket(e) });
+  }
+  const best = new Map<string, number>();
+  holdings.forEach((h) => best.set(h.tier, Math.max(best.get(h.tier) ?? 0, h.score)));
+  const top = [...best.entries()].sort((a, b) => b[1] - a[1]).slice(0, NUT_TIERS).map(([tier]) => tier);
+
+  const blocks = (c: RangeCombo) => hand.cards.includes(c.c1) || hand.cards.includes(c.c2);
+  const tiers: NutTier[] = top.map((label) => ({ label, combos: 0, blocked: 0 }));
+  const value = { combos: 0, blocked: 0 };
+  const bluffs = { combos: 0, blocked: 0 };
+  const share = { hero: 0, villain: 0 };
+  let villainLive = 0;
+  for (const c of villain ?? fallback ?? []) {
+    const h = holdings.get(key(c.c1, c.c2));
+    if (!h) continue; // uses a board card, or a rank Short Deck doesn't have
+    const blocked = blocks(c) ? c.weight : 0;
+    const tier = tiers.find((t) => t.label === h.tier);
+    if (tier) {
+      tier.combos += c.weight;
+      tier.blocked += blocked;
+    }
+    const side = VALUE_BUCKETS.includes(h.bucket) ? value : h.bucket === "Draws" || h.bucket === "Air" ? bluffs : null;
+    if (side) {
+      side.combos += c.weight;
+      side.blocked += blocked;
+    }
+    // Villain's actual range: what's left after hero's cards
+    if (!blocked) {
+      villainLive += c.weight;
+      if (tier) share.villain += c.weight;
+    }
+  }
+  if (!hero) return { tiers, value, bluffs, nutShare: null, advantage: null };
+  let heroLive = 0;
+  for (const c of hero) {
+    const h = holdings.get(key(c.c1, c.c2));
+    if (!h) continue;
+    heroLive += c.weight;
+    if (top.includes(h.tier)) share.hero += c.weight;
+  }
+  const nutShare = { hero: heroLive ? share.hero / heroLive : 0, villain: villainLive ? share.villain / villainLive : 0 };
+  const advantage =
+    nutShare.hero > nutShare.villain * NUT_EDGE && nutShare.hero - nutShare.villain >= 0.01
+      ? "hero"
+      : nutShare.villain > nutShare.hero * NUT_EDGE && nutShare.villain - nutShare.hero >= 0.01
+        ? "villain"
+        : "even";
+  return { tiers, value, bluffs, nutShare, advantage };
+}
+
+// ----- Flop space -----
+// All 22,100 flops fold into 1,755 classes up to suit isomorphism (7,140 into 573 in Short Deck). Each class is lit by running
+// the classifier on its concrete members that don't touch hero's cards; hero's suits can split a
+// class (a flush draw in one suit, not another), so the per-light counts are kept too.
+
+export type FlopClass = {
+  key: string; // canonical representative, e.g. "KcQc2d"
+  high: string;
+  texture: SuitTexture;
+  paired: boolean;
+  combos: number; // live concrete flops
+  tones: Record<Tone, number>; // live concrete flops per light
+  tone: Tone | null; // most common light; null when every member uses a hole card
+  title?: string; // most common block
+  example?: string[]; // a live member, to load as the board
+};
+
+const permutations = (xs: string[]): string[][] =>
+  xs.length ? xs.flatMap((x, i) => permutations([...xs.slice(0, i), ...xs.slice(i + 1)]).map((rest) => [x, ...rest])) : [[]];
+const SUIT_PERMS = permutations([...SUITS]);
+
+const byRankThenSuit = (a: string, b: string) => RANK_ORDER[a[0]] - RANK_ORDER[b[0]] || a[1].localeCompare(b[1]);
+
+// Smallest relabeling of the suits, so isomorphic flops share a key
+export function canonicalFlop(flop: string[]) {
+  let best = "";
+  for (const perm of SUIT_PERMS) {
+    const key = flop.map((c) => c[0] + perm[SUITS.indexOf(c[1])]).sort(byRankThenSuit).join("");
+    if (!best || key < best) best = key;
+  }
+  return best;
+}
+
+// High card first, then second, then third (A-high boards before K-high, AK before AQ)
+const flopRankOrder = (key: string) => [0, 2, 4].reduce((acc, i) => acc * 13 + RANK_ORDER[key[i]], 0);
+
+// A few seconds of work; run it off the main thread (flop_space_worker.ts)
+export function flopSpace(
+  hand: ReturnType<typeof parseHand>,
+  ctx: HandContext = {},
+  pack: RulePack = packFor(hand),
+  onProgress?: (done: number, total: number) => void
+): FlopClass[] {
+  if (!hand) return [];
+  const advice = generateAdvice(hand, ctx, pack);
+  const classes = new Map<string, FlopClass & { titles: Map<string, number> }>();
+  const flops = combinations(deckFor(hand.variant), 3);
+  for (let i = 0; i < flops.length; i++) {
+    const flop = flops[i];
+    if (onProgress && i % 1000 === 0) onProgress(i, flops.length);
+    const key = canonicalFlop(flop);
+    let cls = classes.get(key);
+    if (!cls) {
+      const suits = new Set(flop.map((c) => c[1])).size;
+      const ranks = new Set(flop.map((c) => c[0])).size;
+      cls = {
+        key,
+        high: key[0],
+        texture: suits === 3 ? "rainbow" : suits === 2 ? "two-tone" : "monotone",
+        paired: ranks < 3,
+        combos: 0,
+        tones: { green: 0, yellow: 0, red: 0 },
+        tone: null,
+        titles: new Map(),
+      };
+      classes.set(key, cls);
+    }
+    const verdict = lightFor(hand, flop, evaluateHand(hand.cards, flop, hand.variant, false), ctx, pack, advice);
+    if (!verdict) continue;
+    cls.combos++;
+    cls.tones[verdict.tone]++;
+    cls.titles.set(verdict.title, (cls.titles.get(verdict.title) ?? 0) + 1);
+    cls.example ??= flop;
+  }
+  const most = <K,>(m: Map<K, number>) => [...m].sort((a, b) => b[1] - a[1])[0]?.[0];
+  return [...classes.values()]
+    .map(({ titles, ...cls }) => ({
+      ...cls,
+      tone: cls.combos ? TONES.reduce((a, b) => (cls.tones[b] > cls.tones[a] ? b : a)) : null,
+      title: most(titles),
+    }))
+    .sort((a, b) => flopRankOrder(a.key) - flopRankOrder(b.key) || a.key.localeCompare(b.key));
+}
+
+// ----- Equity engine -----
+// Seeded Monte Carlo, or exact enumeration heads-up on the flop/turn when the work is small.
+
+export type EquityResult = {
+  equity: number; // 0–1, ties split
+  win: number;
+  tie: number;
+  trials: number;
+  exact: boolean;
+};
+
+const EXACT_BUDGET = 60000; // max villain-combo × runout pairs to enumerate exactly
+const DEFAULT_TRIALS = 4000;
+const DEFAULT_SEED = 7;
+
+// Light from equity, scaled to the fair share with this many players
+export const EQUITY_THRESHOLDS = { green: 1.2, yellow: 0.7 };
+
+// mulberry32: small, fast, deterministic
+function seededRandom(seed: number) {
+  let t = seed >>> 0;
+  return () => {
+    t = (t + 0x6d2b79f5) >>> 0;
+    let x = Math.imul(t ^ (t >>> 15), 1 | t);
+    x = (x + Math.imul(x ^ (x >>> 7), 61 | x)) ^ x;
+    return ((x ^ (x >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+const choose = (n: number, k: number) => {
+  let r = 1;
+  for (let i = 0; i < k; i++) r = (r * (n - i)) / (i + 1);
+  return r;
+};
+
+// Every k-card subset of `cards`
+function combinations(cards: string[], k: number): string[][] {
+  if (k === 0) return [[]];
+  const out: string[][] = [];
+  cards.forEach((c, i) => {
+    for (const rest of combinations(cards.slice(i + 1), k - 1)) out.push([c, ...rest]);
+  });
+  return out;
+}
+
+// Hero's share of the pot for one showdown: 1 win, 1/n for an n-way tie, 0 loss
+function showdownShare(hero: number, villains: number[]) {
+  const best = Math.max(...villains);
+  if (hero > best) return 1;
+  if (hero < best) return 0;
+  return 1 / (villains.filter((v) => v === best).length + 1);
+}
+
+// Villain ranges are two-card hands, so Hold'em and Short Deck only (null for PLO)
+export function computeEquity(
+  hole: string[],
+  board: string[],
+  ranges: RangeCombo[][],
+  {
+    trials = DEFAULT_TRIALS,
+    seed = DEFAULT_SEED,
+    exact = true,
+    variant = "holdem",
+  }: { trials?: number; seed?: number; exact?: boolean; variant?: Variant } = {}
+): EquityResult | null {
+  if (hole.length !== 2 || variant === "plo" || !ranges.length || board.length > 5) return null;
+  const dead = new Set([...hole, ...board]);
+  if (dead.size !== hole.length + board.length) return null;
+  const deck = deckFor(variant);
+  const inDeck = (c: string) => inVariant(c, variant);
+  if (![...dead].every(inDeck)) return null;
+  const live = ranges.map((r) => r.filter((c) => c.weight > 0 && !dead.has(c.c1) && !dead.has(c.c2) && inDeck(c.c1) && inDeck(c.c2)));
+  if (live.some((r) => !r.length)) return null;
+  const toCome = 5 - board.length;
+
+  // Exact: heads-up, postflop, small enough
+  if (exact && live.length === 1 && board.length >= 3 && live[0].length * choose(deck.length - dead.size - 2, toCome) <= EXACT_BUDGET) {
+    const runouts = combinations(deck.filter((c) => !dead.has(c)), toCome);
+    let total = 0, won = 0, tied = 0, share = 0;
+    for (const v of live[0]) {
+      for (const runout of runouts) {
+        if (runout.includes(v.c1) || runout.includes(v.c2)) continue;
+        const full = [...board, ...runout];
+        const s = showdownShare(handScore([...hole, ...full], variant), [handScore([v.c1, v.c2, ...full], variant)]);
+        total += v.weight;
+        share += s * v.weight;
+        if (s === 1) won += v.weight;
+        else if (s > 0) tied += v.weight;
+      }
+    }
+    return { equity: share / total, win: won / total, tie: tied / total, trials: total, exact: true };
+  }
+
+  const rand = seededRandom(seed);
+  let done = 0, won = 0, tied = 0, share = 0;
+  for (let t = 0; t < trials; t++) {
+    const used = new Set(dead);
+    const villains: string[][] = [];
+    for (const r of live) {
+      // Rejection-sample a combo by weight that doesn't collide with cards already out
+      let pick: RangeCombo | null = null;
+      for (let tries = 0; tries < 100 && !pick; tries++) {
+        const c = r[Math.floor(rand() * r.length)];
+        if (!used.has(c.c1) && !used.has(c.c2) && rand() < c.weight) pick = c;
+      }
+      if (!pick) break;
+      used.add(pick.c1).add(pick.c2);
+      villains.push([pick.c1, pick.c2]);
+    }
+    if (villains.length !== live.length) continue;
+
+    const rest = deck.filter((c) => !used.has(c));
+    for (let i = 0; i < toCome; i++) {
+      const j = i + Math.floor(rand() * (rest.length - i));
+      [rest[i], rest[j]] = [rest[j], rest[i]];
+    }
+    const full = [...board, ...rest.slice(0, toCome)];
+    const s = showdownShare(handScore([...hole, ...full], variant), villains.map((v) => handScore([...v, ...full], variant)));
+    done++;
+    share += s;
+    if (s === 1) won++;
+    else if (s > 0) tied++;
+  }
+  if (!done) return null;
+  return { equity: share / done, win: won / done, tie: tied / done, trials: done, exact: false };
+}
+
+export function equityTone(equity: number, opponents: number): Tone {
+  const fair = 1 / (opponents + 1);
+  if (equity >= fair * EQUITY_THRESHOLDS.green) return "green";
+  if (equity >= fair * EQUITY_THRESHOLDS.yellow) return "yellow";
+  return "red";
+}
+
+// Re-light a rules verdict by equity on its board; keeps the matched block and remembers the rules' light
+function withEquity(verdict: FlopVerdict | null, hand: ReturnType<typeof parseHand>, board: string[] | null, ranges: RangeCombo[][]) {
+  if (!verdict || !hand || !board || !ranges.length) return verdict;
+  const eq = computeEquity(hand.cards, board, ranges, { variant: hand.variant });
+  if (!eq) return verdict;
+  const tone = equityTone(eq.equity, ranges.length);
+  return { ...verdict, tone, ruleTone: verdict.tone, equity: eq.equity };
+}
+
+export const FLOP_SAMPLES = 60;
+const SAMPLE_TRIALS = 150;
+
+// Put numbers on a bundle: preflop equity, plus average flop equity for each block
+// over a seeded sample of flops routed through the rules classifier. Most of a second of
+// sampling; the UI runs it off the main thread (equity_worker.ts).
+export function attachEquity(
+  bundle: AdviceBundle | null,
+  hand: ReturnType<typeof parseHand>,
+  ranges: RangeCombo[][],
+  ctx: HandContext = {},
+  pack: RulePack = packFor(hand),
+  seed = DEFAULT_SEED
+) {
+  if (!bundle || !hand || !ranges.length || hand.variant === "plo") return bundle;
+  const { cards: hole, variant } = hand;
+  const pre = computeEquity(hole, [], ranges, { seed, variant });
+  const rand = seededRandom(seed);
+  const sums = new Map<string, { total: number; n: number }>();
+  const rest = deckFor(variant).filter((c) => !hole.includes(c));
+  for (let i = 0; i < FLOP_SAMPLES; i++) {
+    for (let k = 0; k < 3; k++) {
+      const j = k + Math.floor(rand() * (rest.length - k));
+      [rest[k], rest[j]] = [rest[j], rest[k]];
+    }
+    const flop = rest.slice(0, 3);
+    const verdict = classifyBoard(hand, flop, ctx, pack, bundle);
+    const eq = verdict && computeEquity(hole, flop, ranges, { trials: SAMPLE_TRIALS, seed: seed + i, exact: false, variant });
+    if (!verdict || !eq) continue;
+    const key = verdict.tone + "|" + verdict.title;
+    const acc = sums.get(key) ?? { total: 0, n: 0 };
+    sums.set(key, { total: acc.total + eq.equity, n: acc.n + 1 });
+  }
+  const withNumbers = (tone: Tone) =>
+    bundle[tone].map((b) => {
+      const acc = sums.get(tone + "|" + b.title);
+      return acc ? { ...b, equity: acc.total / acc.n, equitySamples: acc.n } : { ...b, equitySamples: 0 };
+    });
+  return { ...bundle, green: withNumbers("green"), yellow: withNumbers("yellow"), red: withNumbers("red"), equity: pre?.equity };
+}
+
+// ----- Quiz -----
+// Drill mode: deal a hand and flop from a real deck, the player calls the light, the engine answers.
+// Leitner-style spaced repetition per hand class: a miss sends the class back to box 1, a hit moves
+// it up one box, and lower boxes are dealt exponentially more often.
+
+export type QuizClass = "pair" | "suitedAce" | "suitedBroadway" | "suitedConnector" | "offsuitBroadway" | "other";
+
+// First match wins
+export const QUIZ_CLASSES: { id: QuizClass; label: string; test: (h: NonNullable<ReturnType<typeof parseHand>>) => boolean }[] = [
+  { id: "pair", label: "Pocket pairs", test: (h) => h.pair },
+  { id: "suitedAce", label: "Suited aces", test: (h) => h.suited && (h.r1 === "A" || h.r2 === "A") },
+  { id: "suitedBroadway", label: "Suited broadways", test: (h) => h.suited && isBroadway(h.r1) && isBroadway(h.r2) },
+  { id: "suitedConnector", label: "Suited connectors & gappers", test: (h) => h.suited && rankGap(h.r1, h.r2) <= 3 },
+  { id: "offsuitBroadway", label: "Offsuit broadways", test: (h) => isBroadway(h.r1) && isBroadway(h.r2) },
+  { id: "other", label: "Everything else", test: () => true },
+];
+
+export type QuizRecord = { seen: number; correct: number; box: number };
+export type QuizProgress = Partial<Record<QuizClass, QuizRecord>>;
+
+export type QuizDeal = { hand: string; flop: string[]; cls: QuizClass };
+
+const QUIZ_BOXES = 5;
+
+export function quizClass(hand: NonNullable<ReturnType<typeof parseHand>>): QuizClass {
+  return QUIZ_CLASSES.find((c) => c.test(hand))!.id;
+}
+
+// `count` distinct cards from the variant's deck minus `dead`
+export function dealCards(count: number, dead: string[] = [], rand: () => number = Math.random, variant: Variant = "holdem") {
+  const deck = deckFor(variant).filter((c) => !dead.includes(c));
+  for (let k = 0; k < count; k++) {
+    const j = k + Math.floor(rand() * (deck.length - k));
+    [deck[k], deck[j]] = [deck[j], deck[k]];
+  }
+  return deck.slice(0, count);
+}
+
+// Unseen classes start in box 1, so the drill samples broadly before it specializes
+function pickQuizClass(progress: QuizProgress, rand: () => number): QuizClass {
+  const weights = QUIZ_CLASSES.map((c) => 2 ** (QUIZ_BOXES - (progress[c.id]?.box ?? 1)));
+  let roll = rand() * weights.reduce((a, b) => a + b, 0);
+  for (let i = 0; i < weights.length; i++) {
+    roll -= weights[i];
+    if (roll < 0) return QUIZ_CLASSES[i].id;
+  }
+  return QUIZ_CLASSES[QUIZ_CLASSES.length - 1].id;
+}
+
+export function dealQuiz(progress: QuizProgress = {}, rand: () => number = Math.random): QuizDeal {
+  const cls = pickQuizClass(progress, rand);
+  let hole = dealCards(2, [], rand);
+  // Rejection-sample a hand of the class; every class is a few percent of hands or more
+  for (let tries = 0; tries < 500 && quizClass(parseHand(hole.join(""))!) !== cls; tries++) hole = dealCards(2, [], rand);
+  const hand = hole.join("");
+  return { hand, flop: dealCards(3, hole, rand), cls: quizClass(parseHand(hand)!) };
+}
+
+export function gradeQuiz(progress: QuizProgress, cls: QuizClass, correct: boolean): QuizProgress {
+  const rec = progress[cls] ?? { seen: 0, correct: 0, box: 1 };
+  return {
+    ...progress,
+    [cls]: {
+      seen: rec.seen + 1,
+      correct: rec.correct + (correct ? 1 : 0),
+      box: correct ? Math.min(QUIZ_BOXES, rec.box + 1) : 1,
+    },
+  };
+}
+
+export const pct = (x: number) => `${(x * 100).toFixed(1)}%`;
+
+export const prettyCard = (c: string, notation: Notation = DEFAULT_NOTATION) => `${rankStr(c[0], notation)}${suitStr(c[1], notation)}`;
+
+const RANK_NAME: Record<string, string> = {
+  A: "Ace", K: "King", Q: "Queen", J: "Jack", T: "Ten", 9: "Nine", 8: "Eight", 7: "Seven", 6: "Six", 5: "Five", 4: "Four", 3: "Three", 2: "Two",
+};
+const SUIT_NAME: Record<string, string> = { c: "clubs", d: "diamonds", h: "hearts", s: "spades" };
+
+// Spoken form for screen readers, e.g. "Ace of spades"
+export const cardName = (c: string) => `${RANK_NAME[c[0]]} of ${SUIT_NAME[c[1]]}`;
+
+// ----- Spot links -----
+// A spot is everything needed to reopen the same view; it round-trips through the URL hash
+// ("#h=AhKd&b=Ts8h2s&seat=BTN&stack=100&pot=10", plus "g=plo" outside Hold'em and "vs=nit" or
+// "vs=24-19-2.5-45" for a villain profile) and the UI's recent-spots list.
+export type Spot = { hand: string; board: string; ctx: HandContext; villains: string[]; variant: Variant };
+// The villain range a new spot starts with; links leave it out
+export const DEFAULT_VILLAIN_RANGE = "22+, A2s+, K9s+, QTs+, JTs, ATo+, KJo+";
+
+const villainStatList = (v: VillainStats) => [v.vpip, v.pfr, v.af, v.foldToCbet];
+// The preset these stats are, if any
+export const presetOf = (v: VillainStats | undefined) =>
+  v ? VILLAIN_TYPES.find((t) => villainStatList(VILLAIN_PRESETS[t]).join() === villainStatList(v).join()) : undefined;
+
+export function encodeSpot(spot: Spot) {
+  const q = new URLSearchParams();
+  if (spot.variant && spot.variant !== "holdem") q.set("g", spot.variant);
+  if (spot.hand.trim()) q.set("h", spot.hand.replace(/\s+/g, ""));
+  if (spot.board.trim()) q.set("b", spot.board.trim().replace(/\s+/g, " "));
+  if (spot.ctx.seat) q.set("seat", spot.ctx.seat);
+  else if (spot.ctx.position) q.set("pos", spot.ctx.position);
+  if (spot.ctx.stack !== undefined) q.set("stack", String(spot.ctx.stack));
+  if (spot.ctx.pot !== undefined) q.set("pot", String(spot.ctx.pot));
+  if (spot.ctx.opponents !== undefined) q.set("opp", String(spot.ctx.opponents));
+  if (spot.ctx.villain) q.set("vs", presetOf(spot.ctx.villain) ?? villainStatList(spot.ctx.villain).join("-"));
+  if (spot.villains.join("|") !== DEFAULT_VILLAIN_RANGE) for (const v of spot.villains) q.append("v", v);
+  return q.toString();
+}
+
+// Unknown keys and bad values are dropped; null when the text holds no spot at all
+export function decodeSpot(text: string): Spot | null {
+  const q = new URLSearchParams(text.replace(/^[#?]/, ""));
+  if (![...q.keys()].some((k) => ["g", "h", "b", "seat", "pos", "stack", "pot", "opp", "vs", "v"].includes(k))) return null;
+  const num = (key: string) => {
+    const n = Number(q.get(key));
+    return q.has(key) && Number.isFinite(n) && n >= 0 ? n : undefined;
+  };
+  const seat = q.get("seat") ?? "";
+  const pos = q.get("pos");
+  const ctx: HandContext = {};
+  if ((SEATS as readonly string[]).includes(seat)) ctx.seat = seat as Seat;
+  else if (pos === "IP" || pos === "OOP") ctx.position = pos;
+  const stack = num("stack");
+  const pot = num("pot");
+  const opp = num("opp");
+  if (stack !== undefined) ctx.stack = stack;
+  if (pot !== undefined) ctx.pot = pot;
+  if (opp !== undefined) ctx.opponents = Math.max(1, Math.round(opp));
+  const vs = q.get("vs") ?? "";
+  const stats = vs.split("-").map(Number);
+  if ((VILLAIN_TYPES as readonly string[]).includes(vs)) ctx.villain = VILLAIN_PRESETS[vs as VillainType];
+  else if (stats.length === 4 && stats.every((n) => Number.isFinite(n) && n >= 0)) {
+    ctx.villain = { vpip: stats[0], pfr: stats[1], af: stats[2], foldToCbet: stats[3] };
+  }
+  const villains = q.getAll("v");
+  const game = q.get("g") ?? "";
+  const variant = (VARIANTS as readonly string[]).includes(game) ? (game as Variant) : "holdem";
+  return { hand: q.get("h") ?? "", board: q.get("b") ?? "", ctx, villains: villains.length ? villains : [DEFAULT_VILLAIN_RANGE], variant };
+}
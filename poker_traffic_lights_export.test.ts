@@ -0,0 +1,78 @@
+/**
+ * Regression cases for the study-sheet exports: what each format keeps and how it escapes text.
+ */
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+import { parseBoard, parseRange } from "./poker_traffic_lights_engine";
+import { handSheet, localizeSheet, rangeSheet, sheetToAnki, sheetToCsv, sheetToMarkdown, sheetToPrintHtml } from "./poker_traffic_lights_export";
+import type { StudySheet } from "./poker_traffic_lights_export";
+
+const MATCH = "Strong combo equity (OESDs/GS + backdoors)";
+const sheet = handSheet("Js9s", parseBoard("Ts8h2s"))!;
+const blockCount = (s: StudySheet) => s.entries.reduce((n, { advice }) => n + advice.green.length + advice.yellow.length + advice.red.length, 0);
+
+describe("sheets", () => {
+  test("a hand sheet names the board and the block it lands in", () => {
+    assert.equal(sheet.title, "J9S (JS 9S) on T♠ 8♥ 2♠");
+    assert.deepEqual(sheet.entries[0].match, { tone: "green", title: MATCH });
+    assert.equal(handSheet("Js9s")!.entries[0].match, undefined);
+    assert.equal(handSheet("nope"), null);
+  });
+
+  test("a range sheet has one entry per class, in grid order", () => {
+    assert.deepEqual(
+      rangeSheet(parseRange("72o, AKs, AA"))!.entries.map((e) => [e.heading, e.hand]),
+      [["AA", "AcAd"], ["AKs", "AcKc"], ["72o", "7c2d"]]
+    );
+    assert.equal(rangeSheet(null), null);
+  });
+
+  test("a localized sheet keeps the match on the translated title", () => {
+    const es = localizeSheet(sheet, "es");
+    assert.equal(es.title, "J9S (JS 9S) en T♠ 8♥ 2♠");
+    assert.deepEqual(es.entries[0].match, { tone: "green", title: "Equity combinada fuerte (escaleras abiertas/gutshots + backdoors)" });
+    assert.ok(sheetToMarkdown(es).includes("### Verde: Equity combinada fuerte (escaleras abiertas/gutshots + backdoors) ← este board\n"));
+    assert.ok(sheetToCsv(es).startsWith("hand,combo,board,light,"));
+  });
+});
+
+describe("formats", () => {
+  test("Markdown marks the matched block", () => {
+    const md = sheetToMarkdown(sheet);
+    assert.ok(md.startsWith("# J9S (JS 9S) on T♠ 8♥ 2♠\n"));
+    assert.ok(md.includes(`### Green: ${MATCH} ← this board\n`));
+    assert.ok(md.includes("Flops: `9 8♠ x`"));
+  });
+
+  test("CSV has a row per block and quotes cells with commas", () => {
+    const [header, ...rows] = sheetToCsv(sheet).trim().split("\n");
+    assert.equal(header, "hand,combo,board,light,title,matches_board,actions,bullets,examples");
+    assert.equal(rows.length, blockCount(sheet));
+    assert.ok(rows[0].startsWith(`J9S (JS 9S),Js9s,Ts8h2s,green,${MATCH},true,"bet 75% (50/75% pot), continue vs 125%, raise","`));
+    assert.equal(rows.filter((r) => r.includes(",true,")).length, 1);
+  });
+
+  test("CSV leads with the input line when entries carry one", () => {
+    const batch = { ...sheet, entries: sheet.entries.map((e) => ({ ...e, line: 3 })) };
+    const [header, first] = sheetToCsv(batch).split("\n");
+    assert.ok(header.startsWith("line,hand,combo,"));
+    assert.ok(first.startsWith("3,J9S (JS 9S),Js9s,"));
+  });
+
+  test("print HTML escapes text and outlines the match", () => {
+    const page = sheetToPrintHtml({ ...sheet, title: "<b>&" });
+    assert.ok(page.startsWith("<!doctype html>"));
+    assert.ok(page.includes("<h1>&lt;b&gt;&amp;</h1>"));
+    assert.equal(page.match(/class="block green match"/g)!.length, 1);
+  });
+
+  test("Anki gets one note per example flop", () => {
+    const [separator, htmlFlag, columns, ...notes] = sheetToAnki(sheet).trim().split("\n");
+    assert.deepEqual([separator, htmlFlag, columns], ["#separator:tab", "#html:true", "#columns:Front\tBack\tTags"]);
+    const { advice } = sheet.entries[0];
+    const examples = [...advice.green, ...advice.yellow, ...advice.red].flatMap((b) => b.examples ?? []);
+    assert.equal(notes.length, examples.length);
+    assert.deepEqual(notes[0].split("\t")[0], "J9S (JS 9S) on <b>9 8♠ x</b>");
+    assert.ok(notes.every((n) => n.split("\t").length === 3));
+  });
+});
@@ -0,0 +1,197 @@
+/**
+ * Poker Flop Traffic Lights — study-sheet exports.
+ * Turns advice bundles (one hand, or every class of a range) into Markdown, CSV, a print-styled
+ * HTML page (save as PDF from the browser) and tab-separated Anki notes. Pure string builders on
+ * top of the engine; the UI downloads them and the CLI prints them.
+ */
+import {
+  DEFAULT_RULE_PACK,
+  RANKS,
+  TONES,
+  classifyBoard,
+  formatActions,
+  formatPattern,
+  generateAdvice,
+  handLabel,
+  parseHand,
+  prettyCard,
+  rangeClassWeights,
+  representativeCombo,
+} from "./poker_traffic_lights_engine";
+import type { AdviceBundle, FlopPattern, HandContext, RangeCombo, RulePack, Tone } from "./poker_traffic_lights_engine";
+import { localizeAdvice, localizePattern, translate } from "./poker_traffic_lights_i18n";
+import type { Locale } from "./poker_traffic_lights_i18n";
+
+export type SheetEntry = {
+  heading: string; // e.g. "J9s (JS 9S)" or "ATo" for a range class
+  hand: string; // the concrete combo the advice was built for, e.g. "Js9s"
+  board?: string[];
+  advice: AdviceBundle;
+  match?: { tone: Tone; title: string }; // the block the board lands in
+  line?: number; // input line, for sheets built from a batch file
+};
+
+export type StudySheet = { title: string; entries: SheetEntry[]; locale?: Locale }; // locale labels the builders' own text
+
+const TONE_LABEL: Record<Tone, string> = { green: "Green", yellow: "Yellow", red: "Red" };
+
+// One hand, optionally on a concrete board, in the pack's game; null for an unparseable hand
+export function handSheet(handText: string, board: string[] | null = null, ctx: HandContext = {}, pack: RulePack = DEFAULT_RULE_PACK): StudySheet | null {
+  const hand = parseHand(handText, pack.variant);
+  const advice = generateAdvice(hand, ctx, pack);
+  if (!hand || !advice) return null;
+  const verdict = board ? classifyBoard(hand, board, ctx, pack, advice) : null;
+  return {
+    title: `${handLabel(hand)}${verdict ? ` on ${board!.map((c) => prettyCard(c)).join(" ")}` : ""}`,
+    entries: [
+      {
+        heading: handLabel(hand),
+        hand: hand.cards.join(""),
+        board: verdict ? board! : undefined,
+        advice,
+        match: verdict ? { tone: verdict.tone, title: verdict.title } : undefined,
+      },
+    ],
+  };
+}
+
+// Every hand class in the range, in 13x13 grid order (pairs, suited, offsuit by rank); ranges are
+// two-card, so null for a PLO pack
+export function rangeSheet(range: RangeCombo[] | null, title = "Range", ctx: HandContext = {}, pack: RulePack = DEFAULT_RULE_PACK): StudySheet | null {
+  const weights = rangeClassWeights(range);
+  if (!weights.size || pack.variant === "plo") return null;
+  const entries: SheetEntry[] = [];
+  RANKS.forEach((row, i) =>
+    RANKS.forEach((col, j) => {
+      const cls = i === j ? row + col : i < j ? row + col + "s" : col + row + "o";
+      const combo = weights.get(cls) ? representativeCombo(cls, range) : null;
+      const advice = combo && generateAdvice(parseHand(combo, pack.variant), ctx, pack);
+      if (advice) entries.push({ heading: cls, hand: combo!, advice });
+    })
+  );
+  return { title, entries };
+}
+
+// The sheet's advice, match and titles in the locale; CSV headers and tone columns stay English
+export function localizeSheet(sheet: StudySheet, locale: Locale): StudySheet {
+  if (locale === "en") return sheet;
+  const t = (text: string) => translate(text, locale);
+  const titled = (text: string) => {
+    const on = text.indexOf(" on ");
+    return on < 0 ? t(text) : translate("{hand} on {board}", locale, { hand: text.slice(0, on), board: text.slice(on + 4) });
+  };
+  return {
+    title: titled(sheet.title),
+    entries: sheet.entries.map((e) => ({
+      ...e,
+      heading: titled(e.heading),
+      advice: localizeAdvice(e.advice, locale),
+      match: e.match && { tone: e.match.tone, title: t(e.match.title) },
+    })),
+    locale,
+  };
+}
+
+const blocks = (e: SheetEntry) => TONES.flatMap((tone) => e.advice[tone].map((block) => ({ tone, block })));
+const isMatch = (e: SheetEntry, tone: Tone, title: string) => e.match?.tone === tone && e.match.title === title;
+
+// A label the builder writes itself, in the sheet's locale
+const label = (sheet: StudySheet, text: string) => translate(text, sheet.locale ?? "en");
+const toneLabel = (sheet: StudySheet, t: Tone) => label(sheet, TONE_LABEL[t]);
+const pattern = (sheet: StudySheet, p: FlopPattern) => localizePattern(p, sheet.locale ?? "en");
+
+export function sheetToMarkdown(sheet: StudySheet) {
+  const out = [`# ${sheet.title}`, ""];
+  for (const e of sheet.entries) {
+    if (sheet.entries.length > 1) out.push(`## ${e.heading}`, "");
+    for (const { tone, block } of blocks(e)) {
+      out.push(`### ${toneLabel(sheet, tone)}: ${block.title}${isMatch(e, tone, block.title) ? ` ${label(sheet, "← this board")}` : ""}`, "");
+      if (block.actions) out.push(`_${label(sheet, "Play:")} ${label(sheet, formatActions(block.actions))}_`, "");
+      for (const b of block.bullets) out.push(`- ${b}`);
+      if (block.examples?.length) out.push("", `${label(sheet, "Flops:")} ${block.examples.map((p) => `\`${pattern(sheet, p)}\``).join(", ")}`);
+      out.push("");
+    }
+  }
+  return out.join("\n");
+}
+
+export const csvCell = (value: string) => (/[",\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value);
+
+// One row per advice block; a batch sheet leads with the input line of each entry
+export function sheetToCsv(sheet: StudySheet) {
+  const lines = sheet.entries.some((e) => e.line !== undefined);
+  const rows = [[...(lines ? ["line"] : []), "hand", "combo", "board", "light", "title", "matches_board", "actions", "bullets", "examples"]];
+  for (const e of sheet.entries) {
+    for (const { tone, block } of blocks(e)) {
+      rows.push([
+        ...(lines ? [String(e.line ?? "")] : []),
+        e.heading,
+        e.hand,
+        e.board?.join("") ?? "",
+        tone,
+        block.title,
+        e.match ? String(isMatch(e, tone, block.title)) : "",
+        formatActions(block.actions),
+        block.bullets.join(" | "),
+        (block.examples ?? []).map((p) => formatPattern(p)).join(" | "),
+      ]);
+    }
+  }
+  return rows.map((row) => row.map(csvCell).join(",")).join("\n") + "\n";
+}
+
+const html = (text: string) => text.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+
+const PRINT_CSS = `
+body { font: 12px/1.4 system-ui, sans-serif; color: #1e293b; margin: 24px; }
+h1 { font-size: 18px; } h2 { font-size: 14px; margin: 16px 0 6px; break-after: avoid; }
+.grid { display: grid; grid-template-columns: repeat(3, 1fr); gap: 8px; }
+.block { border: 1px solid #cbd5e1; border-left-width: 6px; border-radius: 6px; padding: 6px 8px; break-inside: avoid; }
+.green { border-left-color: #34d399; } .yellow { border-left-color: #facc15; } .red { border-left-color: #fb7185; }
+.match { outline: 2px solid #334155; }
+.title { font-weight: 600; } .play { color: #475569; font-style: italic; } .flops { font-family: ui-monospace, monospace; color: #475569; }
+ul { margin: 4px 0; padding-left: 16px; }
+.entry { break-inside: avoid; }
+@media print { .noprint { display: none; } body { margin: 0; } }
+`;
+
+// A standalone page; open it and print (or "Save as PDF")
+export function sheetToPrintHtml(sheet: StudySheet) {
+  const entries = sheet.entries.map((e) => {
+    const cols = TONES.map((tone) =>
+      e.advice[tone]
+        .map((block) => {
+          const examples = block.examples?.length ? `<div class="flops">${html(block.examples.map((p) => pattern(sheet, p)).join(" · "))}</div>` : "";
+          return (
+            `<div class="block ${tone}${isMatch(e, tone, block.title) ? " match" : ""}">` +
+            `<div class="title">${toneLabel(sheet, tone)}: ${html(block.title)}</div>` +
+            (block.actions ? `<div class="play">${html(label(sheet, formatActions(block.actions)))}</div>` : "") +
+            `<ul>${block.bullets.map((b) => `<li>${html(b)}</li>`).join("")}</ul>${examples}</div>`
+          );
+        })
+        .join("")
+    );
+    const heading = sheet.entries.length > 1 ? `<h2>${html(e.heading)}</h2>` : "";
+    return `<div class="entry">${heading}<div class="grid">${cols.map((c) => `<div>${c}</div>`).join("")}</div></div>`;
+  });
+  return (
+    `<!doctype html><html><head><meta charset="utf-8"><title>${html(sheet.title)}</title><style>${PRINT_CSS}</style></head><body>` +
+    `<button class="noprint" onclick="print()">${html(label(sheet, "Print / Save as PDF"))}</button><h1>${html(sheet.title)}</h1>${entries.join("")}</body></html>`
+  );
+}
+
+// Tab-separated notes for Anki's text import: front = hand + flop family, back = light + bullets
+export function sheetToAnki(sheet: StudySheet) {
+  const field = (text: string) => text.replace(/[\t\r\n]+/g, " ");
+  const lines = ["#separator:tab", "#html:true", "#columns:Front\tBack\tTags"];
+  for (const e of sheet.entries) {
+    for (const { tone, block } of blocks(e)) {
+      for (const p of block.examples ?? []) {
+        const front = html(label(sheet, "{hand} on {board}")).replace("{hand}", html(e.heading)).replace("{board}", `<b>${html(pattern(sheet, p))}</b>`);
+        const back = `<b>${toneLabel(sheet, tone)}</b>: ${html(block.title)}<ul>${block.bullets.map((b) => `<li>${html(b)}</li>`).join("")}</ul>`;
+        lines.push([front, back, `traffic-lights ${tone}`].map(field).join("\t"));
+      }
+    }
+  }
+  return lines.join("\n") + "\n";
+}
@@ -0,0 +1,87 @@
+/**
+ * Regression cases for the translations: catalog lookups, the PATTERNS that translate engine text
+ * piece by piece, and what stays English.
+ */
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+import { RULE_PACKS, VARIANTS, generateAdvice, parseFlopPattern, parseHand, validateRulePack } from "./poker_traffic_lights_engine";
+import { LOCALES, localizeAdvice, localizePattern, translate } from "./poker_traffic_lights_i18n";
+
+describe("translate", () => {
+  test("catalog entries, and English stays as written", () => {
+    assert.equal(translate("Green", "es"), "Verde");
+    assert.equal(translate("Green", "de"), "Grün");
+    assert.equal(translate("Green", "en"), "Green");
+    assert.equal(translate("Some custom pack text", "de"), "Some custom pack text");
+  });
+
+  test("placeholders are filled after the lookup", () => {
+    assert.equal(translate("Enter {expected}, not {n}.", "es", { expected: "2 cartas", n: 3 }), "Introduce 2 cartas, no 3.");
+    assert.equal(translate("Enter {expected}, not {n}.", "en", { expected: "2 cards", n: 3 }), "Enter 2 cards, not 3.");
+  });
+
+  test("every advice title and bullet of the built-in packs has a translation", () => {
+    // Poker terms both catalogs keep in English
+    const kept = new Set(["Sets / Overpairs"]);
+    for (const variant of VARIANTS) {
+      const texts = RULE_PACKS[variant].advice.flatMap((rule) => [rule.title, ...rule.bullets]);
+      for (const locale of LOCALES.filter((l) => l !== "en")) {
+        assert.deepEqual(texts.filter((text) => translate(text, locale) === text && !kept.has(text)), [], `${variant} in ${locale}`);
+      }
+    }
+  });
+});
+
+describe("patterns", () => {
+  test("engine text built from parts is translated piece by piece", () => {
+    assert.equal(translate("Top pair, good kicker", "es"), "Pareja alta, buen kicker");
+    assert.equal(translate("Green → Red", "de"), "Grün → Rot");
+    assert.equal(translate("Duplicate card: Jack of spades.", "de"), "Doppelte Karte: Pik-Bube.");
+    assert.equal(translate("K-high straight", "es"), "Escalera al K");
+    assert.equal(translate("Put 16.0 bb in on Red flop/turn (2.1× the flop pot).", "es"), "Metiste 16.0 bb en Rojo en flop/turn (2.1× el bote del flop).");
+  });
+
+  test("joined lists translate part by part", () => {
+    assert.equal(translate("bet 75% (50/75% pot), continue vs 125%, raise", "es"), "apostar 75% (50/75% del bote), continuar vs 125%, subir");
+  });
+
+  test("user input inside a pattern passes through as typed", () => {
+    assert.equal(translate("Js9s on Ts8h2s", "de"), "Js9s auf Ts8h2s");
+    assert.equal(translate("Range: QQ+, AKs", "es"), "Rango: QQ+, AKs");
+    assert.equal(translate('"X" is not a rank: use A K Q J T 9–2.', "es"), '"X" no es un valor: usa A K Q J T 9–2.');
+  });
+
+  test("rule pack errors translate, keeping JSON paths, keys and titles as written", () => {
+    const errors = validateRulePack({ name: "x", advice: [{ tone: "blue", title: "Ok", bullets: [], when: { "hand.color": 1 } }], flops: [{ block: "Nope", reason: "r" }], context: {} });
+    assert.deepEqual(
+      errors.map((e) => translate(e, "es")),
+      [
+        'advice[0]: "tone" debe ser green, yellow o red.',
+        'advice[0]: rasgo desconocido "hand.color".',
+        'flops[0]: ningún bloque de consejos se titula "Nope".',
+        '"context" debe ser una lista.',
+      ]
+    );
+    assert.equal(translate('advice[0]: example "Q Q Q Q" is not a three-card flop pattern.', "de"), 'advice[0]: Das Beispiel "Q Q Q Q" ist kein Flop-Muster aus drei Karten.');
+    assert.equal(translate(validateRulePack(null)[0], "de"), "Das Regelpaket muss ein JSON-Objekt sein.");
+  });
+
+  test("a pattern whose parts aren't all in the catalog stays English", () => {
+    assert.equal(translate("Folded a Green flop: My own block.", "de"), "Folded a Green flop: My own block.");
+  });
+});
+
+describe("localized advice", () => {
+  test("titles and bullets change, tones and examples don't", () => {
+    const advice = generateAdvice(parseHand("Js9s"))!;
+    const es = localizeAdvice(advice, "es");
+    assert.equal(es.green[0].title, "Equity combinada fuerte (escaleras abiertas/gutshots + backdoors)");
+    assert.deepEqual(es.green[0].examples, advice.green[0].examples);
+    assert.equal(es.green.length, advice.green.length);
+    assert.equal(localizeAdvice(advice, "en"), advice);
+  });
+
+  test("flop patterns keep the cards and translate the texture", () => {
+    assert.equal(localizePattern(parseFlopPattern("K K x (r)")!, "es"), "K K x (arcoíris)");
+  });
+});
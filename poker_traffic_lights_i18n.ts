@@ -0,0 +1,1363 @@
+/**
+ * Poker Flop Traffic Lights — translations.
+ * Rule packs, engine messages and UI text are written in English, and each catalog maps an English
+ * string to its translation. Keys with {name} placeholders are templates the caller fills in; engine
+ * text that is built from parts ("Top pair, good kicker", "Green → Red", a facing-bet reason) is
+ * matched against PATTERNS and translated piece by piece. Anything a catalog lacks — a custom
+ * pack's text, say — stays English.
+ */
+import { DEFAULT_NOTATION, formatPattern } from "./poker_traffic_lights_engine";
+import type { AdviceBundle, FlopPattern, Notation } from "./poker_traffic_lights_engine";
+
+export const LOCALES = ["en", "es", "de"] as const;
+export type Locale = (typeof LOCALES)[number];
+
+export const LOCALE_LABEL: Record<Locale, string> = { en: "English", es: "Español", de: "Deutsch" };
+
+export type Catalog = Record<string, string>;
+
+// Engine text assembled from parts; each is a key in the catalogs too
+const PATTERNS = [
+  "{rank} of {suit}",
+  "{made}, top kicker",
+  "{made}, good kicker",
+  "{made}, weak kicker",
+  "{from} → {to}",
+  "{reason} Moved by: {rules}.",
+  "{label}.",
+  "{label}: strong, but not the nuts.",
+  "{label}: one pair rarely holds up in PLO.",
+  "{equity} equity, but a {bet}% pot bet needs {required}.",
+  "{equity} equity is well clear of the price (a {bet}% pot bet needs {required}).",
+  "{equity} equity covers the price (a {bet}% pot bet needs {required}).",
+  "This block continues only against bets up to {limit}% pot.",
+  "Within the {limit}% pot this block continues against (a {bet}% pot bet needs {required}).",
+  "bet {bet}% ({sizes}% pot)",
+  "continue vs {limit}%",
+  "Put {amount} in on Red {streets} ({x}× the flop pot).",
+  "Folded a Green {street}: {title}.",
+  '3-char format not supported: "{raw}" is a hand class; enter both cards with suits (e.g. Js9s).',
+  'Every card is a rank and a suit; "{raw}" has a character left over.',
+  '"{char}" is not a rank: use A K Q J T 9–2.',
+  '"{char}" is not a suit: use c, d, h or s.',
+  "Duplicate card: {card}.",
+  "{card} is not in a Short Deck (6 through ace only).",
+  "Enter {expected}, not {n}.",
+  "{n} cards",
+  '"variant" must be one of {values}.',
+  '"{key}" must be a list.',
+  "{where}: condition must be an object.",
+  '{where}: unknown feature "{feature}".',
+  "{where}: must be an object.",
+  '{where}: "bet" must be a frequency from 0 to 1.',
+  '{where}: "sizes" must be a list of {values}.',
+  '{where}: "continueUpTo" must be a % of pot.',
+  '{where}: "raise" must be true or false.',
+  'actions: unknown light "{light}".',
+  '{where}: "tone" must be green, yellow or red.',
+  '{where}: "title" must be a string.',
+  '{where}: "bullets" must be a list.',
+  "{where}: example {example} is not a three-card flop pattern.",
+  '{where}: "block" must be a title or list of titles.',
+  "{where}: no advice block is titled {block}.",
+  '{where}: "reason" must be a string.',
+  '{where}: "rule" must be a string.',
+  '{where}: "move" must be green, yellow or red.',
+  "{rank}-high straight",
+  "Set of {rank}",
+  "{hand} on {board}",
+  "Range: {range}",
+];
+
+// Captured numbers, sizes and card codes need no translation
+const LITERAL = /^([\d.,/]+(%| bb)?|[2-9TJQKA]|([2-9TJQKA][cdhs])+)$/;
+// Placeholders holding user input (hands, boards, ranges) or rule pack JSON (paths, keys, titles)
+// pass through as typed
+const FREE = new Set(["raw", "char", "hand", "board", "range", "where", "key", "values", "feature", "light", "example", "block"]);
+
+const ES: Catalog = {
+  // Lights, streets, actions
+  Green: "Verde",
+  Yellow: "Amarillo",
+  Red: "Rojo",
+  "Green-light": "Luz verde",
+  "Yellow-light": "Luz amarilla",
+  "Red-light": "Luz roja",
+  "Green (circle)": "Verde (círculo)",
+  "Yellow (triangle)": "Amarillo (triángulo)",
+  "Red (square)": "Rojo (cuadrado)",
+  flop: "flop",
+  turn: "turn",
+  river: "river",
+  fold: "retirarse",
+  call: "pagar",
+  raise: "subir",
+  improves: "mejora",
+  same: "igual",
+  hurts: "empeora",
+  rainbow: "arcoíris",
+  "two-tone": "dos colores",
+  monotone: "monocolor",
+  "Hold'em": "Hold'em",
+  "Short Deck (6+)": "Short Deck (6+)",
+  PLO: "PLO",
+
+  // Cards
+  "{rank} of {suit}": "{rank} de {suit}",
+  Ace: "As",
+  King: "Rey",
+  Queen: "Dama",
+  Jack: "Jota",
+  Ten: "Diez",
+  Nine: "Nueve",
+  Eight: "Ocho",
+  Seven: "Siete",
+  Six: "Seis",
+  Five: "Cinco",
+  Four: "Cuatro",
+  Three: "Tres",
+  Two: "Dos",
+  clubs: "tréboles",
+  diamonds: "diamantes",
+  hearts: "corazones",
+  spades: "picas",
+
+  // Made hands and draws
+  "Straight flush": "Escalera de color",
+  Quads: "Póker",
+  "Full house": "Full",
+  Flush: "Color",
+  Straight: "Escalera",
+  Set: "Set",
+  Trips: "Trío",
+  "Two pair": "Doble pareja",
+  Overpair: "Overpair",
+  "Top pair": "Pareja alta",
+  "Second pair": "Segunda pareja",
+  Underpair: "Underpair",
+  "Weak pair": "Pareja débil",
+  "High card": "Carta alta",
+  "{made}, top kicker": "{made}, el mejor kicker",
+  "{made}, good kicker": "{made}, buen kicker",
+  "{made}, weak kicker": "{made}, kicker débil",
+  "Nut flush draw": "Proyecto de color al nut",
+  "Flush draw": "Proyecto de color",
+  Wrap: "Wrap",
+  "Open-ender": "Escalera abierta",
+  Gutshot: "Gutshot",
+  "Backdoor flush": "Color por backdoor",
+  "Backdoor straight": "Escalera por backdoor",
+  "Nut flush": "Color al nut",
+  "{rank}-high straight": "Escalera al {rank}",
+  "Set of {rank}": "Set de {rank}",
+  "Straights+": "Escaleras+",
+  Sets: "Sets",
+  "Two pair / trips": "Doble pareja / trío",
+  Overpairs: "Overpairs",
+  "Other pairs": "Otras parejas",
+  Draws: "Proyectos",
+  Air: "Aire",
+
+  // Villains and quiz classes
+  Nit: "Nit",
+  Regular: "Regular",
+  "Calling station": "Calling station",
+  Maniac: "Maníaco",
+  "Pocket pairs": "Parejas de mano",
+  "Suited aces": "Ases del mismo palo",
+  "Suited broadways": "Broadways del mismo palo",
+  "Suited connectors & gappers": "Conectores y saltos del mismo palo",
+  "Offsuit broadways": "Broadways de distinto palo",
+  "Everything else": "Todo lo demás",
+
+  // Built-in packs: names, blocks and bullets
+  "Default heuristics": "Heurísticas por defecto",
+  "Short Deck heuristics": "Heurísticas de Short Deck",
+  "PLO heuristics": "Heurísticas de PLO",
+  "Sets / Overpairs": "Sets / Overpairs",
+  "Top set or middle/bottom set: build pots vs one player; size up multiway for value/protection.":
+    "Top set o set medio/bajo: haz crecer el bote contra un rival; apuesta más grande en multiway por valor/protección.",
+  "Overpair on safe boards (low/medium disconnected): bet for value/protection; keep barreling clean turns.":
+    "Overpair en boards seguros (bajos/medios desconectados): apuesta por valor/protección; sigue disparando en turns limpios.",
+  "Underpairs / Paired boards": "Underpairs / Boards doblados",
+  "Underpair to one or two overcards: realize equity cheap; check-call small once in-position.":
+    "Underpair con una o dos overcards: realiza equity barato; check-call pequeño una vez en posición.",
+  "Paired boards w/ one over: pot control; take free cards; avoid big pots without improvement.":
+    "Boards doblados con una overcard: controla el bote; toma cartas gratis; evita botes grandes sin mejorar.",
+  "Two+ overs / High, wet textures": "Dos+ overcards / Texturas altas y húmedas",
+  "Boards with two or more higher cards, especially connected or two-tone, are bad for under-repped pocket pairs.":
+    "Los boards con dos o más cartas más altas, sobre todo conectados o de dos colores, son malos para parejas de mano por debajo.",
+  "Fold to sizable aggression multiway; avoid check-raise bluffs without strong equity.":
+    "Retírate ante agresión fuerte en multiway; evita faroles de check-raise sin equity sólida.",
+  "Strong combo equity (OESDs/GS + backdoors)": "Equity combinada fuerte (escaleras abiertas/gutshots + backdoors)",
+  "Open-ender or pair + draw with your suit/backdoors: build pots vs singles; mix check-raises vs late stabs.":
+    "Escalera abierta o pareja + proyecto con tu palo/backdoors: haz crecer el bote contra un rival; mezcla check-raises contra apuestas tardías.",
+  "Pressure good turns (your suit, straight completers, or overcards you rep).":
+    "Presiona en turns buenos (tu palo, cartas que completan escalera u overcards que representas).",
+  "Top two or better": "Doble pareja alta o mejor",
+  "Two-pair on uncoordinated boards: value bet; size up multiway (60–75%).":
+    "Doble pareja en boards descoordinados: apuesta por valor; sube el tamaño en multiway (60–75%).",
+  "Trips on paired boards: value but beware when obvious straights/flushes complete.":
+    "Trío en boards doblados: valor, pero cuidado cuando se completan escaleras/colores evidentes.",
+  "no straight/flush": "sin escalera/color",
+  "Nut FD + extras": "Proyecto de color al nut + extras",
+  "A-high nut FD with gutter/overcards: semi-bluff aggressively vs folds; deny equity.":
+    "Proyecto de color al as con gutshot/overcards: semifarolea agresivo contra quien se retira; niega equity.",
+  "In-position, raise some small c-bets; out-of-position, prefer check-raise mixes on dynamic boards.":
+    "En posición, sube algunas c-bets pequeñas; fuera de posición, prefiere mezclar check-raises en boards dinámicos.",
+  "BDFD + GS": "color backdoor + gutshot",
+  "NFD + pair outs": "proyecto de color al nut + outs de pareja",
+  "Decent one-pair / backdoors": "Una pareja decente / backdoors",
+  "Top pair weak kicker or second pair w/ backdoors: check-call small once; fold to heat multiway.":
+    "Pareja alta con kicker débil o segunda pareja con backdoors: check-call pequeño una vez; retírate ante presión en multiway.",
+  "Favor pot control when your kicker is dominated or board shifts on the turn.":
+    "Prioriza el control del bote cuando tu kicker está dominado o el board cambia en el turn.",
+  "Non-nut FDs with extras": "Proyectos de color no nut con extras",
+  "Front-door FD without overcards: peel small; avoid big pots unless with extra equity (gutter/overs).":
+    "Proyecto de color directo sin overcards: paga pequeño; evita botes grandes salvo con equity extra (gutshot/overcards).",
+  "Raise mainly when you can fold out better highs or realize fold equity vs capped ranges.":
+    "Sube sobre todo cuando puedas hacer retirar cartas altas mejores o aprovechar la fold equity contra rangos limitados.",
+  "you have FD only": "solo tienes proyecto de color",
+  "BDFD + backdoor straight": "color backdoor + escalera backdoor",
+  "Dry, high-card boards you miss": "Boards secos de cartas altas que no conectas",
+  "Disconnected high-card boards heavily favor tight ranges; your equity realization is poor.":
+    "Los boards desconectados de cartas altas favorecen mucho a los rangos cerrados; realizas mal tu equity.",
+  "Mostly check-fold; continue only vs tiny bets with backdoors in-position.":
+    "Sobre todo check-fold; continúa solo contra apuestas mínimas con backdoors en posición.",
+  "Monotone boards without nut advantage": "Boards monocolor sin ventaja de nuts",
+  "Avoid building 3-street pots when you lack the nut on monotone textures.":
+    "Evita botes de tres calles cuando no tienes el nut en texturas monocolor.",
+  "Call tiny, fold big; realize equity when cheap.": "Paga lo pequeño, retírate ante lo grande; realiza equity cuando sea barato.",
+  "Top pair / two-pair / strong gutters": "Pareja alta / doble pareja / gutshots fuertes",
+  "Top pair good kicker and two-pair on safe boards: value/protection; barrel good turns.":
+    "Pareja alta con buen kicker y doble pareja en boards seguros: valor/protección; dispara en turns buenos.",
+  "Open-enders / pair+draw": "Escaleras abiertas / pareja+proyecto",
+  "Open-enders and pair+draws: pressure single opponents; mix raises vs small c-bets.":
+    "Escaleras abiertas y pareja+proyecto: presiona a un solo rival; mezcla subidas contra c-bets pequeñas.",
+  "Strong top-pair / two-pair": "Pareja alta fuerte / doble pareja",
+  "When you smash (two-pair+), build pots; protect vs live overcards/backdoors.":
+    "Cuando conectas fuerte (doble pareja+), haz crecer el bote; protégete de overcards/backdoors vivos.",
+  "Marginal one-pair / backdoors": "Una pareja marginal / backdoors",
+  "Check-call small once in-position; fold to pressure on turns that help opponent's range.":
+    "Check-call pequeño una vez en posición; retírate ante presión en turns que ayudan al rango rival.",
+  "Favor pot control multiway; avoid thin value on coordinated runouts.":
+    "Prioriza el control del bote en multiway; evita el valor fino en runouts coordinados.",
+  "High, disconnected boards you miss / bad low boards": "Boards altos desconectados que no conectas / boards bajos malos",
+  "AKx/QTx without connection; also super-low boards that smash callers' ranges.":
+    "AKx/QTx sin conexión; también boards muy bajos que golpean los rangos de quien paga.",
+  "Mostly give up out-of-position; continue only with strong backdoors or vs tiny sizes in-position.":
+    "Sobre todo abandona fuera de posición; continúa solo con backdoors fuertes o contra tamaños mínimos en posición.",
+  "Nut hands (top set, nut straight, nut flush)": "Manos nut (top set, escalera nut, color nut)",
+  "Top set, the nut straight and the nut flush: bet big or raise; in PLO the money usually goes in on the flop.":
+    "Top set, la escalera nut y el color nut: apuesta fuerte o sube; en PLO el dinero suele entrar en el flop.",
+  "A nut hand with a redraw (set + flush draw, straight + flush draw) can get it in even against the same hand.":
+    "Una mano nut con redraw (set + proyecto de color, escalera + proyecto de color) puede ir all-in incluso contra la misma mano.",
+  "Wraps and nut flush draws": "Wraps y proyectos de color al nut",
+  "Wraps (9+ straight outs) and nut flush draws, best both at once: bet and get it in; they are often favorites over a set.":
+    "Wraps (9+ outs de escalera) y proyectos de color al nut, mejor ambos a la vez: apuesta y ve all-in; a menudo son favoritos frente a un set.",
+  "Pair + wrap or set + nut flush draw: happy to stack off at any SPR.":
+    "Pareja + wrap o set + proyecto de color al nut: encantado de ir all-in con cualquier SPR.",
+  NFD: "proyecto de color al nut",
+  "Non-nut hands and draws": "Manos y proyectos no nut",
+  "Bottom or middle set, non-nut straights, small flushes and two pair: bet or call once, then slow down when the board changes.":
+    "Set bajo o medio, escaleras no nut, colores bajos y doble pareja: apuesta o paga una vez y frena cuando el board cambie.",
+  "Non-nut flush draws and plain open-enders: call small bets in position; fold to raises.":
+    "Proyectos de color no nut y escaleras abiertas simples: paga apuestas pequeñas en posición; retírate ante subidas.",
+  "non-nut FD": "proyecto de color no nut",
+  "Nut-flush blockers": "Bloqueadores del color nut",
+  "The ace of a monotone board's suit without the flush: villain can't hold the nut flush, so bluff or bluff-catch, but don't stack off.":
+    "El as del palo de un board monocolor sin el color: el rival no puede tener el color nut, así que farolea o paga faroles, pero no vayas all-in.",
+  "On two-tone boards the same card blocks the nut flush draw: a good spot to bet small.":
+    "En boards de dos colores la misma carta bloquea el proyecto de color nut: buen momento para apostar pequeño.",
+  "One pair and overpairs": "Una pareja y overpairs",
+  "One pair, even top pair or aces, is rarely best by the turn: check, and fold to a pot-sized bet.":
+    "Una pareja, incluso pareja alta o ases, rara vez es la mejor en el turn: pasa y retírate ante una apuesta del tamaño del bote.",
+  "Overpairs without a set or flush draw: bet small once on dry boards, then give up under pressure.":
+    "Overpairs sin set ni proyecto de color: apuesta pequeño una vez en boards secos y abandona bajo presión.",
+  "Boards you miss": "Boards que no conectas",
+  "No pair and no real draw: check and give up; PLO ranges hit too often to bluff into.":
+    "Sin pareja ni proyecto real: pasa y abandona; los rangos de PLO conectan demasiado para farolear.",
+  "Gutshots and non-nut backdoors don't justify calls against pot-limit bets.":
+    "Los gutshots y los backdoors no nut no justifican pagar apuestas pot-limit.",
+
+  // Built-in packs: flop reasons
+  "{label}.": "{label}.",
+  "Two or more overcards to your pair.": "Dos o más overcards a tu pareja.",
+  "Paired board with an overcard.": "Board doblado con una overcard.",
+  "Underpair to one overcard.": "Underpair con una overcard.",
+  "Nut flush draw.": "Proyecto de color al nut.",
+  "Open-ended straight draw.": "Proyecto de escalera abierta.",
+  "Flush draw plus pair or gutter.": "Proyecto de color más pareja o gutshot.",
+  "The flush card came and you don't hold the flush.": "Llegó la carta del color y no tienes el color.",
+  "Monotone board without the nut flush.": "Board monocolor sin el color al nut.",
+  "Non-nut flush draw.": "Proyecto de color no nut.",
+  "Straight draw without a pair.": "Proyecto de escalera sin pareja.",
+  "No pair and no real draw.": "Sin pareja ni proyecto real.",
+  "Pair plus open-ender.": "Pareja más escalera abierta.",
+  "Gutshot only.": "Solo gutshot.",
+  "Nut flush.": "Color al nut.",
+  "Top set.": "Top set.",
+  "Straight with no flush or full house possible.": "Escalera sin color ni full posibles.",
+  "Wrap.": "Wrap.",
+  "You hold the nut flush card without the flush.": "Tienes la carta del color nut sin el color.",
+  "{label}: strong, but not the nuts.": "{label}: fuerte, pero no el nut.",
+  "Non-nut draw.": "Proyecto no nut.",
+  "{label}: one pair rarely holds up in PLO.": "{label}: una pareja rara vez aguanta en PLO.",
+  "{reason} Moved by: {rules}.": "{reason} Movido por: {rules}.",
+
+  // Built-in packs: context rules
+  "Multiway pot": "Bote multiway",
+  "Low SPR (≤ 3)": "SPR bajo (≤ 3)",
+  "High SPR (≥ 10)": "SPR alto (≥ 10)",
+  "In position": "En posición",
+  "Out of position": "Fuera de posición",
+  "Folds to c-bets": "Se retira ante c-bets",
+  "Short Deck": "Short Deck",
+  "{from} → {to}": "{from} → {to}",
+  "Added bullet": "Consejo añadido",
+  "Changed play": "Juego cambiado",
+  "Multiway: an underpair is rarely best and hard to continue with; check-fold to bets.":
+    "Multiway: un underpair rara vez es el mejor y cuesta continuar; check-fold ante apuestas.",
+  "Multiway: non-nut flush draws often draw thin; don't pay off raises.":
+    "Multiway: los proyectos de color no nut suelen ir por detrás; no pagues subidas.",
+  "Multiway: one pair shrinks in value; mostly check and fold to two bets.":
+    "Multiway: una pareja pierde valor; sobre todo pasa y retírate ante dos apuestas.",
+  "Low SPR: top pair is strong enough to get stacks in; bet or jam for value.":
+    "SPR bajo: la pareja alta basta para ir all-in; apuesta o empuja por valor.",
+  "Low SPR: draws lose implied odds; jam strong equity, fold the weak part.":
+    "SPR bajo: los proyectos pierden odds implícitas; empuja con equity fuerte y retira la parte débil.",
+  "High SPR: one pair is not a stack-off hand; plan two streets of value, not three.":
+    "SPR alto: una pareja no es mano para ir all-in; planea dos calles de valor, no tres.",
+  "High SPR: set-mining implied odds are good; peel small bets when a set would get paid.":
+    "SPR alto: las odds implícitas para ligar set son buenas; paga apuestas pequeñas cuando un set cobraría.",
+  "In position: float small bets and take free cards to realize equity.":
+    "En posición: flota apuestas pequeñas y toma cartas gratis para realizar equity.",
+  "Out of position: equity realization drops; check-fold more vs large bets.":
+    "Fuera de posición: realizas menos equity; haz más check-fold contra apuestas grandes.",
+  "Calling station: they call with worse pairs and any draw; bet thin for value on every street.":
+    "Calling station: paga con parejas peores y cualquier proyecto; apuesta fino por valor en cada calle.",
+  "Calling station: bluffs don't get folds; check your misses and give up.":
+    "Calling station: los faroles no consiguen retiradas; pasa con lo que no conecta y abandona.",
+  "Villain over-folds to c-bets: a small c-bet with your misses shows a profit.":
+    "El rival se retira de más ante c-bets: una c-bet pequeña con lo que no conecta da beneficio.",
+  "Maniac: most of their bets are bluffs; check and call down with any pair instead of folding.":
+    "Maníaco: la mayoría de sus apuestas son faroles; pasa y paga hasta el final con cualquier pareja en vez de retirarte.",
+  "Maniac: check to them and bluff-catch; raising folds out the bluffs you beat.":
+    "Maníaco: pásale y paga sus faroles; subir hace retirar los faroles a los que ganas.",
+  "Nit: when a nit bets or calls twice they have it; marginal hands check and fold.":
+    "Nit: cuando un nit apuesta o paga dos veces lo tiene; las manos marginales pasan y se retiran.",
+  "Short Deck: five flush cards are left to hit and someone often has a bigger one; non-nut flush draws rarely get paid.":
+    "Short Deck: quedan cinco cartas de color por salir y alguien suele tener uno mayor; los proyectos de color no nut rara vez cobran.",
+  "Short Deck: a flush draw has about five outs; semi-bluff it when straight or pair outs come with it.":
+    "Short Deck: un proyecto de color tiene unos cinco outs; semifarolea cuando lo acompañan outs de escalera o pareja.",
+  "Short Deck: an open-ender hits 8 of 31 unseen cards, about what a Hold'em flush draw does; play it as a strong draw.":
+    "Short Deck: una escalera abierta liga con 8 de 31 cartas no vistas, como un proyecto de color en Hold'em; juégala como proyecto fuerte.",
+  "Short Deck: a flush beats a full house; slow down with a set or boat when a third card of a suit lands.":
+    "Short Deck: el color gana al full; frena con set o full cuando cae una tercera carta de un palo.",
+  "Short Deck: ranges connect with the board more often, so one pair is worth less than in Hold'em.":
+    "Short Deck: los rangos conectan más con el board, así que una pareja vale menos que en Hold'em.",
+  "Multiway: somebody often holds the nuts; non-nut hands, draws and blocker plays become folds.":
+    "Multiway: alguien suele tener el nut; las manos no nut, los proyectos y las jugadas de bloqueo pasan a ser retiradas.",
+  "Low SPR: sets and two pair are stack-off hands; get it in on the flop.":
+    "SPR bajo: los sets y la doble pareja son manos para ir all-in; mete el dinero en el flop.",
+  "High SPR: the nuts now may not be the nuts by the river; prefer nut hands with a redraw.":
+    "SPR alto: el nut de ahora puede no serlo en el river; prefiere manos nut con redraw.",
+  "In position: call small bets with draws and take free cards.":
+    "En posición: paga apuestas pequeñas con proyectos y toma cartas gratis.",
+  "Out of position: non-nut hands get squeezed between bettors; check-fold more.":
+    "Fuera de posición: las manos no nut quedan atrapadas entre apostadores; haz más check-fold.",
+  "Calling station: second-nut hands get paid by worse; bet them for value.":
+    "Calling station: las segundas mejores manos cobran de manos peores; apuéstalas por valor.",
+  "Calling station: blocker bluffs don't work on players who don't fold.":
+    "Calling station: los faroles con bloqueadores no funcionan contra quien no se retira.",
+  "Maniac: top pair or an overpair is ahead of their betting range often enough to call down; don't raise.":
+    "Maníaco: la pareja alta o un overpair va por delante de su rango de apuesta lo bastante para pagar hasta el final; no subas.",
+  "Maniac: a nut-flush blocker is a fine bluff-catcher; call down rather than raise.":
+    "Maníaco: un bloqueador del color nut es buen pagador de faroles; paga hasta el final en vez de subir.",
+  "Nit: a nit's action means the nuts; non-nut hands fold to it.":
+    "Nit: la acción de un nit significa el nut; las manos no nut se retiran.",
+
+  // Actions and facing a bet
+  "bet {bet}% ({sizes}% pot)": "apostar {bet}% ({sizes}% del bote)",
+  "continue vs {limit}%": "continuar vs {limit}%",
+  "{equity} equity, but a {bet}% pot bet needs {required}.": "{equity} de equity, pero una apuesta del {bet}% del bote pide {required}.",
+  "{equity} equity is well clear of the price (a {bet}% pot bet needs {required}).":
+    "{equity} de equity supera con margen el precio (una apuesta del {bet}% del bote pide {required}).",
+  "{equity} equity covers the price (a {bet}% pot bet needs {required}).":
+    "{equity} de equity cubre el precio (una apuesta del {bet}% del bote pide {required}).",
+  "This block continues only against bets up to {limit}% pot.": "Este bloque solo continúa contra apuestas de hasta el {limit}% del bote.",
+  "Within the {limit}% pot this block continues against (a {bet}% pot bet needs {required}).":
+    "Dentro del {limit}% del bote contra el que continúa este bloque (una apuesta del {bet}% del bote pide {required}).",
+
+  // Hand histories
+  "Put {amount} in on Red {streets} ({x}× the flop pot).": "Metiste {amount} en Rojo en {streets} ({x}× el bote del flop).",
+  "Folded a Green {street}: {title}.": "Te retiraste en un {street} Verde: {title}.",
+
+  // Input errors
+  "Write 10 as T (e.g. Th9h).": "Escribe 10 como T (p. ej. Th9h).",
+  '3-char format not supported: "{raw}" is a hand class; enter both cards with suits (e.g. Js9s).':
+    'El formato de 3 caracteres no se admite: "{raw}" es una clase de mano; introduce ambas cartas con palo (p. ej. Js9s).',
+  'Every card is a rank and a suit; "{raw}" has a character left over.': 'Cada carta es un valor y un palo; a "{raw}" le sobra un carácter.',
+  '"{char}" is not a rank: use A K Q J T 9–2.': '"{char}" no es un valor: usa A K Q J T 9–2.',
+  '"{char}" is not a suit: use c, d, h or s.': '"{char}" no es un palo: usa c, d, h o s.',
+  "Duplicate card: {card}.": "Carta repetida: {card}.",
+  "{card} is not in a Short Deck (6 through ace only).": "{card} no está en una baraja Short Deck (solo del 6 al as).",
+  "Enter {expected}, not {n}.": "Introduce {expected}, no {n}.",
+  "{n} cards": "{n} cartas",
+  "three to five cards": "de tres a cinco cartas",
+
+  // Sheets
+  "{hand} on {board}": "{hand} en {board}",
+  "Range: {range}": "Rango: {range}",
+  "Flop traffic lights": "Semáforos del flop",
+  "← this board": "← este board",
+  "Flops:": "Flops:",
+  "Print / Save as PDF": "Imprimir / Guardar como PDF",
+
+  // Card picker
+  "{card} is already on the board.": "{card} ya está en el board.",
+  "{card} is already in your hand.": "{card} ya está en tu mano.",
+  "Removed {card}.": "Quitado: {card}.",
+  "The hand is full; remove a card first.": "La mano está completa; quita antes una carta.",
+  "The board is full; remove a card first.": "El board está completo; quita antes una carta.",
+  "Added {card}. Hand complete; now picking the board.": "Añadido: {card}. Mano completa; ahora eliges el board.",
+  "Added {card} to the hand ({n} of {max}).": "Añadido {card} a la mano ({n} de {max}).",
+  "Added {card} to the board ({n} of {max}).": "Añadido {card} al board ({n} de {max}).",
+  "The hand is empty.": "La mano está vacía.",
+  "The board is empty.": "El board está vacío.",
+  "There are no {rank}s in {game}.": "No hay {rank} en {game}.",
+  "{rank}: now a suit key (c, d, h or s).": "{rank}: ahora una tecla de palo (c, d, h o s).",
+  "Cards go to": "Las cartas van a",
+  Hand: "Mano",
+  Board: "Board",
+  "Type a rank then a suit (e.g. J then s) · arrows move · Backspace removes the last card":
+    "Escribe un valor y luego un palo (p. ej. J y s) · las flechas mueven · Retroceso quita la última carta",
+  "Deck: picking the hand": "Baraja: eligiendo la mano",
+  "Deck: picking the board": "Baraja: eligiendo el board",
+  "{card}, on the board": "{card}, en el board",
+  "{card}, in your hand": "{card}, en tu mano",
+
+  // Advice cards
+  "{n} of {total} flops — click for sample boards": "{n} de {total} flops — haz clic para ver boards de ejemplo",
+  "This family is {share} of flops ({n} boards):": "Esta familia es el {share} de los flops ({n} boards):",
+  "Load this board": "Cargar este board",
+  "none left with your cards": "no queda ninguno con tus cartas",
+  "Facing {n}% pot:": "Ante {n}% del bote:",
+  "Bet {bet}% · check {check}%": "Apostar {bet}% · pasar {check}%",
+  "{n}% pot": "{n}% del bote",
+  "Nut advantage:": "Ventaja de nuts:",
+  you: "tú",
+  villain: "el rival",
+  neither: "ninguno",
+  "({hero} of your range vs {villain} of villain's in the top hands)": "({hero} de tu rango frente a {villain} del rival en las mejores manos)",
+  "Enter your range under Range study to compare nut advantage.": "Introduce tu rango en Estudio de rango para comparar la ventaja de nuts.",
+  combos: "combos",
+  "you block {n}": "bloqueas {n}",
+  "none blocked": "ninguno bloqueado",
+  "Villain's top pair or better per draw or air combo, before and after your cards come out of the deck":
+    "Pareja alta o mejor del rival por cada combo de proyecto o aire, antes y después de quitar tus cartas de la baraja",
+  "Villain value:bluff": "Valor:farol del rival",
+  "with your blockers": "con tus bloqueadores",
+  "Matches this flop": "Coincide con este flop",
+  "Average equity vs the villain ranges on sampled flops that land in this block":
+    "Equity media frente a los rangos rivales en los flops muestreados que caen en este bloque",
+  "Equity:": "Equity:",
+  "({n} of {total} sampled flops)": "({n} de {total} flops muestreados)",
+  "Context rule that changed this block": "Regla de contexto que cambió este bloque",
+
+  // Range study
+  "{cls}: {n}% of combos": "{cls}: {n}% de los combos",
+  "{cls}: not in range": "{cls}: fuera del rango",
+  "Range is": "El rango es",
+  on: "en",
+  "({n} live combos)": "({n} combos vivos)",
+  Category: "Categoría",
+  Share: "Parte",
+  "G / Y / R": "V / A / R",
+  "Range study": "Estudio de rango",
+  "Range (e.g., 22+, A2s-A5s, KTo+, AKo:50%)": "Rango (p. ej., 22+, A2s-A5s, KTo+, AKo:50%)",
+  "Range not recognized.": "Rango no reconocido.",
+  "{n} combos ({weighted} weighted).": "{n} combos ({weighted} ponderados).",
+  "Click a cell to load a representative combo into the hand field.": "Haz clic en una celda para cargar un combo representativo en la mano.",
+  "Enter a board to see how the whole range lights up on it.": "Introduce un board para ver cómo se ilumina todo el rango en él.",
+
+  // Villain profiles
+  "Against a {profile}:": "Contra un {profile}:",
+  "no change from the baseline": "sin cambios respecto a la base",
+  "1 block changed": "1 bloque cambiado",
+  "{n} blocks changed": "{n} bloques cambiados",
+  "Play:": "Juego:",
+  "custom villain (reads as {profile})": "rival personalizado (se lee como {profile})",
+  "Custom…": "Personalizado…",
+  VPIP: "VPIP",
+  PFR: "PFR",
+  AF: "AF",
+  "Fold to c-bet": "Fold a c-bet",
+
+  // Turn and river
+  "Turn card traffic lights": "Semáforos de la carta del turn",
+  "River card traffic lights": "Semáforos de la carta del river",
+  "Dead card": "Carta muerta",
+  "dead card": "carta muerta",
+  "{n} of {total}": "{n} de {total}",
+  "{up} improve · {down} hurt": "{up} mejoran · {down} empeoran",
+
+  // Hand history review
+  "Load this hand, board and context": "Cargar esta mano, board y contexto",
+  "folded {street}": "se retiró en el {street}",
+  "Hand history review": "Revisión de historiales",
+  "PokerStars or GGPoker .txt hand histories": "Historiales .txt de PokerStars o GGPoker",
+  "Load files": "Cargar archivos",
+  "Flagged only": "Solo marcadas",
+  "Paste PokerStars / GGPoker hand histories — nothing leaves your browser.": "Pega historiales de PokerStars / GGPoker — nada sale de tu navegador.",
+  "{hands} hands with hero's cards · {flops} saw a flop · {flagged} flagged (Red streets with {x}× the flop pot or more in, or a fold on Green).":
+    "{hands} manos con cartas del héroe · {flops} vieron flop · {flagged} marcadas (calles en Rojo con {x}× el bote del flop o más metido, o retirada en Verde).",
+
+  // Flop space
+  "All textures": "Todas las texturas",
+  "Paired or not": "Doblado o no",
+  Unpaired: "Sin doblar",
+  Paired: "Doblado",
+  "All lights": "Todas las luces",
+  Sort: "Ordenar",
+  "By board": "Por board",
+  "By light": "Por luz",
+  "Most Green": "Más verde",
+  "Most Red": "Más rojo",
+  "{n} classes · {flops} flops": "{n} clases · {flops} flops",
+  "{rank}-high": "{rank} alta",
+  "{cards} (suits are a pattern): {title}. {tones} of {n} flops": "{cards} (los palos son un patrón): {title}. {tones} de {n} flops",
+  "Each cell is one flop up to suit isomorphism (for two-tone, the faded rank is the off-suit card). Faded cells mix lights depending on how the suits meet your hand. Click a cell to load a board.":
+    "Cada celda es un flop salvo isomorfismo de palos (en dos colores, el valor atenuado es la carta de otro palo). Las celdas atenuadas mezclan luces según cómo encajen los palos con tu mano. Haz clic en una celda para cargar un board.",
+  "Flop space for {hand}": "Espacio de flops para {hand}",
+  Hide: "Ocultar",
+  "Show all {n} flops": "Mostrar los {n} flops",
+  "Classifying every flop…": "Clasificando cada flop…",
+
+  // Export
+  "Export:": "Exportar:",
+  "Print-styled sheet; use the browser's Save as PDF": "Hoja para imprimir; usa Guardar como PDF del navegador",
+  "Print / PDF": "Imprimir / PDF",
+  "Anki: File → Import this text file": "Anki: Archivo → Importar este archivo de texto",
+
+  // Rule pack errors
+  "Rule pack must be a JSON object.": "El paquete de reglas debe ser un objeto JSON.",
+  '"name" must be a string.': '"name" debe ser un texto.',
+  '"variant" must be one of {values}.': '"variant" debe ser uno de {values}.',
+  '"actions" must be an object keyed by light.': '"actions" debe ser un objeto con una clave por luz.',
+  '"{key}" must be a list.': '"{key}" debe ser una lista.',
+  "{where}: condition must be an object.": "{where}: la condición debe ser un objeto.",
+  '{where}: unknown feature "{feature}".': '{where}: rasgo desconocido "{feature}".',
+  "{where}: must be an object.": "{where}: debe ser un objeto.",
+  '{where}: "bet" must be a frequency from 0 to 1.': '{where}: "bet" debe ser una frecuencia de 0 a 1.',
+  '{where}: "sizes" must be a list of {values}.': '{where}: "sizes" debe ser una lista de {values}.',
+  '{where}: "continueUpTo" must be a % of pot.': '{where}: "continueUpTo" debe ser un % del bote.',
+  '{where}: "raise" must be true or false.': '{where}: "raise" debe ser true o false.',
+  'actions: unknown light "{light}".': 'actions: luz desconocida "{light}".',
+  '{where}: "tone" must be green, yellow or red.': '{where}: "tone" debe ser green, yellow o red.',
+  '{where}: "title" must be a string.': '{where}: "title" debe ser un texto.',
+  '{where}: "bullets" must be a list.': '{where}: "bullets" debe ser una lista.',
+  "{where}: example {example} is not a three-card flop pattern.": "{where}: el ejemplo {example} no es un patrón de flop de tres cartas.",
+  '{where}: "block" must be a title or list of titles.': '{where}: "block" debe ser un título o una lista de títulos.',
+  "{where}: no advice block is titled {block}.": "{where}: ningún bloque de consejos se titula {block}.",
+  '{where}: "reason" must be a string.': '{where}: "reason" debe ser un texto.',
+  '{where}: "rule" must be a string.': '{where}: "rule" debe ser un texto.',
+  '{where}: "move" must be green, yellow or red.': '{where}: "move" debe ser green, yellow o red.',
+
+  // Controls
+  "{file} is not valid JSON.": "{file} no es un JSON válido.",
+  "Poker Flop Traffic Lights": "Semáforos del flop de póker",
+  "Type a starting hand like Js9s, AhKd, or 7c7d. We classify Green (build pots), Yellow (realize cheap), and Red (let it go) flop families with quick heuristics.":
+    "Escribe una mano inicial como Js9s, AhKd o 7c7d. Clasificamos familias de flops en Verde (haz crecer el bote), Amarillo (realiza barato) y Rojo (déjala ir) con heurísticas rápidas.",
+  "Starting hand": "Mano inicial",
+  "Enter four hole cards (e.g., AsKsJhTh)": "Introduce cuatro cartas propias (p. ej., AsKsJhTh)",
+  "Enter starting hand (e.g., Js9s, AhKd, 7c7d)": "Introduce la mano inicial (p. ej., Js9s, AhKd, 7c7d)",
+  "Board (optional, e.g., Ts8h2s Kd 3c)": "Board (opcional, p. ej., Ts8h2s Kd 3c)",
+  "Pick cards": "Elegir cartas",
+  "Pick cards from a deck (keyboard: rank then suit)": "Elegir cartas de una baraja (teclado: valor y luego palo)",
+  Clear: "Borrar",
+  "Random valid hand": "Mano válida al azar",
+  Random: "Al azar",
+  "Copy parsed hand label": "Copiar la etiqueta de la mano",
+  "Copy hand": "Copiar mano",
+  "Copy a link that reopens this hand, board and context": "Copiar un enlace que reabre esta mano, board y contexto",
+  "Copy link": "Copiar enlace",
+  "Drill: call the light for random hands and flops": "Práctica: adivina la luz de manos y flops al azar",
+  Quiz: "Quiz",
+  "Recently viewed spots (saved in this browser)": "Spots vistos recientemente (guardados en este navegador)",
+  Recent: "Recientes",
+  "Format: RankSuitRankSuit (e.g., J s 9 s → Js9s). Suits: c,d,h,s. Case-insensitive.":
+    "Formato: ValorPaloValorPalo (p. ej., J s 9 s → Js9s). Palos: c,d,h,s. Sin distinguir mayúsculas.",
+  "Board: flop, then optional turn and river, the same way (e.g., Ts8h2s or Ts8h2s Kd 3c).":
+    "Board: flop y, opcionalmente, turn y river del mismo modo (p. ej., Ts8h2s o Ts8h2s Kd 3c).",
+  "PLO: four hole cards, exactly two of them play.": "PLO: cuatro cartas propias, de las que juegan exactamente dos.",
+  "Short Deck: ranks 6–A only; flushes beat full houses and A-6-7-8-9 is a straight.":
+    "Short Deck: solo valores del 6 al as; el color gana al full y A-6-7-8-9 es escalera.",
+  "The board uses one of your hole cards.": "El board usa una de tus cartas.",
+  "Game variant: changes the deck, hand rankings and rule pack": "Variante: cambia la baraja, el orden de manos y el paquete de reglas",
+  Game: "Juego",
+  Position: "Posición",
+  "Eff. stack": "Stack efectivo",
+  Pot: "Bote",
+  Opponents: "Rivales",
+  "Heads-up": "Heads-up",
+  "{n}-way": "{n} jugadores",
+  "Villain profile: sets villain 1's range and moves lights to exploit it": "Perfil del rival: fija el rango del rival 1 y mueve las luces para explotarlo",
+  Villain: "Rival",
+  "A bet you face, as % of the pot: each card answers call, fold or raise": "Una apuesta que enfrentas, en % del bote: cada carta responde pagar, retirarse o subir",
+  "Facing bet": "Apuesta enfrentada",
+  "% pot": "% del bote",
+  "Rule pack:": "Paquete de reglas:",
+  "Load a JSON rule pack": "Cargar un paquete de reglas JSON",
+  "Load pack": "Cargar paquete",
+  "Download the active pack as JSON to edit": "Descargar el paquete activo como JSON para editarlo",
+  Export: "Exportar",
+  "Back to the built-in heuristics": "Volver a las heurísticas incluidas",
+  Reset: "Restablecer",
+  Language: "Idioma",
+  "How a ten prints": "Cómo se escribe un diez",
+  Suits: "Palos",
+  "Four-color deck": "Baraja de cuatro colores",
+  "Off: example flops mark your suit with * instead of naming it": "Desactivado: los flops de ejemplo marcan tu palo con * en lugar de nombrarlo",
+  "Your suit in examples": "Tu palo en los ejemplos",
+  "Villain ranges and equity are two-card only; PLO lights come from the rule pack alone.":
+    "Los rangos rivales y la equity son solo de dos cartas; las luces de PLO salen solo del paquete de reglas.",
+  "Villain {n}": "Rival {n}",
+  "Range (e.g., QQ+, AKs, ATs+, KQo)": "Rango (p. ej., QQ+, AKs, ATs+, KQo)",
+  "Remove villain": "Quitar rival",
+  Remove: "Quitar",
+  "Range not recognized": "Rango no reconocido",
+  "Add another villain (multiway)": "Añadir otro rival (multiway)",
+  "Add villain": "Añadir rival",
+
+  // Quiz
+  "Correct.": "Correcto.",
+  "Not quite.": "No exactamente.",
+  "Next hand": "Siguiente mano",
+  "Load this hand and flop into the explorer": "Cargar esta mano y flop en el explorador",
+  "Open in explorer": "Abrir en el explorador",
+  "This session:": "Esta sesión:",
+  "Spaced-repetition box (1 = shown most often)": "Caja de repetición espaciada (1 = la que más sale)",
+  "box {n}": "caja {n}",
+  "Reset progress": "Reiniciar progreso",
+
+  // Results
+  "How to read the output": "Cómo leer el resultado",
+  "strong value/combo equity → build pots (size up multiway for protection).":
+    "valor fuerte/equity combinada → haz crecer el bote (apuesta más en multiway para protegerte).",
+  "marginal / backdoor-heavy → realize equity cheap; fold to heat multiway.":
+    "marginal / mucho backdoor → realiza equity barato; retírate ante presión en multiway.",
+  "range disadvantage / dominated → check-fold; don’t bloat.": "desventaja de rango / dominada → check-fold; no infles el bote.",
+  "Equity on this board vs the villain ranges": "Equity en este board frente a los rangos rivales",
+  "(rules said {tone})": "(las reglas decían {tone})",
+  "Made:": "Jugada:",
+  "Draws:": "Proyectos:",
+  none: "ninguno",
+  "Outs: {n} ({clean} clean)": "Outs: {n} ({clean} limpios)",
+  "Parsed hand": "Mano analizada",
+  "exactly two hole cards and three board cards make the hand": "la mano se forma con exactamente dos cartas propias y tres del board",
+  "Suited:": "Mismo palo:",
+  Yes: "Sí",
+  No: "No",
+  "Pair:": "Pareja:",
+  "Gap:": "Hueco:",
+  "Preflop equity vs villain range:": "Equity preflop frente al rango rival:",
+  "Preflop equity vs {n} villain ranges:": "Equity preflop frente a {n} rangos rivales:",
+  "Running equity vs the villain ranges…": "Calculando la equity frente a los rangos rivales…",
+  "Flop equity:": "Equity en el flop:",
+  "Turn equity:": "Equity en el turn:",
+  "River equity:": "Equity en el river:",
+  "This tool encodes practical heuristics for MTT/cash {game}. Position, SPR, player count and villain's profile are applied when set above, and each light suggests bet sizes and how much to continue against. Use as a quick traffic light guide, not absolute rules.":
+    "Esta herramienta recoge heurísticas prácticas para {game} en MTT/cash. La posición, el SPR, el número de jugadores y el perfil del rival se aplican si los indicas arriba, y cada luz sugiere tamaños de apuesta y contra qué apuestas seguir. Úsala como guía rápida tipo semáforo, no como reglas absolutas.",
+  "pot-limit Omaha": "Omaha pot-limit",
+  "Recent spots": "Spots recientes",
+  Close: "Cerrar",
+  "Hands you look at are saved here, in this browser only.": "Las manos que consultas se guardan aquí, solo en este navegador.",
+  "No context": "Sin contexto",
+  "Clear history": "Borrar historial",
+  "Built with React + Tailwind. Tip: paste Js9s to see suited-connector behavior.":
+    "Hecho con React + Tailwind. Consejo: pega Js9s para ver cómo se comporta un conector del mismo palo.",
+};
+
+const DE: Catalog = {
+  // Lights, streets, actions
+  Green: "Grün",
+  Yellow: "Gelb",
+  Red: "Rot",
+  "Green-light": "Grünes Licht",
+  "Yellow-light": "Gelbes Licht",
+  "Red-light": "Rotes Licht",
+  "Green (circle)": "Grün (Kreis)",
+  "Yellow (triangle)": "Gelb (Dreieck)",
+  "Red (square)": "Rot (Quadrat)",
+  flop: "Flop",
+  turn: "Turn",
+  river: "River",
+  fold: "folden",
+  call: "callen",
+  raise: "raisen",
+  improves: "besser",
+  same: "gleich",
+  hurts: "schlechter",
+  rainbow: "Rainbow",
+  "two-tone": "zweifarbig",
+  monotone: "einfarbig",
+  "Hold'em": "Hold'em",
+  "Short Deck (6+)": "Short Deck (6+)",
+  PLO: "PLO",
+
+  // Cards
+  "{rank} of {suit}": "{suit}-{rank}",
+  Ace: "Ass",
+  King: "König",
+  Queen: "Dame",
+  Jack: "Bube",
+  Ten: "Zehn",
+  Nine: "Neun",
+  Eight: "Acht",
+  Seven: "Sieben",
+  Six: "Sechs",
+  Five: "Fünf",
+  Four: "Vier",
+  Three: "Drei",
+  Two: "Zwei",
+  clubs: "Kreuz",
+  diamonds: "Karo",
+  hearts: "Herz",
+  spades: "Pik",
+
+  // Made hands and draws
+  "Straight flush": "Straight Flush",
+  Quads: "Vierling",
+  "Full house": "Full House",
+  Flush: "Flush",
+  Straight: "Straße",
+  Set: "Set",
+  Trips: "Trips",
+  "Two pair": "Zwei Paare",
+  Overpair: "Overpair",
+  "Top pair": "Top Pair",
+  "Second pair": "Zweites Paar",
+  Underpair: "Underpair",
+  "Weak pair": "Schwaches Paar",
+  "High card": "High Card",
+  "{made}, top kicker": "{made}, Top-Kicker",
+  "{made}, good kicker": "{made}, guter Kicker",
+  "{made}, weak kicker": "{made}, schwacher Kicker",
+  "Nut flush draw": "Nut-Flushdraw",
+  "Flush draw": "Flushdraw",
+  Wrap: "Wrap",
+  "Open-ender": "Open-Ender",
+  Gutshot: "Gutshot",
+  "Backdoor flush": "Backdoor-Flush",
+  "Backdoor straight": "Backdoor-Straße",
+  "Nut flush": "Nut-Flush",
+  "{rank}-high straight": "Straße bis {rank}",
+  "Set of {rank}": "Set {rank}",
+  "Straights+": "Straßen+",
+  Sets: "Sets",
+  "Two pair / trips": "Zwei Paare / Trips",
+  Overpairs: "Overpairs",
+  "Other pairs": "Andere Paare",
+  Draws: "Draws",
+  Air: "Luft",
+
+  // Villains and quiz classes
+  Nit: "Nit",
+  Regular: "Regular",
+  "Calling station": "Calling Station",
+  Maniac: "Maniac",
+  "Pocket pairs": "Pocket Pairs",
+  "Suited aces": "Suited Asse",
+  "Suited broadways": "Suited Broadways",
+  "Suited connectors & gappers": "Suited Connectors & Gapper",
+  "Offsuit broadways": "Offsuit Broadways",
+  "Everything else": "Alles andere",
+
+  // Built-in packs: names, blocks and bullets
+  "Default heuristics": "Standard-Heuristiken",
+  "Short Deck heuristics": "Short-Deck-Heuristiken",
+  "PLO heuristics": "PLO-Heuristiken",
+  "Sets / Overpairs": "Sets / Overpairs",
+  "Top set or middle/bottom set: build pots vs one player; size up multiway for value/protection.":
+    "Top Set oder mittleres/unteres Set: gegen einen Gegner den Pot aufbauen; multiway größer setzen für Value/Schutz.",
+  "Overpair on safe boards (low/medium disconnected): bet for value/protection; keep barreling clean turns.":
+    "Overpair auf sicheren Boards (niedrig/mittel, unverbunden): für Value/Schutz setzen; auf sauberen Turns weiter feuern.",
+  "Underpairs / Paired boards": "Underpairs / Gepaarte Boards",
+  "Underpair to one or two overcards: realize equity cheap; check-call small once in-position.":
+    "Underpair zu ein oder zwei Overcards: Equity günstig realisieren; in Position einmal klein check-callen.",
+  "Paired boards w/ one over: pot control; take free cards; avoid big pots without improvement.":
+    "Gepaarte Boards mit einer Overcard: Pot-Kontrolle; Freikarten nehmen; große Pots ohne Verbesserung meiden.",
+  "Two+ overs / High, wet textures": "Zwei+ Overcards / Hohe, nasse Texturen",
+  "Boards with two or more higher cards, especially connected or two-tone, are bad for under-repped pocket pairs.":
+    "Boards mit zwei oder mehr höheren Karten, besonders verbunden oder zweifarbig, sind schlecht für kleinere Pocket Pairs.",
+  "Fold to sizable aggression multiway; avoid check-raise bluffs without strong equity.":
+    "Multiway gegen deutliche Aggression folden; Check-Raise-Bluffs ohne starke Equity meiden.",
+  "Strong combo equity (OESDs/GS + backdoors)": "Starke Kombi-Equity (Open-Ender/Gutshots + Backdoors)",
+  "Open-ender or pair + draw with your suit/backdoors: build pots vs singles; mix check-raises vs late stabs.":
+    "Open-Ender oder Paar + Draw mit deiner Farbe/Backdoors: gegen einen Gegner Pots aufbauen; gegen späte Stabs Check-Raises mischen.",
+  "Pressure good turns (your suit, straight completers, or overcards you rep).":
+    "Auf guten Turns Druck machen (deine Farbe, Straßenkarten oder Overcards, die du repräsentierst).",
+  "Top two or better": "Top Two oder besser",
+  "Two-pair on uncoordinated boards: value bet; size up multiway (60–75%).":
+    "Zwei Paare auf unkoordinierten Boards: Value-Bet; multiway größer setzen (60–75%).",
+  "Trips on paired boards: value but beware when obvious straights/flushes complete.":
+    "Trips auf gepaarten Boards: Value, aber Vorsicht, wenn offensichtliche Straßen/Flushes ankommen.",
+  "no straight/flush": "keine Straße/kein Flush",
+  "Nut FD + extras": "Nut-Flushdraw + Extras",
+  "A-high nut FD with gutter/overcards: semi-bluff aggressively vs folds; deny equity.":
+    "Nut-Flushdraw mit Ass plus Gutshot/Overcards: gegen Folder aggressiv semi-bluffen; Equity verweigern.",
+  "In-position, raise some small c-bets; out-of-position, prefer check-raise mixes on dynamic boards.":
+    "In Position einige kleine C-Bets raisen; out of Position auf dynamischen Boards Check-Raises mischen.",
+  "BDFD + GS": "Backdoor-Flush + Gutshot",
+  "NFD + pair outs": "Nut-Flushdraw + Paar-Outs",
+  "Decent one-pair / backdoors": "Ordentliches Paar / Backdoors",
+  "Top pair weak kicker or second pair w/ backdoors: check-call small once; fold to heat multiway.":
+    "Top Pair mit schwachem Kicker oder zweites Paar mit Backdoors: einmal klein check-callen; multiway bei Druck folden.",
+  "Favor pot control when your kicker is dominated or board shifts on the turn.":
+    "Pot-Kontrolle bevorzugen, wenn dein Kicker dominiert ist oder sich das Board am Turn ändert.",
+  "Non-nut FDs with extras": "Nicht-Nut-Flushdraws mit Extras",
+  "Front-door FD without overcards: peel small; avoid big pots unless with extra equity (gutter/overs).":
+    "Direkter Flushdraw ohne Overcards: klein mitgehen; große Pots nur mit Zusatz-Equity (Gutshot/Overcards).",
+  "Raise mainly when you can fold out better highs or realize fold equity vs capped ranges.":
+    "Vor allem raisen, wenn du bessere hohe Karten rausfolden oder gegen gedeckelte Ranges Fold-Equity nutzen kannst.",
+  "you have FD only": "du hast nur den Flushdraw",
+  "BDFD + backdoor straight": "Backdoor-Flush + Backdoor-Straße",
+  "Dry, high-card boards you miss": "Trockene, hohe Boards, die du verfehlst",
+  "Disconnected high-card boards heavily favor tight ranges; your equity realization is poor.":
+    "Unverbundene hohe Boards begünstigen enge Ranges stark; du realisierst deine Equity schlecht.",
+  "Mostly check-fold; continue only vs tiny bets with backdoors in-position.":
+    "Meist Check-Fold; nur gegen winzige Bets mit Backdoors in Position weitermachen.",
+  "Monotone boards without nut advantage": "Einfarbige Boards ohne Nut-Vorteil",
+  "Avoid building 3-street pots when you lack the nut on monotone textures.":
+    "Auf einfarbigen Texturen ohne Nuts keine Pots über drei Straßen aufbauen.",
+  "Call tiny, fold big; realize equity when cheap.": "Klein callen, groß folden; Equity realisieren, wenn es günstig ist.",
+  "Top pair / two-pair / strong gutters": "Top Pair / Zwei Paare / starke Gutshots",
+  "Top pair good kicker and two-pair on safe boards: value/protection; barrel good turns.":
+    "Top Pair mit gutem Kicker und Zwei Paare auf sicheren Boards: Value/Schutz; auf guten Turns feuern.",
+  "Open-enders / pair+draw": "Open-Ender / Paar+Draw",
+  "Open-enders and pair+draws: pressure single opponents; mix raises vs small c-bets.":
+    "Open-Ender und Paar+Draws: einzelne Gegner unter Druck setzen; gegen kleine C-Bets Raises mischen.",
+  "Strong top-pair / two-pair": "Starkes Top Pair / Zwei Paare",
+  "When you smash (two-pair+), build pots; protect vs live overcards/backdoors.":
+    "Wenn du voll triffst (Zwei Paare+), Pots aufbauen; gegen lebende Overcards/Backdoors schützen.",
+  "Marginal one-pair / backdoors": "Marginales Paar / Backdoors",
+  "Check-call small once in-position; fold to pressure on turns that help opponent's range.":
+    "In Position einmal klein check-callen; bei Druck auf Turns, die der gegnerischen Range helfen, folden.",
+  "Favor pot control multiway; avoid thin value on coordinated runouts.":
+    "Multiway Pot-Kontrolle bevorzugen; auf koordinierten Runouts kein dünnes Value.",
+  "High, disconnected boards you miss / bad low boards": "Hohe, unverbundene Boards, die du verfehlst / schlechte niedrige Boards",
+  "AKx/QTx without connection; also super-low boards that smash callers' ranges.":
+    "AKx/QTx ohne Verbindung; dazu sehr niedrige Boards, die die Ranges der Caller voll treffen.",
+  "Mostly give up out-of-position; continue only with strong backdoors or vs tiny sizes in-position.":
+    "Out of Position meist aufgeben; nur mit starken Backdoors oder gegen winzige Sizes in Position weitermachen.",
+  "Nut hands (top set, nut straight, nut flush)": "Nut-Hände (Top Set, Nut-Straße, Nut-Flush)",
+  "Top set, the nut straight and the nut flush: bet big or raise; in PLO the money usually goes in on the flop.":
+    "Top Set, Nut-Straße und Nut-Flush: groß setzen oder raisen; in PLO geht das Geld meist am Flop rein.",
+  "A nut hand with a redraw (set + flush draw, straight + flush draw) can get it in even against the same hand.":
+    "Eine Nut-Hand mit Redraw (Set + Flushdraw, Straße + Flushdraw) kann selbst gegen dieselbe Hand all-in gehen.",
+  "Wraps and nut flush draws": "Wraps und Nut-Flushdraws",
+  "Wraps (9+ straight outs) and nut flush draws, best both at once: bet and get it in; they are often favorites over a set.":
+    "Wraps (9+ Straßen-Outs) und Nut-Flushdraws, am besten beides: setzen und all-in gehen; sie sind oft Favorit gegen ein Set.",
+  "Pair + wrap or set + nut flush draw: happy to stack off at any SPR.":
+    "Paar + Wrap oder Set + Nut-Flushdraw: bei jedem SPR gerne den Stack reinstellen.",
+  NFD: "Nut-Flushdraw",
+  "Non-nut hands and draws": "Nicht-Nut-Hände und Draws",
+  "Bottom or middle set, non-nut straights, small flushes and two pair: bet or call once, then slow down when the board changes.":
+    "Unteres oder mittleres Set, Nicht-Nut-Straßen, kleine Flushes und Zwei Paare: einmal setzen oder callen, dann bremsen, wenn sich das Board ändert.",
+  "Non-nut flush draws and plain open-enders: call small bets in position; fold to raises.":
+    "Nicht-Nut-Flushdraws und einfache Open-Ender: in Position kleine Bets callen; gegen Raises folden.",
+  "non-nut FD": "Nicht-Nut-Flushdraw",
+  "Nut-flush blockers": "Nut-Flush-Blocker",
+  "The ace of a monotone board's suit without the flush: villain can't hold the nut flush, so bluff or bluff-catch, but don't stack off.":
+    "Das Ass in der Farbe eines einfarbigen Boards ohne Flush: der Gegner kann den Nut-Flush nicht halten, also bluffen oder Bluffs fangen, aber nicht den Stack reinstellen.",
+  "On two-tone boards the same card blocks the nut flush draw: a good spot to bet small.":
+    "Auf zweifarbigen Boards blockt dieselbe Karte den Nut-Flushdraw: ein guter Spot für eine kleine Bet.",
+  "One pair and overpairs": "Ein Paar und Overpairs",
+  "One pair, even top pair or aces, is rarely best by the turn: check, and fold to a pot-sized bet.":
+    "Ein Paar, selbst Top Pair oder Asse, ist am Turn selten vorn: checken und gegen eine potgroße Bet folden.",
+  "Overpairs without a set or flush draw: bet small once on dry boards, then give up under pressure.":
+    "Overpairs ohne Set oder Flushdraw: auf trockenen Boards einmal klein setzen, dann unter Druck aufgeben.",
+  "Boards you miss": "Boards, die du verfehlst",
+  "No pair and no real draw: check and give up; PLO ranges hit too often to bluff into.":
+    "Kein Paar und kein echter Draw: checken und aufgeben; PLO-Ranges treffen zu oft, um hineinzubluffen.",
+  "Gutshots and non-nut backdoors don't justify calls against pot-limit bets.":
+    "Gutshots und Nicht-Nut-Backdoors rechtfertigen keine Calls gegen Pot-Limit-Bets.",
+
+  // Built-in packs: flop reasons
+  "{label}.": "{label}.",
+  "Two or more overcards to your pair.": "Zwei oder mehr Overcards zu deinem Paar.",
+  "Paired board with an overcard.": "Gepaartes Board mit einer Overcard.",
+  "Underpair to one overcard.": "Underpair zu einer Overcard.",
+  "Nut flush draw.": "Nut-Flushdraw.",
+  "Open-ended straight draw.": "Open-Ended Straight Draw.",
+  "Flush draw plus pair or gutter.": "Flushdraw plus Paar oder Gutshot.",
+  "The flush card came and you don't hold the flush.": "Die Flushkarte kam und du hast den Flush nicht.",
+  "Monotone board without the nut flush.": "Einfarbiges Board ohne Nut-Flush.",
+  "Non-nut flush draw.": "Nicht-Nut-Flushdraw.",
+  "Straight draw without a pair.": "Straßendraw ohne Paar.",
+  "No pair and no real draw.": "Kein Paar und kein echter Draw.",
+  "Pair plus open-ender.": "Paar plus Open-Ender.",
+  "Gutshot only.": "Nur ein Gutshot.",
+  "Nut flush.": "Nut-Flush.",
+  "Top set.": "Top Set.",
+  "Straight with no flush or full house possible.": "Straße, kein Flush oder Full House möglich.",
+  "Wrap.": "Wrap.",
+  "You hold the nut flush card without the flush.": "Du hältst die Nut-Flush-Karte ohne Flush.",
+  "{label}: strong, but not the nuts.": "{label}: stark, aber nicht die Nuts.",
+  "Non-nut draw.": "Nicht-Nut-Draw.",
+  "{label}: one pair rarely holds up in PLO.": "{label}: ein Paar hält in PLO selten.",
+  "{reason} Moved by: {rules}.": "{reason} Verschoben durch: {rules}.",
+
+  // Built-in packs: context rules
+  "Multiway pot": "Multiway-Pot",
+  "Low SPR (≤ 3)": "Niedriger SPR (≤ 3)",
+  "High SPR (≥ 10)": "Hoher SPR (≥ 10)",
+  "In position": "In Position",
+  "Out of position": "Out of Position",
+  "Folds to c-bets": "Foldet auf C-Bets",
+  "Short Deck": "Short Deck",
+  "{from} → {to}": "{from} → {to}",
+  "Added bullet": "Hinweis ergänzt",
+  "Changed play": "Spielweise geändert",
+  "Multiway: an underpair is rarely best and hard to continue with; check-fold to bets.":
+    "Multiway: ein Underpair ist selten vorn und schwer weiterzuspielen; gegen Bets check-folden.",
+  "Multiway: non-nut flush draws often draw thin; don't pay off raises.":
+    "Multiway: Nicht-Nut-Flushdraws ziehen oft dünn; Raises nicht bezahlen.",
+  "Multiway: one pair shrinks in value; mostly check and fold to two bets.":
+    "Multiway: ein Paar verliert an Wert; meist checken und gegen zwei Bets folden.",
+  "Low SPR: top pair is strong enough to get stacks in; bet or jam for value.":
+    "Niedriger SPR: Top Pair ist stark genug für den ganzen Stack; für Value setzen oder shoven.",
+  "Low SPR: draws lose implied odds; jam strong equity, fold the weak part.":
+    "Niedriger SPR: Draws verlieren Implied Odds; mit starker Equity shoven, den schwachen Teil folden.",
+  "High SPR: one pair is not a stack-off hand; plan two streets of value, not three.":
+    "Hoher SPR: ein Paar ist keine Hand für den ganzen Stack; zwei Straßen Value planen, nicht drei.",
+  "High SPR: set-mining implied odds are good; peel small bets when a set would get paid.":
+    "Hoher SPR: die Implied Odds fürs Set-Mining sind gut; kleine Bets mitgehen, wenn ein Set bezahlt würde.",
+  "In position: float small bets and take free cards to realize equity.":
+    "In Position: kleine Bets floaten und Freikarten nehmen, um Equity zu realisieren.",
+  "Out of position: equity realization drops; check-fold more vs large bets.":
+    "Out of Position: die Equity-Realisierung sinkt; gegen große Bets öfter check-folden.",
+  "Calling station: they call with worse pairs and any draw; bet thin for value on every street.":
+    "Calling Station: callt mit schlechteren Paaren und jedem Draw; auf jeder Straße dünn für Value setzen.",
+  "Calling station: bluffs don't get folds; check your misses and give up.":
+    "Calling Station: Bluffs bringen keine Folds; Fehlschläge checken und aufgeben.",
+  "Villain over-folds to c-bets: a small c-bet with your misses shows a profit.":
+    "Der Gegner foldet zu oft auf C-Bets: eine kleine C-Bet mit deinen Fehlschlägen ist profitabel.",
+  "Maniac: most of their bets are bluffs; check and call down with any pair instead of folding.":
+    "Maniac: die meisten Bets sind Bluffs; checken und mit jedem Paar bis zum Ende callen statt folden.",
+  "Maniac: check to them and bluff-catch; raising folds out the bluffs you beat.":
+    "Maniac: zu ihm checken und Bluffs fangen; ein Raise foldet die Bluffs raus, die du schlägst.",
+  "Nit: when a nit bets or calls twice they have it; marginal hands check and fold.":
+    "Nit: wenn ein Nit zweimal setzt oder callt, hat er es; marginale Hände checken und folden.",
+  "Short Deck: five flush cards are left to hit and someone often has a bigger one; non-nut flush draws rarely get paid.":
+    "Short Deck: nur fünf Flushkarten sind übrig und oft hat jemand einen höheren; Nicht-Nut-Flushdraws werden selten bezahlt.",
+  "Short Deck: a flush draw has about five outs; semi-bluff it when straight or pair outs come with it.":
+    "Short Deck: ein Flushdraw hat etwa fünf Outs; semi-bluffen, wenn Straßen- oder Paar-Outs dazukommen.",
+  "Short Deck: an open-ender hits 8 of 31 unseen cards, about what a Hold'em flush draw does; play it as a strong draw.":
+    "Short Deck: ein Open-Ender trifft 8 von 31 ungesehenen Karten, etwa wie ein Flushdraw im Hold'em; als starken Draw spielen.",
+  "Short Deck: a flush beats a full house; slow down with a set or boat when a third card of a suit lands.":
+    "Short Deck: ein Flush schlägt ein Full House; mit Set oder Full House bremsen, wenn die dritte Karte einer Farbe fällt.",
+  "Short Deck: ranges connect with the board more often, so one pair is worth less than in Hold'em.":
+    "Short Deck: Ranges treffen das Board öfter, daher ist ein Paar weniger wert als im Hold'em.",
+  "Multiway: somebody often holds the nuts; non-nut hands, draws and blocker plays become folds.":
+    "Multiway: oft hält jemand die Nuts; Nicht-Nut-Hände, Draws und Blocker-Spielzüge werden zu Folds.",
+  "Low SPR: sets and two pair are stack-off hands; get it in on the flop.":
+    "Niedriger SPR: Sets und Zwei Paare sind Hände für den ganzen Stack; am Flop all-in gehen.",
+  "High SPR: the nuts now may not be the nuts by the river; prefer nut hands with a redraw.":
+    "Hoher SPR: die Nuts von jetzt sind am River vielleicht keine mehr; Nut-Hände mit Redraw bevorzugen.",
+  "In position: call small bets with draws and take free cards.":
+    "In Position: kleine Bets mit Draws callen und Freikarten nehmen.",
+  "Out of position: non-nut hands get squeezed between bettors; check-fold more.":
+    "Out of Position: Nicht-Nut-Hände geraten zwischen die Setzer; öfter check-folden.",
+  "Calling station: second-nut hands get paid by worse; bet them for value.":
+    "Calling Station: zweitbeste Hände werden von Schlechterem bezahlt; für Value setzen.",
+  "Calling station: blocker bluffs don't work on players who don't fold.":
+    "Calling Station: Blocker-Bluffs wirken nicht gegen Spieler, die nicht folden.",
+  "Maniac: top pair or an overpair is ahead of their betting range often enough to call down; don't raise.":
+    "Maniac: Top Pair oder ein Overpair liegt oft genug vor seiner Bet-Range, um bis zum Ende zu callen; nicht raisen.",
+  "Maniac: a nut-flush blocker is a fine bluff-catcher; call down rather than raise.":
+    "Maniac: ein Nut-Flush-Blocker ist ein guter Bluffcatcher; bis zum Ende callen statt raisen.",
+  "Nit: a nit's action means the nuts; non-nut hands fold to it.":
+    "Nit: Action von einem Nit bedeutet die Nuts; Nicht-Nut-Hände folden.",
+
+  // Actions and facing a bet
+  "bet {bet}% ({sizes}% pot)": "setzen {bet}% ({sizes}% Pot)",
+  "continue vs {limit}%": "weiter gegen {limit}%",
+  "{equity} equity, but a {bet}% pot bet needs {required}.": "{equity} Equity, aber eine Bet von {bet}% Pot braucht {required}.",
+  "{equity} equity is well clear of the price (a {bet}% pot bet needs {required}).":
+    "{equity} Equity liegt klar über dem Preis (eine Bet von {bet}% Pot braucht {required}).",
+  "{equity} equity covers the price (a {bet}% pot bet needs {required}).":
+    "{equity} Equity deckt den Preis (eine Bet von {bet}% Pot braucht {required}).",
+  "This block continues only against bets up to {limit}% pot.": "Dieser Block spielt nur gegen Bets bis {limit}% Pot weiter.",
+  "Within the {limit}% pot this block continues against (a {bet}% pot bet needs {required}).":
+    "Innerhalb der {limit}% Pot, gegen die dieser Block weiterspielt (eine Bet von {bet}% Pot braucht {required}).",
+
+  // Hand histories
+  "Put {amount} in on Red {streets} ({x}× the flop pot).": "{amount} auf roten Straßen ({streets}) investiert ({x}× der Flop-Pot).",
+  "Folded a Green {street}: {title}.": "Grünen {street} gefoldet: {title}.",
+
+  // Input errors
+  "Write 10 as T (e.g. Th9h).": "Schreibe 10 als T (z. B. Th9h).",
+  '3-char format not supported: "{raw}" is a hand class; enter both cards with suits (e.g. Js9s).':
+    'Das 3-Zeichen-Format wird nicht unterstützt: "{raw}" ist eine Handklasse; gib beide Karten mit Farbe ein (z. B. Js9s).',
+  'Every card is a rank and a suit; "{raw}" has a character left over.': 'Jede Karte ist ein Rang und eine Farbe; bei "{raw}" bleibt ein Zeichen übrig.',
+  '"{char}" is not a rank: use A K Q J T 9–2.': '"{char}" ist kein Rang: nutze A K Q J T 9–2.',
+  '"{char}" is not a suit: use c, d, h or s.': '"{char}" ist keine Farbe: nutze c, d, h oder s.',
+  "Duplicate card: {card}.": "Doppelte Karte: {card}.",
+  "{card} is not in a Short Deck (6 through ace only).": "{card} gibt es im Short Deck nicht (nur 6 bis Ass).",
+  "Enter {expected}, not {n}.": "Gib {expected} ein, nicht {n}.",
+  "{n} cards": "{n} Karten",
+  "three to five cards": "drei bis fünf Karten",
+
+  // Sheets
+  "{hand} on {board}": "{hand} auf {board}",
+  "Range: {range}": "Range: {range}",
+  "Flop traffic lights": "Flop-Ampeln",
+  "← this board": "← dieses Board",
+  "Flops:": "Flops:",
+  "Print / Save as PDF": "Drucken / Als PDF speichern",
+
+  // Card picker
+  "{card} is already on the board.": "{card} liegt schon auf dem Board.",
+  "{card} is already in your hand.": "{card} ist schon in deiner Hand.",
+  "Removed {card}.": "{card} entfernt.",
+  "The hand is full; remove a card first.": "Die Hand ist voll; entferne zuerst eine Karte.",
+  "The board is full; remove a card first.": "Das Board ist voll; entferne zuerst eine Karte.",
+  "Added {card}. Hand complete; now picking the board.": "{card} hinzugefügt. Hand vollständig; jetzt wird das Board gewählt.",
+  "Added {card} to the hand ({n} of {max}).": "{card} zur Hand hinzugefügt ({n} von {max}).",
+  "Added {card} to the board ({n} of {max}).": "{card} zum Board hinzugefügt ({n} von {max}).",
+  "The hand is empty.": "Die Hand ist leer.",
+  "The board is empty.": "Das Board ist leer.",
+  "There are no {rank}s in {game}.": "In {game} gibt es keine {rank}.",
+  "{rank}: now a suit key (c, d, h or s).": "{rank}: jetzt eine Farbtaste (c, d, h oder s).",
+  "Cards go to": "Karten gehen an",
+  Hand: "Hand",
+  Board: "Board",
+  "Type a rank then a suit (e.g. J then s) · arrows move · Backspace removes the last card":
+    "Tippe einen Rang, dann eine Farbe (z. B. J, dann s) · Pfeiltasten bewegen · Rücktaste entfernt die letzte Karte",
+  "Deck: picking the hand": "Deck: Hand wählen",
+  "Deck: picking the board": "Deck: Board wählen",
+  "{card}, on the board": "{card}, auf dem Board",
+  "{card}, in your hand": "{card}, in deiner Hand",
+
+  // Advice cards
+  "{n} of {total} flops — click for sample boards": "{n} von {total} Flops — klicken für Beispiel-Boards",
+  "This family is {share} of flops ({n} boards):": "Diese Familie macht {share} der Flops aus ({n} Boards):",
+  "Load this board": "Dieses Board laden",
+  "none left with your cards": "mit deinen Karten keins mehr übrig",
+  "Facing {n}% pot:": "Gegen {n}% Pot:",
+  "Bet {bet}% · check {check}%": "Setzen {bet}% · checken {check}%",
+  "{n}% pot": "{n}% Pot",
+  "Nut advantage:": "Nut-Vorteil:",
+  you: "du",
+  villain: "Gegner",
+  neither: "keiner",
+  "({hero} of your range vs {villain} of villain's in the top hands)": "({hero} deiner Range gegen {villain} der gegnerischen in den Top-Händen)",
+  "Enter your range under Range study to compare nut advantage.": "Gib deine Range unter Range-Studie ein, um den Nut-Vorteil zu vergleichen.",
+  combos: "Kombos",
+  "you block {n}": "du blockst {n}",
+  "none blocked": "keine geblockt",
+  "Villain's top pair or better per draw or air combo, before and after your cards come out of the deck":
+    "Top Pair oder besser des Gegners je Draw- oder Luft-Kombo, vor und nach dem Entfernen deiner Karten aus dem Deck",
+  "Villain value:bluff": "Value:Bluff des Gegners",
+  "with your blockers": "mit deinen Blockern",
+  "Matches this flop": "Passt zu diesem Flop",
+  "Average equity vs the villain ranges on sampled flops that land in this block":
+    "Durchschnittliche Equity gegen die gegnerischen Ranges auf Stichproben-Flops in diesem Block",
+  "Equity:": "Equity:",
+  "({n} of {total} sampled flops)": "({n} von {total} Stichproben-Flops)",
+  "Context rule that changed this block": "Kontextregel, die diesen Block geändert hat",
+
+  // Range study
+  "{cls}: {n}% of combos": "{cls}: {n}% der Kombos",
+  "{cls}: not in range": "{cls}: nicht in der Range",
+  "Range is": "Range ist",
+  on: "auf",
+  "({n} live combos)": "({n} lebende Kombos)",
+  Category: "Kategorie",
+  Share: "Anteil",
+  "G / Y / R": "G / G / R",
+  "Range study": "Range-Studie",
+  "Range (e.g., 22+, A2s-A5s, KTo+, AKo:50%)": "Range (z. B. 22+, A2s-A5s, KTo+, AKo:50%)",
+  "Range not recognized.": "Range nicht erkannt.",
+  "{n} combos ({weighted} weighted).": "{n} Kombos ({weighted} gewichtet).",
+  "Click a cell to load a representative combo into the hand field.": "Klicke eine Zelle, um eine typische Kombo ins Handfeld zu laden.",
+  "Enter a board to see how the whole range lights up on it.": "Gib ein Board ein, um zu sehen, wie die ganze Range darauf leuchtet.",
+
+  // Villain profiles
+  "Against a {profile}:": "Gegen Profil {profile}:",
+  "no change from the baseline": "keine Änderung zur Basis",
+  "1 block changed": "1 Block geändert",
+  "{n} blocks changed": "{n} Blöcke geändert",
+  "Play:": "Spielweise:",
+  "custom villain (reads as {profile})": "eigener Gegner (wirkt wie {profile})",
+  "Custom…": "Eigene…",
+  VPIP: "VPIP",
+  PFR: "PFR",
+  AF: "AF",
+  "Fold to c-bet": "Fold auf C-Bet",
+
+  // Turn and river
+  "Turn card traffic lights": "Ampeln für die Turn-Karte",
+  "River card traffic lights": "Ampeln für die River-Karte",
+  "Dead card": "Tote Karte",
+  "dead card": "tote Karte",
+  "{n} of {total}": "{n} von {total}",
+  "{up} improve · {down} hurt": "{up} besser · {down} schlechter",
+
+  // Hand history review
+  "Load this hand, board and context": "Diese Hand, das Board und den Kontext laden",
+  "folded {street}": "am {street} gefoldet",
+  "Hand history review": "Hand-History-Review",
+  "PokerStars or GGPoker .txt hand histories": "Hand Histories von PokerStars oder GGPoker als .txt",
+  "Load files": "Dateien laden",
+  "Flagged only": "Nur markierte",
+  "Paste PokerStars / GGPoker hand histories — nothing leaves your browser.": "PokerStars- / GGPoker-Hand-Histories einfügen — nichts verlässt deinen Browser.",
+  "{hands} hands with hero's cards · {flops} saw a flop · {flagged} flagged (Red streets with {x}× the flop pot or more in, or a fold on Green).":
+    "{hands} Hände mit Hero-Karten · {flops} sahen einen Flop · {flagged} markiert (rote Straßen mit {x}× dem Flop-Pot oder mehr investiert, oder ein Fold auf Grün).",
+
+  // Flop space
+  "All textures": "Alle Texturen",
+  "Paired or not": "Gepaart oder nicht",
+  Unpaired: "Ungepaart",
+  Paired: "Gepaart",
+  "All lights": "Alle Lichter",
+  Sort: "Sortieren",
+  "By board": "Nach Board",
+  "By light": "Nach Licht",
+  "Most Green": "Am meisten Grün",
+  "Most Red": "Am meisten Rot",
+  "{n} classes · {flops} flops": "{n} Klassen · {flops} Flops",
+  "{rank}-high": "{rank}-hoch",
+  "{cards} (suits are a pattern): {title}. {tones} of {n} flops": "{cards} (Farben sind ein Muster): {title}. {tones} von {n} Flops",
+  "Each cell is one flop up to suit isomorphism (for two-tone, the faded rank is the off-suit card). Faded cells mix lights depending on how the suits meet your hand. Click a cell to load a board.":
+    "Jede Zelle ist ein Flop bis auf Farb-Isomorphie (bei zweifarbigen ist der blasse Rang die Karte der anderen Farbe). Blasse Zellen mischen Lichter, je nachdem wie die Farben zu deiner Hand passen. Klicke eine Zelle, um ein Board zu laden.",
+  "Flop space for {hand}": "Flop-Raum für {hand}",
+  Hide: "Ausblenden",
+  "Show all {n} flops": "Alle {n} Flops zeigen",
+  "Classifying every flop…": "Jeder Flop wird eingestuft…",
+
+  // Export
+  "Export:": "Export:",
+  "Print-styled sheet; use the browser's Save as PDF": "Druckfertiges Blatt; nutze „Als PDF speichern“ im Browser",
+  "Print / PDF": "Drucken / PDF",
+  "Anki: File → Import this text file": "Anki: Datei → Diese Textdatei importieren",
+
+  // Rule pack errors
+  "Rule pack must be a JSON object.": "Das Regelpaket muss ein JSON-Objekt sein.",
+  '"name" must be a string.': '"name" muss ein Text sein.',
+  '"variant" must be one of {values}.': '"variant" muss eins von {values} sein.',
+  '"actions" must be an object keyed by light.': '"actions" muss ein Objekt mit einem Schlüssel pro Ampelfarbe sein.',
+  '"{key}" must be a list.': '"{key}" muss eine Liste sein.',
+  "{where}: condition must be an object.": "{where}: Die Bedingung muss ein Objekt sein.",
+  '{where}: unknown feature "{feature}".': '{where}: unbekanntes Merkmal "{feature}".',
+  "{where}: must be an object.": "{where}: muss ein Objekt sein.",
+  '{where}: "bet" must be a frequency from 0 to 1.': '{where}: "bet" muss eine Häufigkeit von 0 bis 1 sein.',
+  '{where}: "sizes" must be a list of {values}.': '{where}: "sizes" muss eine Liste aus {values} sein.',
+  '{where}: "continueUpTo" must be a % of pot.': '{where}: "continueUpTo" muss ein % des Pots sein.',
+  '{where}: "raise" must be true or false.': '{where}: "raise" muss true oder false sein.',
+  'actions: unknown light "{light}".': 'actions: unbekannte Ampelfarbe "{light}".',
+  '{where}: "tone" must be green, yellow or red.': '{where}: "tone" muss green, yellow oder red sein.',
+  '{where}: "title" must be a string.': '{where}: "title" muss ein Text sein.',
+  '{where}: "bullets" must be a list.': '{where}: "bullets" muss eine Liste sein.',
+  "{where}: example {example} is not a three-card flop pattern.": "{where}: Das Beispiel {example} ist kein Flop-Muster aus drei Karten.",
+  '{where}: "block" must be a title or list of titles.': '{where}: "block" muss ein Titel oder eine Liste von Titeln sein.',
+  "{where}: no advice block is titled {block}.": "{where}: Kein Block heißt {block}.",
+  '{where}: "reason" must be a string.': '{where}: "reason" muss ein Text sein.',
+  '{where}: "rule" must be a string.': '{where}: "rule" muss ein Text sein.',
+  '{where}: "move" must be green, yellow or red.': '{where}: "move" muss green, yellow oder red sein.',
+
+  // Controls
+  "{file} is not valid JSON.": "{file} ist kein gültiges JSON.",
+  "Poker Flop Traffic Lights": "Poker-Flop-Ampeln",
+  "Type a starting hand like Js9s, AhKd, or 7c7d. We classify Green (build pots), Yellow (realize cheap), and Red (let it go) flop families with quick heuristics.":
+    "Gib eine Starthand wie Js9s, AhKd oder 7c7d ein. Wir ordnen Flop-Familien mit schnellen Heuristiken in Grün (Pots aufbauen), Gelb (günstig realisieren) und Rot (loslassen) ein.",
+  "Starting hand": "Starthand",
+  "Enter four hole cards (e.g., AsKsJhTh)": "Vier Hole Cards eingeben (z. B. AsKsJhTh)",
+  "Enter starting hand (e.g., Js9s, AhKd, 7c7d)": "Starthand eingeben (z. B. Js9s, AhKd, 7c7d)",
+  "Board (optional, e.g., Ts8h2s Kd 3c)": "Board (optional, z. B. Ts8h2s Kd 3c)",
+  "Pick cards": "Karten wählen",
+  "Pick cards from a deck (keyboard: rank then suit)": "Karten aus einem Deck wählen (Tastatur: Rang, dann Farbe)",
+  Clear: "Leeren",
+  "Random valid hand": "Zufällige gültige Hand",
+  Random: "Zufall",
+  "Copy parsed hand label": "Erkannte Hand kopieren",
+  "Copy hand": "Hand kopieren",
+  "Copy a link that reopens this hand, board and context": "Einen Link kopieren, der diese Hand, das Board und den Kontext wieder öffnet",
+  "Copy link": "Link kopieren",
+  "Drill: call the light for random hands and flops": "Training: das Licht für zufällige Hände und Flops ansagen",
+  Quiz: "Quiz",
+  "Recently viewed spots (saved in this browser)": "Zuletzt angesehene Spots (in diesem Browser gespeichert)",
+  Recent: "Zuletzt",
+  "Format: RankSuitRankSuit (e.g., J s 9 s → Js9s). Suits: c,d,h,s. Case-insensitive.":
+    "Format: RangFarbeRangFarbe (z. B. J s 9 s → Js9s). Farben: c,d,h,s. Groß-/Kleinschreibung egal.",
+  "Board: flop, then optional turn and river, the same way (e.g., Ts8h2s or Ts8h2s Kd 3c).":
+    "Board: Flop, danach optional Turn und River, genauso (z. B. Ts8h2s oder Ts8h2s Kd 3c).",
+  "PLO: four hole cards, exactly two of them play.": "PLO: vier Hole Cards, genau zwei davon spielen.",
+  "Short Deck: ranks 6–A only; flushes beat full houses and A-6-7-8-9 is a straight.":
+    "Short Deck: nur Ränge 6–A; Flushes schlagen Full Houses und A-6-7-8-9 ist eine Straße.",
+  "The board uses one of your hole cards.": "Das Board verwendet eine deiner Hole Cards.",
+  "Game variant: changes the deck, hand rankings and rule pack": "Spielvariante: ändert Deck, Handrangfolge und Regelpaket",
+  Game: "Spiel",
+  Position: "Position",
+  "Eff. stack": "Eff. Stack",
+  Pot: "Pot",
+  Opponents: "Gegner",
+  "Heads-up": "Heads-up",
+  "{n}-way": "{n} Spieler",
+  "Villain profile: sets villain 1's range and moves lights to exploit it": "Gegnerprofil: setzt die Range von Gegner 1 und verschiebt Lichter, um ihn auszunutzen",
+  Villain: "Gegner",
+  "A bet you face, as % of the pot: each card answers call, fold or raise": "Eine Bet gegen dich, in % des Pots: jede Karte antwortet mit Call, Fold oder Raise",
+  "Facing bet": "Bet gegen dich",
+  "% pot": "% Pot",
+  "Rule pack:": "Regelpaket:",
+  "Load a JSON rule pack": "Ein JSON-Regelpaket laden",
+  "Load pack": "Paket laden",
+  "Download the active pack as JSON to edit": "Das aktive Paket als JSON zum Bearbeiten herunterladen",
+  Export: "Export",
+  "Back to the built-in heuristics": "Zurück zu den eingebauten Heuristiken",
+  Reset: "Zurücksetzen",
+  Language: "Sprache",
+  "How a ten prints": "Wie eine Zehn geschrieben wird",
+  Suits: "Farben",
+  "Four-color deck": "Vierfarbiges Deck",
+  "Off: example flops mark your suit with * instead of naming it": "Aus: Beispiel-Flops markieren deine Farbe mit * statt sie zu nennen",
+  "Your suit in examples": "Deine Farbe in Beispielen",
+  "Villain ranges and equity are two-card only; PLO lights come from the rule pack alone.":
+    "Gegner-Ranges und Equity gibt es nur für zwei Karten; PLO-Lichter kommen allein aus dem Regelpaket.",
+  "Villain {n}": "Gegner {n}",
+  "Range (e.g., QQ+, AKs, ATs+, KQo)": "Range (z. B. QQ+, AKs, ATs+, KQo)",
+  "Remove villain": "Gegner entfernen",
+  Remove: "Entfernen",
+  "Range not recognized": "Range nicht erkannt",
+  "Add another villain (multiway)": "Weiteren Gegner hinzufügen (multiway)",
+  "Add villain": "Gegner hinzufügen",
+
+  // Quiz
+  "Correct.": "Richtig.",
+  "Not quite.": "Nicht ganz.",
+  "Next hand": "Nächste Hand",
+  "Load this hand and flop into the explorer": "Diese Hand und diesen Flop in den Explorer laden",
+  "Open in explorer": "Im Explorer öffnen",
+  "This session:": "Diese Sitzung:",
+  "Spaced-repetition box (1 = shown most often)": "Lernkartei-Fach (1 = am häufigsten gezeigt)",
+  "box {n}": "Fach {n}",
+  "Reset progress": "Fortschritt zurücksetzen",
+
+  // Results
+  "How to read the output": "So liest du das Ergebnis",
+  "strong value/combo equity → build pots (size up multiway for protection).":
+    "starkes Value/Kombi-Equity → Pots aufbauen (multiway größer setzen zum Schutz).",
+  "marginal / backdoor-heavy → realize equity cheap; fold to heat multiway.":
+    "marginal / viele Backdoors → Equity günstig realisieren; multiway bei Druck folden.",
+  "range disadvantage / dominated → check-fold; don’t bloat.": "Range-Nachteil / dominiert → Check-Fold; den Pot nicht aufblähen.",
+  "Equity on this board vs the villain ranges": "Equity auf diesem Board gegen die gegnerischen Ranges",
+  "(rules said {tone})": "(laut Regeln {tone})",
+  "Made:": "Hand:",
+  "Draws:": "Draws:",
+  none: "keine",
+  "Outs: {n} ({clean} clean)": "Outs: {n} ({clean} sauber)",
+  "Parsed hand": "Erkannte Hand",
+  "exactly two hole cards and three board cards make the hand": "genau zwei Hole Cards und drei Boardkarten bilden die Hand",
+  "Suited:": "Suited:",
+  Yes: "Ja",
+  No: "Nein",
+  "Pair:": "Paar:",
+  "Gap:": "Abstand:",
+  "Preflop equity vs villain range:": "Preflop-Equity gegen die gegnerische Range:",
+  "Preflop equity vs {n} villain ranges:": "Preflop-Equity gegen {n} gegnerische Ranges:",
+  "Running equity vs the villain ranges…": "Equity gegen die gegnerischen Ranges wird berechnet…",
+  "Flop equity:": "Flop-Equity:",
+  "Turn equity:": "Turn-Equity:",
+  "River equity:": "River-Equity:",
+  "This tool encodes practical heuristics for MTT/cash {game}. Position, SPR, player count and villain's profile are applied when set above, and each light suggests bet sizes and how much to continue against. Use as a quick traffic light guide, not absolute rules.":
+    "Dieses Tool bildet praktische Heuristiken für {game} in MTT/Cash ab. Position, SPR, Spielerzahl und Gegnerprofil werden angewendet, wenn sie oben gesetzt sind, und jede Ampel schlägt Bet-Größen vor und sagt, gegen welche Einsätze du weiterspielst. Nutze es als schnelle Ampel, nicht als feste Regeln.",
+  "pot-limit Omaha": "Pot-Limit Omaha",
+  "Recent spots": "Letzte Spots",
+  Close: "Schließen",
+  "Hands you look at are saved here, in this browser only.": "Angesehene Hände werden hier gespeichert, nur in diesem Browser.",
+  "No context": "Kein Kontext",
+  "Clear history": "Verlauf leeren",
+  "Built with React + Tailwind. Tip: paste Js9s to see suited-connector behavior.":
+    "Gebaut mit React + Tailwind. Tipp: füge Js9s ein, um das Verhalten eines Suited Connectors zu sehen.",
+};
+
+const CATALOGS: Record<Locale, Catalog> = { en: {}, es: ES, de: DE };
+
+type Template = { re: RegExp; names: string[]; text: string; fixed: number };
+const templates = new Map<Locale, Template[]>();
+const cache = new Map<Locale, Map<string, string | null>>();
+
+// Longest literal text first, so "{label}: strong, but not the nuts." wins over "{label}."
+function templatesFor(locale: Locale) {
+  let list = templates.get(locale);
+  if (!list) {
+    const catalog = CATALOGS[locale];
+    list = PATTERNS.filter((key) => key in catalog)
+      .map((key) => ({
+        re: new RegExp("^" + key.split(/\{\w+\}/).map((part) => part.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")).join("(.+?)") + "$"),
+        names: [...key.matchAll(/\{(\w+)\}/g)].map((m) => m[1]),
+        text: catalog[key],
+        fixed: key.replace(/\{\w+\}/g, "").length,
+      }))
+      .sort((a, b) => b.fixed - a.fixed);
+    templates.set(locale, list);
+  }
+  return list;
+}
+
+const fill = (text: string, vars: Record<string, string | number>) => text.replace(/\{(\w+)\}/g, (m, name: string) => (name in vars ? String(vars[name]) : m));
+
+// The translation of a whole string, or null when neither the catalog nor a pattern covers it
+function lookup(text: string, locale: Locale): string | null {
+  const catalog = CATALOGS[locale];
+  if (Object.prototype.hasOwnProperty.call(catalog, text)) return catalog[text];
+  let seen = cache.get(locale);
+  if (!seen) cache.set(locale, (seen = new Map()));
+  if (seen.has(text)) return seen.get(text)!;
+
+  let result: string | null = null;
+  for (const tpl of templatesFor(locale)) {
+    const m = tpl.re.exec(text);
+    if (!m) continue;
+    const values = m.slice(1).map((v, i) => (FREE.has(tpl.names[i]) || LITERAL.test(v) ? v : lookup(v, locale)));
+    if (values.every((v) => v !== null)) {
+      result = fill(tpl.text, Object.fromEntries(tpl.names.map((name, i) => [name, values[i]!])));
+      break;
+    }
+  }
+  // Lists the engine joins: context rules ("Multiway pot, Low SPR (≤ 3)"), actions, streets ("flop/turn")
+  for (const sep of [", ", "/"]) {
+    if (result !== null || !text.includes(sep)) continue;
+    const parts = text.split(sep).map((part) => (LITERAL.test(part) ? part : lookup(part, locale)));
+    if (parts.every((p) => p !== null)) result = parts.join(sep);
+  }
+  seen.set(text, result);
+  return result;
+}
+
+// English text → the locale's, with {name} placeholders filled from vars; untranslated text stays English
+export function translate(text: string, locale: Locale, vars?: Record<string, string | number>) {
+  const out = locale === "en" || !text ? text : lookup(text, locale) ?? text;
+  return vars ? fill(out, vars) : out;
+}
+
+// A bundle with translated titles, bullets and adjustments, for sheets and the CLI. Titles are the
+// blocks' identity (verdicts and diffs match on them), so localize after matching, not before.
+export function localizeAdvice(bundle: AdviceBundle, locale: Locale): AdviceBundle {
+  if (locale === "en") return bundle;
+  const block = (b: AdviceBundle["green"][number]) => ({
+    ...b,
+    title: translate(b.title, locale),
+    bullets: b.bullets.map((x) => translate(x, locale)),
+    adjustments: b.adjustments?.map((a) => ({ rule: translate(a.rule, locale), change: translate(a.change, locale) })),
+  });
+  return { ...bundle, green: bundle.green.map(block), yellow: bundle.yellow.map(block), red: bundle.red.map(block) };
+}
+
+// formatPattern with the texture and note in the locale
+export function localizePattern(p: FlopPattern, locale: Locale, notation: Notation = DEFAULT_NOTATION) {
+  const cards = formatPattern({ slots: p.slots }, notation);
+  return cards + (p.texture ? ` (${translate(p.texture, locale)})` : "") + (p.note ? ` (${translate(p.note, locale)})` : "");
+}